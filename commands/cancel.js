@@ -0,0 +1,30 @@
+// commands/cancel.js - Leave whichever conversation flow is active
+const { sendMessage } = require('../utils');
+const templates = require('../templates/templateLoader');
+const conversations = require('../scripts/conversationStore');
+const { FLOW_LABELS } = require('../config/constants');
+
+async function handleCancel(from, activeFlow = null) {
+  if (!activeFlow) {
+    const generalTemplates = templates.get('general');
+    await sendMessage(from, generalTemplates.nothingToCancel);
+    return;
+  }
+
+  await conversations.delete(from, activeFlow.flow);
+  console.log(`🛑 ${from} canceled their ${activeFlow.flow} flow`);
+
+  const generalTemplates = templates.get('general', {
+    flow: FLOW_LABELS[activeFlow.flow] || activeFlow.flow
+  });
+  await sendMessage(from, generalTemplates.flowCanceled);
+}
+
+module.exports = {
+  name: 'cancel',
+  aliases: ['exit'],
+  description: 'Leave the current conversation',
+  requiresRegistration: false,
+  global: true,
+  handler: ({ from, activeFlow }) => handleCancel(from, activeFlow)
+};
@@ -0,0 +1,85 @@
+// commands/delivery.js - Admin view of outbound message deliveries and failures
+const { formatInTimeZone } = require('date-fns-tz');
+const { sendMessage, formatPhoneNumber } = require('../utils');
+const templates = require('../templates/templateLoader');
+const messageLog = require('../scripts/messageLog');
+const repository = require('../scripts/repository');
+
+const STATUS_ICONS = {
+  accepted: '🕓',
+  sent: '✔️',
+  delivered: '✅',
+  read: '👀',
+  failed: '❌'
+};
+
+function formatEntry(entry, timezone, showRecipient) {
+  const time = formatInTimeZone(new Date(entry.updatedAt), timezone, 'MMM d, HH:mm');
+  const recipient = showRecipient ? `${formatPhoneNumber(entry.recipient)} · ` : '';
+  let line = `${STATUS_ICONS[entry.status] || '•'} ${time} · ${recipient}${entry.type || 'message'}`;
+
+  if (entry.preview) {
+    line += ` · "${entry.preview.slice(0, 40)}"`;
+  }
+  if (entry.error) {
+    line += `\n      ⚠️ ${entry.error.code ?? ''} ${entry.error.title || 'Unknown error'}`.trimEnd();
+  }
+  return line;
+}
+
+async function handleDelivery(from, user, parameter) {
+  try {
+    const timezone = user.bot_user_timezone || 'America/New_York';
+    let recipient = null;
+    let target = 'all users';
+
+    // Admin checking one user's deliveries
+    if (parameter) {
+      const targetUser = await repository.findUserByName(parameter);
+
+      if (!targetUser) {
+        const deliveryTemplates = templates.get('delivery', { username: parameter });
+        await sendMessage(from, deliveryTemplates.userNotFound);
+        return;
+      }
+
+      recipient = targetUser.bot_userphone;
+      target = targetUser.bot_username;
+    }
+
+    const [recent, failures] = await Promise.all([
+      messageLog.getRecent({ recipient, limit: 10 }),
+      messageLog.getRecent({ recipient, status: 'failed', limit: 5 })
+    ]);
+
+    const deliveryTemplates = templates.get('delivery', { target });
+
+    if (recent.length === 0) {
+      await sendMessage(from, deliveryTemplates.noMessages);
+      return;
+    }
+
+    let message = `${deliveryTemplates.header}\n\n`;
+    message += recent.map(entry => formatEntry(entry, timezone, !recipient)).join('\n');
+
+    if (failures.length > 0) {
+      message += `\n\n${deliveryTemplates.failuresHeader}\n\n`;
+      message += failures.map(entry => formatEntry(entry, timezone, !recipient)).join('\n');
+    }
+
+    await sendMessage(from, message);
+
+  } catch (error) {
+    console.error('Delivery command error:', error);
+    const generalTemplates = templates.get('general');
+    await sendMessage(from, generalTemplates.technicalIssue);
+  }
+}
+
+module.exports = {
+  name: 'delivery',
+  description: 'Recent message deliveries and failures',
+  section: 'Admin Commands',
+  parameterForm: { usage: 'delivery <username>', description: 'Check deliveries to a user' },
+  handler: ({ from, user, parameter }) => handleDelivery(from, user, parameter)
+};
@@ -1,22 +1,12 @@
 // commands/listUsers.js - Fixed to properly handle template variables
 const { sendMessage, formatPhoneNumber } = require('../utils');
 const templates = require('../templates/templateLoader');
+const repository = require('../scripts/repository');
 
-async function handleListUsers(from, supabase) {
+async function handleListUsers(from) {
   try {
-    const generalTemplates = templates.get('general');
-    
     // Get all registered users
-    const { data: users, error } = await supabase
-      .from('bot_users')
-      .select('bot_username, bot_userphone, bot_userrole')
-      .order('bot_username');
-
-    if (error) {
-      console.error('Error fetching users:', error);
-      await sendMessage(from, generalTemplates.technicalIssue);
-      return;
-    }
+    const users = await repository.listUsers();
 
     if (!users || users.length === 0) {
       const listUsersTemplates = templates.get('listUsers');
@@ -63,4 +53,18 @@ async function handleListUsers(from, supabase) {
   }
 }
 
-module.exports = handleListUsers;
\ No newline at end of file
+module.exports = {
+  name: 'list',
+  usage: 'list users',
+  description: 'View all registered users',
+  section: 'Admin Commands',
+  handler: async ({ from, text, parameter }) => {
+    // "list" only has one form for now
+    if (parameter !== 'users') {
+      const generalTemplates = templates.get('general', { command: text });
+      await sendMessage(from, generalTemplates.unknownCommand);
+      return;
+    }
+    await handleListUsers(from);
+  }
+};
\ No newline at end of file
@@ -2,14 +2,7 @@
 const { sendMessage } = require('../utils');
 const templates = require('../templates/templateLoader');
 
-async function handlePassword(from, user) {
-  // Check if user is admin
-  if (!user || user.bot_userrole !== 'ADMIN') {
-    const generalTemplates = templates.get('general');
-    await sendMessage(from, generalTemplates.accessDenied);
-    return;
-  }
-
+async function handlePassword(from) {
   try {
     // Build password list
     let passwordMessage = "🔐 *Role Passwords*\n\n";
@@ -33,4 +26,9 @@ async function handlePassword(from, user) {
   }
 }
 
-module.exports = handlePassword;
\ No newline at end of file
+module.exports = {
+  name: 'password',
+  description: 'View role passwords',
+  section: 'Admin Commands',
+  handler: ({ from }) => handlePassword(from)
+};
\ No newline at end of file
@@ -1,11 +1,15 @@
 // commands/promoter.js - Promoter ticket tracking command
 const { sendMessage, sendMessageInstant } = require('../utils');
 const templates = require('../templates/templateLoader');
-const database = require('../scripts/database');
+const repository = require('../scripts/repository');
+const syncRunner = require('../scripts/syncRunner');
+const { formatStatus } = require('../scripts/eventStatus');
+const conversations = require('../scripts/conversationStore');
+const whatsapp = require('../scripts/whatsappClient');
+const outboundQueue = require('../scripts/outboundQueue');
+const { FLOWS } = require('../config/constants');
 const fs = require('fs').promises;
 const path = require('path');
-const https = require('https');
-const http = require('http');
 
 // Define promoter mappings
 const PROMOTER_MAPPINGS = {
@@ -16,180 +20,61 @@ const PROMOTER_MAPPINGS = {
   'Promoter - The Neighbors': 'Neighbors'
 };
 
-async function uploadMediaToWhatsApp(filePath, filename) {
-  try {
-    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN || process.env.WHATSAPP_TOKEN;
-    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || process.env.PHONE_NUMBER_ID;
-    
-    if (!accessToken || !phoneNumberId) {
-      throw new Error('WhatsApp credentials not configured');
-    }
-
-    const fileBuffer = await fs.readFile(filePath);
-    
-    // Create multipart form data boundary
-    const boundary = '----formdata-' + Math.random().toString(36);
-    
-    // Build form data manually
-    let formData = '';
-    formData += `--${boundary}\r\n`;
-    formData += `Content-Disposition: form-data; name="messaging_product"\r\n\r\n`;
-    formData += `whatsapp\r\n`;
-    formData += `--${boundary}\r\n`;
-    formData += `Content-Disposition: form-data; name="type"\r\n\r\n`;
-    formData += `document\r\n`;
-    formData += `--${boundary}\r\n`;
-    formData += `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n`;
-    formData += `Content-Type: text/plain\r\n\r\n`;
-    
-    const formDataBuffer = Buffer.concat([
-      Buffer.from(formData, 'utf8'),
-      fileBuffer,
-      Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8')
-    ]);
-
-    return new Promise((resolve, reject) => {
-      const postData = formDataBuffer;
-      
-      const options = {
-        hostname: 'graph.facebook.com',
-        port: 443,
-        path: `/v18.0/${phoneNumberId}/media`,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': postData.length
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(result.id);
-            } else {
-              reject(new Error(`Media upload failed: ${result.error?.message || 'Unknown error'}`));
-            }
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${data}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(error);
-      });
+/**
+ * " · 🎟️ On sale" to follow an event in the list, or nothing without a status
+ */
+function formatEventStatus(event) {
+  const status = formatStatus(event.event_status);
+  return status ? ` · ${status}` : '';
+}
 
-      req.write(postData);
-      req.end();
-    });
-  } catch (error) {
-    console.error('Media upload error:', error);
-    throw error;
-  }
+/**
+ * Upload a generated file so it can be sent as a document
+ * @returns {string} WhatsApp media id
+ */
+async function uploadMediaToWhatsApp(filePath, filename) {
+  const fileBuffer = await fs.readFile(filePath);
+  return whatsapp.uploadMedia(fileBuffer, filename, 'text/plain');
 }
 
+/**
+ * Send an uploaded file through the outbound queue
+ */
 async function sendDocument(to, mediaId, filename, caption = '') {
-  try {
-    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN || process.env.WHATSAPP_TOKEN;
-    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || process.env.PHONE_NUMBER_ID;
-
-    const payload = JSON.stringify({
-      messaging_product: 'whatsapp',
-      to: to,
-      type: 'document',
-      document: {
-        id: mediaId,
-        filename: filename,
-        caption: caption
-      }
-    });
-
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'graph.facebook.com',
-        port: 443,
-        path: `/v18.0/${phoneNumberId}/messages`,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(payload)
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(result);
-            } else {
-              reject(new Error(`Document send failed: ${result.error?.message || 'Unknown error'}`));
-            }
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${data}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(error);
-      });
-
-      req.write(payload);
-      req.end();
-    });
-  } catch (error) {
-    console.error('Document send error:', error);
-    throw error;
-  }
+  return outboundQueue.send(
+    to,
+    { type: 'document', document: { id: mediaId, filename, caption } },
+    { preview: filename }
+  );
 }
 
-async function handlePromoter(from, text, promoterState, supabase, user) {
+async function handlePromoter(from, text, user) {
   try {
-    if (!promoterState[from]) {
+    const state = await conversations.get(from, FLOWS.PROMOTER);
+
+    if (!state) {
       // Start promoter flow - fetch and display events
-      promoterState[from] = { step: 1 };
-      
       console.log(`🎫 Starting promoter flow for user ${from}`);
       
       // Fetch upcoming events using the same logic as sales command
-      const { data: events, error } = await supabase
-        .from('events')
-        .select('*')
-        .gte('event_date', new Date().toISOString().split('T')[0])
-        .order('event_date', { ascending: true });
-
-      if (error) {
+      let events;
+      try {
+        events = await repository.listEvents({ fromDate: new Date().toISOString().split('T')[0] });
+      } catch (error) {
         console.error('Error fetching events for promoter:', error);
         const promoterTemplates = templates.get('promoter');
         await sendMessage(from, promoterTemplates.fetchError);
-        delete promoterState[from];
-        return promoterState;
+        return;
       }
 
       if (!events || events.length === 0) {
         const promoterTemplates = templates.get('promoter');
         await sendMessage(from, promoterTemplates.noUpcomingEvents);
-        delete promoterState[from];
-        return promoterState;
+        return;
       }
 
       // Store events for selection
-      promoterState[from].events = events;
+      await conversations.set(from, FLOWS.PROMOTER, { step: 1, events });
       
       // Format event list in compact style
       const promoterTemplates = templates.get('promoter');
@@ -201,27 +86,20 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
           day: 'numeric'
         });
         
-        eventList += `${event.event_id} - ${eventDate} - ${event.event_name}\n`;
+        eventList += `${event.event_id} - ${eventDate} - ${event.event_name}${formatEventStatus(event)}\n`;
       });
       
       eventList += `\n${promoterTemplates.askForSelection}`;
       
       await sendMessage(from, eventList);
-      return promoterState;
+      return;
     }
 
-    if (promoterState[from].step === 1) {
+    if (state.step === 1) {
       // Handle event selection
-      if (text.toLowerCase() === 'cancel') {
-        delete promoterState[from];
-        const promoterTemplates = templates.get('promoter');
-        await sendMessage(from, promoterTemplates.promoterCanceled);
-        return promoterState;
-      }
-
       if (text.toLowerCase() === 'all') {
         // Show all events again in compact format
-        const events = promoterState[from].events;
+        const events = state.events;
         const promoterTemplates = templates.get('promoter');
         let eventList = `🎫 *All Upcoming Events* (${events.length})\n\n`;
         
@@ -231,16 +109,16 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
             day: 'numeric'
           });
           
-          eventList += `${event.event_id} - ${eventDate} - ${event.event_name}\n`;
+          eventList += `${event.event_id} - ${eventDate} - ${event.event_name}${formatEventStatus(event)}\n`;
         });
         
         eventList += `\nPlease select an event by typing its ID, Name, or Date, or type *cancel* to exit.`;
         await sendMessage(from, eventList);
-        return promoterState;
+        return;
       }
 
       // Find selected event
-      const events = promoterState[from].events;
+      const events = state.events;
       const input = text.toLowerCase().trim();
       
       let selectedEvent = null;
@@ -268,30 +146,22 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
       if (!selectedEvent) {
         const promoterTemplates = templates.get('promoter');
         await sendMessage(from, promoterTemplates.selectionError);
-        return promoterState;
+        return;
       }
 
-      // Force refresh order data before querying
-      console.log(`🔄 Syncing latest order data for event ${selectedEvent.event_id}...`);
-      try {
-        // Run the ORDER sync script specifically for this event
-        const { exec } = require('child_process');
-        const util = require('util');
-        const execPromise = util.promisify(exec);
-        
-        // Force update the event order timestamp to trigger re-sync
-        await supabase
-          .from('events')
-          .update({ event_order_updated: '2020-01-01 00:00:00' })
-          .eq('event_id', selectedEvent.event_id);
-        
-        // Run the event-orders.js script to sync order data
-        await execPromise('node event-orders.js update');
-        
+      // Refetch every order before querying - Tixr only returns orders
+      // bought since the last sync otherwise, so older refunds would be missed
+      console.log(`🔄 Resyncing all order data for event ${selectedEvent.event_id}...`);
+      const refresh = await syncRunner.wait(syncRunner.run('orders-full', {
+        args: [selectedEvent.event_id],
+        trigger: 'user',
+        triggeredBy: from
+      }));
+      if (refresh.done) {
         console.log('✅ Event orders synced successfully before promoter query');
-      } catch (syncError) {
-        console.log('⚠️ Order sync failed, proceeding with existing data:', syncError);
+      } else {
         // Continue anyway - don't let sync failure block the promoter command
+        console.log(`⚠️ Order sync ${refresh.timedOut ? 'still running' : 'failed'}, proceeding with existing data`);
       }
 
       // Fetch promoter orders for the selected event
@@ -299,25 +169,23 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
       
       const promoterNames = Object.keys(PROMOTER_MAPPINGS);
       
-      const { data: orders, error: ordersError } = await supabase
-        .from('events_orders')
-        .select('order_serials, order_sales_item_name')
-        .eq('event_id', selectedEvent.event_id)
-        .in('order_sales_item_name', promoterNames);
-
-      if (ordersError) {
+      let orders;
+      try {
+        orders = (await repository.listOrders(selectedEvent.event_id, { itemNames: promoterNames }))
+          .filter(order => order.order_status === 'COMPLETE');
+      } catch (ordersError) {
         console.error('Error fetching promoter orders:', ordersError);
         const promoterTemplates = templates.get('promoter');
         await sendMessage(from, promoterTemplates.fetchError);
-        delete promoterState[from];
-        return promoterState;
+        await conversations.delete(from, FLOWS.PROMOTER);
+        return;
       }
 
       if (!orders || orders.length === 0) {
         const promoterTemplates = templates.get('promoter');
         await sendMessage(from, promoterTemplates.noPromoterData);
-        delete promoterState[from];
-        return promoterState;
+        await conversations.delete(from, FLOWS.PROMOTER);
+        return;
       }
 
       // Process orders and create CSV data
@@ -372,8 +240,8 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
         
         await sendMessage(from, debugMessage);
         await sendMessage(from, promoterTemplates.noPromoterData);
-        delete promoterState[from];
-        return promoterState;
+        await conversations.delete(from, FLOWS.PROMOTER);
+        return;
       }
 
       // Show typing indicator while generating file
@@ -427,18 +295,21 @@ async function handlePromoter(from, text, promoterState, supabase, user) {
         await sendMessage(from, csvMessage);
       }
 
-      delete promoterState[from];
-      return promoterState;
+      await conversations.delete(from, FLOWS.PROMOTER);
     }
 
   } catch (error) {
     console.error('Promoter command error:', error);
     const generalTemplates = templates.get('general');
     await sendMessage(from, generalTemplates.technicalIssue);
-    delete promoterState[from];
+    await conversations.delete(from, FLOWS.PROMOTER);
   }
-
-  return promoterState;
 }
 
-module.exports = handlePromoter;
\ No newline at end of file
+module.exports = {
+  name: 'promoter',
+  description: 'View promoter ticket data',
+  section: 'Tixr Commands',
+  flow: FLOWS.PROMOTER,
+  handler: ({ from, text, user }) => handlePromoter(from, text, user)
+};
\ No newline at end of file
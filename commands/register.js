@@ -1,44 +1,34 @@
 // commands/register.js - Updated with timezone selection
-const { sendMessage } = require('../utils');
+const { sendMessage, sendMessageWithButtons } = require('../utils');
 const templates = require('../templates/templateLoader');
 const database = require('../scripts/database');
+const conversations = require('../scripts/conversationStore');
+const { FLOWS, REPLY_OPTIONS } = require('../config/constants');
 
-async function handleRegister(from, text, registrationState, supabase) {
+async function handleRegister(from, text) {
   const { ADMIN_PASSWORD, USER_PASSWORD } = process.env;
+  const state = await conversations.get(from, FLOWS.REGISTRATION);
   
-  if (!registrationState[from]) {
+  if (!state) {
     // Start registration process
-    registrationState[from] = { step: 1 };
+    await conversations.set(from, FLOWS.REGISTRATION, { step: 1 });
     const registrationTemplates = templates.get('registration');
     await sendMessage(from, registrationTemplates.welcome);
-    return registrationState;
+    return;
   }
 
-  if (registrationState[from].step === 1) {
+  if (state.step === 1) {
     // Handle name input
-    if (text.toLowerCase() === 'cancel') {
-      delete registrationState[from];
-      const registrationTemplates = templates.get('registration');
-      await sendMessage(from, registrationTemplates.canceled);
-      return registrationState;
-    }
-
-    registrationState[from].username = text;
-    registrationState[from].step = 2;
+    state.username = text;
+    state.step = 2;
+    await conversations.set(from, FLOWS.REGISTRATION, state);
     const registrationTemplates = templates.get('registration', { name: text });
     await sendMessage(from, registrationTemplates.step2);
-    return registrationState;
+    return;
   }
 
-  if (registrationState[from].step === 2) {
+  if (state.step === 2) {
     // Handle password input
-    if (text.toLowerCase() === 'cancel') {
-      delete registrationState[from];
-      const registrationTemplates = templates.get('registration');
-      await sendMessage(from, registrationTemplates.canceled);
-      return registrationState;
-    }
-
     const password = text;
     let role = '';
 
@@ -49,25 +39,19 @@ async function handleRegister(from, text, registrationState, supabase) {
     } else {
       const registrationTemplates = templates.get('registration');
       await sendMessage(from, registrationTemplates.wrongPassword);
-      return registrationState;
+      return;
     }
 
-    registrationState[from].role = role;
-    registrationState[from].step = 3;
+    state.role = role;
+    state.step = 3;
+    await conversations.set(from, FLOWS.REGISTRATION, state);
     const registrationTemplates = templates.get('registration');
-    await sendMessage(from, registrationTemplates.step3);
-    return registrationState;
+    await sendMessageWithButtons(from, registrationTemplates.step3, REPLY_OPTIONS.TIMEZONE);
+    return;
   }
 
-  if (registrationState[from].step === 3) {
+  if (state.step === 3) {
     // Handle timezone selection
-    if (text.toLowerCase() === 'cancel') {
-      delete registrationState[from];
-      const registrationTemplates = templates.get('registration');
-      await sendMessage(from, registrationTemplates.canceled);
-      return registrationState;
-    }
-
     const input = text.toLowerCase().trim();
     let timezone = '';
     let timezoneName = '';
@@ -84,22 +68,22 @@ async function handleRegister(from, text, registrationState, supabase) {
     } else {
       const registrationTemplates = templates.get('registration');
       await sendMessage(from, registrationTemplates.invalidTimezone);
-      return registrationState;
+      return;
     }
 
     // Save to database using the database script
     try {
       const result = await database.registerUser(
         from, 
-        registrationState[from].username, 
-        registrationState[from].role,
+        state.username, 
+        state.role,
         timezone
       );
       
       if (result.success) {
         const registrationTemplates = templates.get('registration', {
-          name: registrationState[from].username,
-          role: registrationState[from].role,
+          name: state.username,
+          role: state.role,
           timezone: timezoneName
         });
         await sendMessage(from, registrationTemplates.success);
@@ -113,11 +97,15 @@ async function handleRegister(from, text, registrationState, supabase) {
       await sendMessage(from, registrationTemplates.failed);
     }
 
-    delete registrationState[from];
-    return registrationState;
+    await conversations.delete(from, FLOWS.REGISTRATION);
   }
-
-  return registrationState;
 }
 
-module.exports = handleRegister;
\ No newline at end of file
+module.exports = {
+  name: 'register',
+  description: 'Register with the bot',
+  requiresRegistration: false,
+  hidden: true,
+  flow: FLOWS.REGISTRATION,
+  handler: ({ from, text }) => handleRegister(from, text)
+};
\ No newline at end of file
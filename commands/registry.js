@@ -0,0 +1,214 @@
+// commands/registry.js - Builds routing, suggestions, permissions and help from command metadata
+const fs = require('fs');
+const path = require('path');
+const { getEditDistance } = require('../utils');
+const { hasCommandPermission } = require('./utils/permissionUtils');
+const permissions = require('../config/permissions.json');
+
+// Help menu sections, in display order. Other sections (e.g. for
+// secondary role commands) are placed right after the first one.
+const SECTION_ORDER = ['Tixr Commands', 'Bot Commands', 'Admin Commands'];
+
+/**
+ * Every other .js file in commands/ exports one command:
+ * {
+ *   name, aliases, description, section,
+ *   usage,                  // shown instead of name, e.g. "list users"
+ *   parameterForm,          // { usage, description } used when a parameter is given
+ *   requiresRegistration,
+ *   global,                 // matched on the whole message, even inside a flow
+ *   flow,                   // FLOWS value this command's handler continues
+ *   hidden,                 // left out of the help menu
+ *   handler                 // async ({ from, text, parameter, user, activeFlow, registry })
+ * }
+ *
+ * Who may run a command is decided by config/permissions.json, keyed by
+ * the command name or, when a parameter is given, parameterForm.usage.
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = [];
+    this.lookup = new Map(); // name or alias -> command
+    this.flows = new Map();  // flow -> command
+    this.loadAll();
+  }
+
+  /**
+   * Load every command module in this directory
+   */
+  loadAll() {
+    const files = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.js') && file !== path.basename(__filename))
+      .sort();
+
+    files.forEach(file => this.register(require(path.join(__dirname, file)), file));
+    console.log(`✅ Loaded ${this.commands.length} commands`);
+  }
+
+  /**
+   * Add a command definition, rejecting incomplete or clashing ones
+   */
+  register(definition, source = 'inline') {
+    if (!definition?.name || typeof definition.handler !== 'function') {
+      throw new Error(`Command module ${source} must export a name and a handler`);
+    }
+
+    const command = {
+      aliases: [],
+      parameterForm: null,
+      description: '',
+      section: 'Bot Commands',
+      requiresRegistration: true,
+      global: false,
+      flow: null,
+      hidden: false,
+      ...definition
+    };
+
+    for (const word of [command.name, ...command.aliases]) {
+      if (this.lookup.has(word)) {
+        throw new Error(`Command "${word}" from ${source} is already registered`);
+      }
+      this.lookup.set(word, command);
+    }
+
+    if (command.flow) {
+      this.flows.set(command.flow, command);
+    }
+
+    // Commands without a permissions entry are denied to everyone
+    [command.name, command.parameterForm?.usage].filter(Boolean).forEach(permission => {
+      if (!permissions.commandPermissions[permission]) {
+        console.warn(`⚠️ Command "${permission}" has no entry in permissions.json - nobody can use it`);
+      }
+    });
+
+    this.commands.push(command);
+  }
+
+  /**
+   * Split a message into command and parameter, with a typo suggestion
+   * when the first word is not a known command
+   */
+  parse(text, user = null) {
+    const [word = '', ...rest] = text.toLowerCase().trim().split(/\s+/);
+    const command = this.lookup.get(word) || null;
+
+    return {
+      command,
+      parameter: rest.join(' '),
+      suggestion: command ? null : this.suggest(word, user)
+    };
+  }
+
+  /**
+   * Get the global command a whole message names, if any
+   */
+  findGlobal(text) {
+    const command = this.lookup.get(text.toLowerCase().trim());
+    return command?.global ? command : null;
+  }
+
+  /**
+   * Get the command that continues a conversation flow
+   */
+  getFlowCommand(flow) {
+    return this.flows.get(flow) || null;
+  }
+
+  /**
+   * The permissions.json key for running a command with a parameter
+   */
+  getPermission(command, parameter = '') {
+    return parameter && command.parameterForm ? command.parameterForm.usage : command.name;
+  }
+
+  /**
+   * Commands a user may run, in registration order
+   */
+  getAvailable(user) {
+    return this.commands.filter(command => hasCommandPermission(user, command.name));
+  }
+
+  /**
+   * Find the closest command to a typo among those the user may run
+   * @returns {object} { suggestion: string, confidence: string, message: string }
+   */
+  suggest(input, user = null) {
+    const candidates = this.getAvailable(user)
+      .flatMap(command => [command.usage || command.name, ...command.aliases]);
+
+    const inputLower = input.toLowerCase().trim();
+    let bestMatch = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = getEditDistance(inputLower, candidate);
+      const maxLength = Math.max(inputLower.length, candidate.length);
+      const similarity = 1 - (distance / maxLength);
+
+      // Only suggest if similarity is reasonable (60%+ match)
+      if (similarity >= 0.6 && distance < bestDistance) {
+        bestDistance = distance;
+        bestMatch = { command: candidate, similarity, distance };
+      }
+    }
+
+    if (!bestMatch) {
+      return { suggestion: null, confidence: 'none', message: null };
+    }
+
+    if (bestMatch.similarity >= 0.8) {
+      // High confidence - likely typo
+      return {
+        suggestion: bestMatch.command,
+        confidence: 'high',
+        message: `❓ *Did you mean "${bestMatch.command}"?*\n\nType *${bestMatch.command}* to continue, or *help* to see all commands.`
+      };
+    }
+
+    // Medium confidence - possible match
+    return {
+      suggestion: bestMatch.command,
+      confidence: 'medium',
+      message: `❓ *Command not recognized*\n\nDid you mean *${bestMatch.command}*? \n\nType *help* to see all available commands.`
+    };
+  }
+
+  /**
+   * Help menu sections for a registered user: [{ title, lines }]
+   */
+  getHelpSections(user) {
+    const sections = new Map();
+    const addLine = (title, usage, aliases, description) => {
+      if (!sections.has(title)) sections.set(title, []);
+      const names = [usage, ...aliases].map(word => `*${word}*`).join(' / ');
+      sections.get(title).push(`🔹 ${names} - ${description}`);
+    };
+
+    const available = this.getAvailable(user).filter(command => !command.hidden);
+
+    available.forEach(command => {
+      addLine(command.section, command.usage || command.name, command.aliases, command.description);
+    });
+
+    // Parameter forms (e.g. "status <username>") are admin tools
+    available.forEach(command => {
+      const form = command.parameterForm;
+      if (form && hasCommandPermission(user, form.usage)) {
+        addLine('Admin Commands', form.usage, [], form.description);
+      }
+    });
+
+    const rank = title => {
+      const index = SECTION_ORDER.indexOf(title);
+      return index === -1 ? 0.5 : index;
+    };
+
+    return [...sections.entries()]
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([title, lines]) => ({ title, lines }));
+  }
+}
+
+module.exports = new CommandRegistry();
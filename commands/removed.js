@@ -0,0 +1,129 @@
+// commands/removed.js - Admin view of events that disappeared from Tixr, to restore or purge them
+const { format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { sendMessage } = require('../utils');
+const templates = require('../templates/templateLoader');
+const repository = require('../scripts/repository');
+const { getConfig } = require('../config/environment');
+const { computeEventStatus, formatStatus } = require('../scripts/eventStatus');
+
+function formatEvent(event, timezone) {
+  const date = event.event_date ? format(new Date(`${event.event_date}T00:00:00`), 'MMM d, yyyy') : 'No date';
+  const missingSince = formatInTimeZone(new Date(event.event_removed_at), timezone, 'MMM d, HH:mm');
+  const status = event.event_status !== 'REMOVED' ? formatStatus(event.event_status) : null;
+  return `• *${event.event_name}* (ID ${event.event_id}) · ${date}${status ? ` · ${status}` : ''}\n   Missing since ${missingSince}`;
+}
+
+/**
+ * "36 hours" or "2 days"
+ */
+function formatGracePeriod(ms) {
+  const hours = Math.round(ms / 3600000);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+async function listRemoved(from, user) {
+  const timezone = user.bot_user_timezone || 'America/New_York';
+  const events = (await repository.listEvents({ includeRemoved: true }))
+    .filter(event => event.event_removed_at)
+    .sort((a, b) => b.event_removed_at.localeCompare(a.event_removed_at));
+  const removedTemplates = templates.get('removed', { grace: formatGracePeriod(getConfig().events.removalGraceMs) });
+
+  if (events.length === 0) {
+    await sendMessage(from, removedTemplates.none);
+    return;
+  }
+
+  const removed = events.filter(event => event.event_status === 'REMOVED');
+  const missing = events.filter(event => event.event_status !== 'REMOVED');
+  const sections = [];
+
+  if (removed.length > 0) {
+    sections.push(`${removedTemplates.header}\n\n${removed.map(event => formatEvent(event, timezone)).join('\n')}`);
+  }
+  if (missing.length > 0) {
+    sections.push(`${removedTemplates.missingHeader}\n\n${missing.map(event => formatEvent(event, timezone)).join('\n')}`);
+  }
+
+  await sendMessage(from, `${sections.join('\n\n')}\n\n${removedTemplates.footer}`);
+}
+
+/**
+ * Bring back a removed or missing event with the status its times and
+ * sales give it. `event_restored_at` keeps change detection from removing it again.
+ */
+async function restoreEvent(from, event) {
+  if (!event.event_removed_at && event.event_status !== 'REMOVED') {
+    await sendMessage(from, templates.get('removed', { name: event.event_name }).notRemoved);
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const status = computeEventStatus(event, await repository.getSales(event.event_id));
+  await repository.updateEvents([event.event_id], {
+    event_status: status,
+    event_removed_at: null,
+    event_restored_at: now,
+    event_updated: now
+  });
+
+  console.log(`♻️ Event ${event.event_id} restored as ${status}`);
+  await sendMessage(from, templates.get('removed', { name: event.event_name, status: formatStatus(status) }).restored);
+}
+
+/**
+ * Delete a REMOVED event with its orders and sales
+ */
+async function purgeEvent(from, event) {
+  if (event.event_status !== 'REMOVED') {
+    await sendMessage(from, templates.get('removed', { name: event.event_name, status: event.event_status || 'not removed' }).notPurgeable);
+    return;
+  }
+
+  await repository.deleteOrders(event.event_id);
+  await repository.deleteSales(event.event_id);
+  await repository.deleteEvents([event.event_id]);
+
+  console.log(`🔥 Event ${event.event_id} purged`);
+  await sendMessage(from, templates.get('removed', { name: event.event_name }).purged);
+}
+
+async function handleRemoved(from, user, parameter) {
+  try {
+    if (!parameter) {
+      await listRemoved(from, user);
+      return;
+    }
+
+    const [action, eventId] = parameter.split(/\s+/);
+    if (!['restore', 'purge'].includes(action) || !/^\d+$/.test(eventId || '')) {
+      await sendMessage(from, templates.get('removed').usage);
+      return;
+    }
+
+    const event = await repository.getEvent(eventId);
+    if (!event) {
+      await sendMessage(from, templates.get('removed', { eventId }).notFound);
+      return;
+    }
+
+    if (action === 'restore') {
+      await restoreEvent(from, event);
+    } else {
+      await purgeEvent(from, event);
+    }
+  } catch (error) {
+    console.error('Removed command error:', error);
+    const generalTemplates = templates.get('general');
+    await sendMessage(from, generalTemplates.technicalIssue);
+  }
+}
+
+module.exports = {
+  name: 'removed',
+  description: 'Events no longer on Tixr',
+  section: 'Admin Commands',
+  parameterForm: { usage: 'removed <action>', description: 'Restore an event with *removed restore <id>*, or delete it with *removed purge <id>*' },
+  handler: ({ from, user, parameter }) => handleRemoved(from, user, parameter)
+};
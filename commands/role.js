@@ -1,153 +1,157 @@
 // commands/role.js - Enhanced role management system with add/remove functionality
-const { sendMessage } = require('../utils');
+const { sendMessage, sendMessageWithButtons, sendMessageWithList } = require('../utils');
 const templates = require('../templates/templateLoader');
-const database = require('../scripts/database');
+const repository = require('../scripts/repository');
+const conversations = require('../scripts/conversationStore');
 const permissions = require('../config/permissions.json');
+const { FLOWS, REPLY_OPTIONS } = require('../config/constants');
+
+// Roles offered by the add-role menu, in menu order
+const ADDABLE_ROLES = ['NCGCOUNT', 'OPENTABLE', 'MANAGERSALES'];
+
+/**
+ * Show the add/remove menu for the user or the admin's target user
+ */
+async function sendRoleMenu(from, state, user) {
+  const targetUser = state.isAdminManagement ? state.targetUser : user;
+  const roleTemplates = templates.get('role', {
+    username: targetUser.bot_username,
+    hasRoles: targetUser.bot_secondary_roles ? 'true' : 'false'
+  });
+  const menuTemplate = state.isAdminManagement ? 'adminMenu' : 'userMenu';
+  await sendMessageWithButtons(from, roleTemplates[menuTemplate], REPLY_OPTIONS.ROLE_MENU);
+}
+
+/**
+ * Show the roles that can be added
+ */
+async function sendAddRoleMenu(from) {
+  const roleTemplates = templates.get('role');
+  const rows = ADDABLE_ROLES.map((roleKey, index) => ({
+    id: String(index + 1),
+    title: permissions.secondaryRoles[roleKey].name,
+    description: permissions.secondaryRoles[roleKey].description
+  }));
+  await sendMessageWithList(from, roleTemplates.addWelcome, 'Choose a role', [{ title: 'Roles', rows }]);
+}
 
-async function handleRole(from, text, roleState, supabase, user, parameter = '') {
+async function handleRole(from, text, user, parameter = '') {
   if (!user) {
     const generalTemplates = templates.get('general');
     await sendMessage(from, generalTemplates.welcomeUnregistered);
-    return roleState;
+    return;
   }
 
-  if (!roleState[from]) {
+  let state = await conversations.get(from, FLOWS.ROLE);
+
+  if (!state) {
     // Start role management flow
-    roleState[from] = { step: 'main_menu' };
+    state = { step: 'main_menu' };
     
     // Admin managing another user's roles
-    if (user.bot_userrole === 'ADMIN' && parameter) {
-      roleState[from].targetUsername = parameter;
-      roleState[from].isAdminManagement = true;
+    if (parameter) {
+      state.targetUsername = parameter;
+      state.isAdminManagement = true;
       
       // Find the target user
       try {
-        const { data: targetUser, error } = await supabase
-          .from('bot_users')
-          .select('*')
-          .ilike('bot_username', parameter)
-          .maybeSingle();
-
-        if (error) {
-          console.error('Error finding target user:', error);
-          delete roleState[from];
-          const generalTemplates = templates.get('general');
-          await sendMessage(from, generalTemplates.technicalIssue);
-          return roleState;
-        }
+        const targetUser = await repository.findUserByName(parameter);
 
         if (!targetUser) {
-          delete roleState[from];
           const roleTemplates = templates.get('role', { username: parameter });
           await sendMessage(from, roleTemplates.userNotFound);
-          return roleState;
+          return;
         }
 
-        roleState[from].targetUser = targetUser;
+        state.targetUser = targetUser;
+        await conversations.set(from, FLOWS.ROLE, state);
         
         // Show admin menu for target user
-        const roleTemplates = templates.get('role', { 
-          username: targetUser.bot_username,
-          hasRoles: targetUser.bot_secondary_roles ? 'true' : 'false'
-        });
-        await sendMessage(from, roleTemplates.adminMenu);
-        return roleState;
+        await sendRoleMenu(from, state, user);
+        return;
         
       } catch (error) {
         console.error('Error in admin role management:', error);
-        delete roleState[from];
         const generalTemplates = templates.get('general');
         await sendMessage(from, generalTemplates.technicalIssue);
-        return roleState;
+        return;
       }
     }
     
     // User managing their own roles
     else {
-      const roleTemplates = templates.get('role', { 
-        hasRoles: user.bot_secondary_roles ? 'true' : 'false' 
-      });
-      await sendMessage(from, roleTemplates.userMenu);
-      return roleState;
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendRoleMenu(from, state, user);
+      return;
     }
   }
 
-  if (roleState[from].step === 'main_menu') {
+  if (state.step === 'main_menu') {
     // Handle main menu selection
     const input = text.toLowerCase().trim();
     
-    if (input === 'cancel') {
-      delete roleState[from];
-      const roleTemplates = templates.get('role');
-      await sendMessage(from, roleTemplates.canceled);
-      return roleState;
-    }
-
     if (input === '1' || input === 'add') {
-      roleState[from].step = 'add_role';
-      roleState[from].action = 'add';
-      const roleTemplates = templates.get('role');
-      await sendMessage(from, roleTemplates.addWelcome);
-      return roleState;
+      state.step = 'add_role';
+      state.action = 'add';
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendAddRoleMenu(from);
+      return;
     }
 
     if (input === '2' || input === 'remove') {
       // Check if user (or target user) has roles to remove
-      const targetUser = roleState[from].isAdminManagement ? roleState[from].targetUser : user;
+      const targetUser = state.isAdminManagement ? state.targetUser : user;
       
       if (!targetUser.bot_secondary_roles) {
-        delete roleState[from];
+        await conversations.delete(from, FLOWS.ROLE);
         const roleTemplates = templates.get('role', { 
-          username: roleState[from].isAdminManagement ? targetUser.bot_username : 'You' 
+          username: state.isAdminManagement ? targetUser.bot_username : 'You' 
         });
         await sendMessage(from, roleTemplates.noRolesToRemove);
-        return roleState;
+        return;
       }
 
-      roleState[from].step = 'remove_role';
-      roleState[from].action = 'remove';
-      
       // Show current roles for removal
       const userRoles = targetUser.bot_secondary_roles.split(',').filter(role => role.trim() !== '');
-      let rolesMessage = roleState[from].isAdminManagement 
+      state.step = 'remove_role';
+      state.action = 'remove';
+      state.availableRoles = userRoles;
+      await conversations.set(from, FLOWS.ROLE, state);
+      
+      let rolesMessage = state.isAdminManagement 
         ? `🎭 *Remove Roles from ${targetUser.bot_username}*\n\n`
         : `🎭 *Remove Your Secondary Roles*\n\n`;
       
-      rolesMessage += `Current secondary roles:\n\n`;
-      
+      rolesMessage += `Choose a secondary role to remove, or type *back* to go back.`;
+
+      const rows = [];
       userRoles.forEach((roleKey, index) => {
         const roleInfo = permissions.secondaryRoles[roleKey];
         if (roleInfo) {
-          rolesMessage += `${index + 1}️⃣ *${roleInfo.name}* - ${roleInfo.description}\n`;
+          rows.push({ id: String(index + 1), title: roleInfo.name, description: roleInfo.description });
         }
       });
-      
-      rolesMessage += `\nSelect a role to remove by typing the number, or type *cancel* to go back.`;
-      await sendMessage(from, rolesMessage);
-      
-      roleState[from].availableRoles = userRoles;
-      return roleState;
+
+      await sendMessageWithList(from, rolesMessage, 'Choose a role', [{ title: 'Current roles', rows }]);
+      return;
     }
 
     // Invalid main menu selection
     const roleTemplates = templates.get('role');
     await sendMessage(from, roleTemplates.invalidMainMenu);
-    return roleState;
+    return;
   }
 
-  if (roleState[from].step === 'add_role') {
+  if (state.step === 'add_role') {
     // Handle role addition (existing logic)
     const input = text.toLowerCase().trim();
     
-    if (input === 'cancel') {
+    if (input === 'back') {
       // Go back to main menu
-      roleState[from].step = 'main_menu';
-      const roleTemplates = templates.get('role', { 
-        hasRoles: (roleState[from].isAdminManagement ? roleState[from].targetUser : user).bot_secondary_roles ? 'true' : 'false' 
-      });
-      const menuTemplate = roleState[from].isAdminManagement ? 'adminMenu' : 'userMenu';
-      await sendMessage(from, roleTemplates[menuTemplate]);
-      return roleState;
+      state.step = 'main_menu';
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendRoleMenu(from, state, user);
+      return;
     }
 
     // Check which role they want to add
@@ -161,11 +165,12 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
     } else {
       const roleTemplates = templates.get('role');
       await sendMessage(from, roleTemplates.invalidSelection);
-      return roleState;
+      return;
     }
 
-    roleState[from].selectedRole = selectedRole;
-    roleState[from].step = 'password';
+    state.selectedRole = selectedRole;
+    state.step = 'password';
+    await conversations.set(from, FLOWS.ROLE, state);
     
     const roleInfo = permissions.secondaryRoles[selectedRole];
     const roleTemplates = templates.get('role', { 
@@ -173,63 +178,61 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
       roleDescription: roleInfo.description 
     });
     await sendMessage(from, roleTemplates.askPassword);
-    return roleState;
+    return;
   }
 
-  if (roleState[from].step === 'remove_role') {
+  if (state.step === 'remove_role') {
     // Handle role removal selection
     const input = text.toLowerCase().trim();
     
-    if (input === 'cancel') {
+    if (input === 'back') {
       // Go back to main menu
-      roleState[from].step = 'main_menu';
-      const roleTemplates = templates.get('role', { 
-        hasRoles: (roleState[from].isAdminManagement ? roleState[from].targetUser : user).bot_secondary_roles ? 'true' : 'false' 
-      });
-      const menuTemplate = roleState[from].isAdminManagement ? 'adminMenu' : 'userMenu';
-      await sendMessage(from, roleTemplates[menuTemplate]);
-      return roleState;
+      state.step = 'main_menu';
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendRoleMenu(from, state, user);
+      return;
     }
 
     const roleIndex = parseInt(input) - 1;
-    const availableRoles = roleState[from].availableRoles;
+    const availableRoles = state.availableRoles;
     
     if (isNaN(roleIndex) || roleIndex < 0 || roleIndex >= availableRoles.length) {
       const roleTemplates = templates.get('role');
       await sendMessage(from, roleTemplates.invalidSelection);
-      return roleState;
+      return;
     }
 
     const selectedRole = availableRoles[roleIndex];
     const roleInfo = permissions.secondaryRoles[selectedRole];
     
-    roleState[from].selectedRole = selectedRole;
-    roleState[from].step = 'confirm_removal';
+    state.selectedRole = selectedRole;
+    state.step = 'confirm_removal';
+    await conversations.set(from, FLOWS.ROLE, state);
     
     // Show confirmation message
-    const targetName = roleState[from].isAdminManagement 
-      ? roleState[from].targetUser.bot_username 
+    const targetName = state.isAdminManagement 
+      ? state.targetUser.bot_username 
       : 'your account';
       
     const roleTemplates = templates.get('role', {
       roleName: roleInfo.name,
       targetName: targetName
     });
-    await sendMessage(from, roleTemplates.confirmRemoval);
-    return roleState;
+    await sendMessageWithButtons(from, roleTemplates.confirmRemoval, REPLY_OPTIONS.CONFIRM_OR_BACK);
+    return;
   }
 
-  if (roleState[from].step === 'password') {
+  if (state.step === 'password') {
     // Handle password verification for adding roles
     const password = text.trim();
-    const selectedRole = roleState[from].selectedRole;
+    const selectedRole = state.selectedRole;
     
-    if (password.toLowerCase() === 'cancel') {
+    if (password.toLowerCase() === 'back') {
       // Go back to add role menu
-      roleState[from].step = 'add_role';
-      const roleTemplates = templates.get('role');
-      await sendMessage(from, roleTemplates.addWelcome);
-      return roleState;
+      state.step = 'add_role';
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendAddRoleMenu(from);
+      return;
     }
 
     // Check password against environment variables
@@ -238,21 +241,21 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
     
     if (!correctPassword) {
       console.error(`Environment variable ${envVarName} not found`);
-      delete roleState[from];
+      await conversations.delete(from, FLOWS.ROLE);
       const generalTemplates = templates.get('general');
       await sendMessage(from, generalTemplates.technicalIssue);
-      return roleState;
+      return;
     }
 
     if (password !== correctPassword) {
       const roleTemplates = templates.get('role');
       await sendMessage(from, roleTemplates.wrongPassword);
-      return roleState;
+      return;
     }
 
     // Password correct - add role to user
     try {
-      const targetUser = roleState[from].isAdminManagement ? roleState[from].targetUser : user;
+      const targetUser = state.isAdminManagement ? state.targetUser : user;
       const currentRoles = targetUser.bot_secondary_roles ? targetUser.bot_secondary_roles.split(',') : [];
       
       // Check if user already has this role
@@ -260,8 +263,8 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
         const roleInfo = permissions.secondaryRoles[selectedRole];
         const roleTemplates = templates.get('role', { roleName: roleInfo.name });
         await sendMessage(from, roleTemplates.alreadyHasRole);
-        delete roleState[from];
-        return roleState;
+        await conversations.delete(from, FLOWS.ROLE);
+        return;
       }
 
       // Add the new role
@@ -269,61 +272,49 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
       const updatedRoles = currentRoles.join(',');
 
       // Update user in database
-      const { error } = await supabase
-        .from('bot_users')
-        .update({ bot_secondary_roles: updatedRoles })
-        .eq('bot_userphone', targetUser.bot_userphone);
+      await repository.updateUser(targetUser.bot_userphone, { bot_secondary_roles: updatedRoles });
 
-      if (error) {
-        console.error('Error updating user roles:', error);
-        const generalTemplates = templates.get('general');
-        await sendMessage(from, generalTemplates.technicalIssue);
-      } else {
-        const roleInfo = permissions.secondaryRoles[selectedRole];
-        const targetName = roleState[from].isAdminManagement ? targetUser.bot_username : 'your account';
-        const roleTemplates = templates.get('role', { 
-          roleName: roleInfo.name,
-          targetName: targetName,
-          roleDescription: roleInfo.description,
-          permissions: roleInfo.permissions.length > 0 ? roleInfo.permissions.join(', ') : 'Enhanced access to existing commands'
-        });
-        await sendMessage(from, roleTemplates.roleGranted);
-      }
+      const roleInfo = permissions.secondaryRoles[selectedRole];
+      const targetName = state.isAdminManagement ? targetUser.bot_username : 'your account';
+      const roleTemplates = templates.get('role', { 
+        roleName: roleInfo.name,
+        targetName: targetName,
+        roleDescription: roleInfo.description,
+        permissions: roleInfo.permissions.length > 0 ? roleInfo.permissions.join(', ') : 'Enhanced access to existing commands'
+      });
+      await sendMessage(from, roleTemplates.roleGranted);
     } catch (error) {
       console.error('Role assignment error:', error);
       const generalTemplates = templates.get('general');
       await sendMessage(from, generalTemplates.technicalIssue);
     }
 
-    delete roleState[from];
-    return roleState;
+    await conversations.delete(from, FLOWS.ROLE);
+    return;
   }
 
-  if (roleState[from].step === 'confirm_removal') {
+  if (state.step === 'confirm_removal') {
     // Handle removal confirmation
     const input = text.toLowerCase().trim();
     
-    if (input === 'cancel' || input === 'no' || input === 'n') {
+    if (input === 'back' || input === 'no' || input === 'n') {
       // Go back to main menu
-      roleState[from].step = 'main_menu';
-      const roleTemplates = templates.get('role', { 
-        hasRoles: (roleState[from].isAdminManagement ? roleState[from].targetUser : user).bot_secondary_roles ? 'true' : 'false' 
-      });
-      const menuTemplate = roleState[from].isAdminManagement ? 'adminMenu' : 'userMenu';
-      await sendMessage(from, roleTemplates[menuTemplate]);
-      return roleState;
+      state.step = 'main_menu';
+      await conversations.set(from, FLOWS.ROLE, state);
+      await sendRoleMenu(from, state, user);
+      return;
     }
 
     if (input !== 'yes' && input !== 'y' && input !== 'confirm') {
       const roleTemplates = templates.get('role');
       await sendMessage(from, roleTemplates.invalidConfirmation);
-      return roleState;
+      return;
     }
 
     // Remove the role
     try {
-      const selectedRole = roleState[from].selectedRole;
-      const targetUser = roleState[from].isAdminManagement ? roleState[from].targetUser : user;
+      const selectedRole = state.selectedRole;
+      const targetUser = state.isAdminManagement ? state.targetUser : user;
 
       // Get current roles and remove the selected one
       const currentRoles = targetUser.bot_secondary_roles 
@@ -334,36 +325,30 @@ async function handleRole(from, text, roleState, supabase, user, parameter = '')
       const updatedRolesString = updatedRoles.length > 0 ? updatedRoles.join(',') : null;
 
       // Update database
-      const { error } = await supabase
-        .from('bot_users')
-        .update({ bot_secondary_roles: updatedRolesString })
-        .eq('bot_userphone', targetUser.bot_userphone);
+      await repository.updateUser(targetUser.bot_userphone, { bot_secondary_roles: updatedRolesString });
 
-      if (error) {
-        console.error('Error removing role:', error);
-        const generalTemplates = templates.get('general');
-        await sendMessage(from, generalTemplates.technicalIssue);
-      } else {
-        const roleInfo = permissions.secondaryRoles[selectedRole];
-        const targetName = roleState[from].isAdminManagement ? targetUser.bot_username : 'your account';
-          
-        const roleTemplates = templates.get('role', {
-          roleName: roleInfo.name,
-          targetName: targetName
-        });
-        await sendMessage(from, roleTemplates.roleRemoved);
-      }
+      const roleInfo = permissions.secondaryRoles[selectedRole];
+      const targetName = state.isAdminManagement ? targetUser.bot_username : 'your account';
+        
+      const roleTemplates = templates.get('role', {
+        roleName: roleInfo.name,
+        targetName: targetName
+      });
+      await sendMessage(from, roleTemplates.roleRemoved);
     } catch (error) {
       console.error('Role removal error:', error);
       const generalTemplates = templates.get('general');
       await sendMessage(from, generalTemplates.technicalIssue);
     }
 
-    delete roleState[from];
-    return roleState;
+    await conversations.delete(from, FLOWS.ROLE);
   }
-
-  return roleState;
 }
 
-module.exports = handleRole;
\ No newline at end of file
+module.exports = {
+  name: 'role',
+  description: 'Request additional roles',
+  parameterForm: { usage: 'role <username>', description: "Manage another user's roles" },
+  flow: FLOWS.ROLE,
+  handler: ({ from, text, user, parameter }) => handleRole(from, text, user, parameter)
+};
\ No newline at end of file
@@ -1,22 +1,14 @@
 // commands/sales.js
 
-// ADDED: Import the 'exec' function to run shell commands
-const { exec } = require('child_process');
-const { sendMessage, sendMessageInstant } = require('../utils');
+const { sendMessage, sendMessageInstant, sendMessageWithButtons, sendMessageWithList } = require('../utils');
 const { format } = require('date-fns');
 const { toZonedTime } = require('date-fns-tz');
-
-// Permission checking function
-function hasFeaturePermission(user, feature) {
-  if (!user) return false;
-  if (user.bot_userrole === 'ADMIN') return true;
-  if (feature === 'view_gross_net_sales') {
-    if (!user.bot_secondary_roles) return false;
-    const userSecondaryRoles = user.bot_secondary_roles.split(',');
-    return userSecondaryRoles.includes('MANAGERSALES');
-  }
-  return false;
-}
+const conversations = require('../scripts/conversationStore');
+const repository = require('../scripts/repository');
+const syncRunner = require('../scripts/syncRunner');
+const { formatStatus } = require('../scripts/eventStatus');
+const { hasFeaturePermission } = require('./utils/permissionUtils');
+const { FLOWS, REPLY_OPTIONS } = require('../config/constants');
 
 // Helper function to safely parse date strings
 function parseEventDate(dateString) {
@@ -27,51 +19,32 @@ function parseEventDate(dateString) {
     return new Date(dateString);
 }
 
-// ADDED: Function to run your sync scripts in the background
-function runBackgroundSync(from) {
-    // Using 'check-changes' for sync-events is faster than a full sync.
-    const scripts = ['sync-events.js check-changes', 'sync-sales.js'];
-    
-    console.log(`🚀 Triggering background sync for user ${from}...`);
-    scripts.forEach(script => {
-        exec(`node ${script}`, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`[${script}] exec error: ${error}`);
-                return;
-            }
-            // Optional: log output for debugging
-            // if (stderr) console.warn(`[${script}] stderr: ${stderr}`);
-            // console.log(`[${script}] stdout: ${stdout}`);
-            console.log(`✅ [${script}] background sync completed.`);
-        });
-    });
+// Pull event changes from Tixr, then roll the orders up into sales. Users
+// asking at the same time share the syncs that are already running, and
+// the rollup waits for any orders sync that is writing rows.
+function refreshSalesData(from) {
+    const options = { trigger: 'user', triggeredBy: from };
+    return syncRunner.run('event-changes', options)
+        .catch(() => {}) // sales still roll up for the events we already have
+        .then(() => syncRunner.run('sales', options));
 }
 
-
-async function getAllUpcomingEvents(supabase, user) {
+async function getAllUpcomingEvents(user) {
     try {
         const userTimezone = user?.bot_user_timezone || 'America/New_York';
         const today = new Date();
         const todayInUserTZ = toZonedTime(today, userTimezone);
         const todayDateString = format(todayInUserTZ, 'yyyy-MM-dd');
 
-        const { data: events, error } = await supabase
-            .from('events')
-            .select('event_id, event_name, event_date')
-            .gte('event_date', todayDateString)
-            .order('event_date', { ascending: true });
-
-        if (error) {
-            console.error("Error fetching upcoming events:", error);
-            return null;
-        }
+        const events = await repository.listEvents({ fromDate: todayDateString });
 
-        if (!events) return [];
         const excludeWords = /Piknic|Test|Pass|Event|Template|Réservations/i;
-        return events.filter(event => !excludeWords.test(event.event_name));
+        return events
+            .filter(event => !excludeWords.test(event.event_name))
+            .map(({ event_id, event_name, event_date, event_status }) => ({ event_id, event_name, event_date, event_status }));
 
     } catch (e) {
-        console.error("Exception in getAllUpcomingEvents:", e);
+        console.error("Error fetching upcoming events:", e);
         return null;
     }
 }
@@ -83,27 +56,40 @@ async function displayEventList(from, events, showAll = false) {
     }
 
     const eventsToShow = showAll ? events : events.slice(0, 5);
+    const footer = !showAll && events.length > 5
+        ? '\nType *all* to see all upcoming events or *cancel* to exit.'
+        : '\nType *cancel* to exit.';
+
+    // WhatsApp lists hold at most 10 rows - longer lists stay as text
+    if (eventsToShow.length <= 10) {
+        const rows = eventsToShow.map(event => ({
+            id: event.event_id.toString(),
+            title: event.event_name.split(',')[0],
+            description: [format(parseEventDate(event.event_date), 'MMMM d'), formatStatus(event.event_status)].filter(Boolean).join(' · ')
+        }));
+        const body = `🎟️ *Upcoming Events* (showing ${eventsToShow.length} of ${events.length})\n\nChoose an event, or type its ID, Name, or Date.\n${footer}`;
+        await sendMessageWithList(from, body, 'Choose an event', [{ title: 'Upcoming Events', rows }]);
+        return;
+    }
+
     let message = `🎟️ *Upcoming Events* (showing ${eventsToShow.length} of ${events.length})\n\nPlease select an event by typing its ID, Name, or Date:\n\n`;
     
     eventsToShow.forEach(event => {
         const eventDate = parseEventDate(event.event_date);
         const formattedDate = format(eventDate, 'MMMM d');
         const eventName = event.event_name.split(',')[0];
-        message += `${event.event_id} - ${formattedDate} - ${eventName}\n`;
+        const status = formatStatus(event.event_status);
+        message += `${event.event_id} - ${formattedDate} - ${eventName}${status ? ` · ${status}` : ''}\n`;
     });
     
-    if (!showAll && events.length > 5) {
-        message += '\nType *all* to see all upcoming events or *cancel* to exit.';
-    } else {
-        message += '\nType *cancel* to exit.';
-    }
+    message += footer;
 
     await sendMessageInstant(from, message);
 }
 
-async function listUpcomingEvents(from, supabase, user, showAll = false) {
+async function listUpcomingEvents(from, user, showAll = false) {
     try {
-        const events = await getAllUpcomingEvents(supabase, user);
+        const events = await getAllUpcomingEvents(user);
 
         if (events === null) {
             await sendMessage(from, "❌ *Database Error*\n\nI couldn't fetch the event list from our database. Please try again in a moment.");
@@ -128,17 +114,25 @@ function formatCurrency(amount) {
     return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
 }
 
-async function showSalesReport(from, supabase, event, user) {
+async function showSalesReport(from, event, user) {
     await sendMessageInstant(from, "📊 *Loading sales data...*\n\nRetrieving sales information for this event.");
     
-    const { data: salesData, error } = await supabase
-        .from('events_sales')
-        .select('*')
-        .eq('event_id', event.event_id)
-        .single();
-
-    if (error || !salesData) {
+    let salesData = null;
+    let salesUpdatedAt = null;
+    let status = formatStatus(event.event_status);
+    try {
+        const [sales, storedEvent] = await Promise.all([
+            repository.getSales(event.event_id),
+            repository.getEvent(event.event_id)
+        ]);
+        salesData = sales;
+        salesUpdatedAt = storedEvent?.event_sales_updated || null;
+        status = formatStatus(storedEvent?.event_status) || status;
+    } catch (error) {
         console.error("Error fetching sales data:", error);
+    }
+
+    if (!salesData) {
         await sendMessage(from, "⚠️ *No Sales Data*\n\nNo sales data is available for this event yet, or there was an error retrieving it.");
         return;
     }
@@ -148,7 +142,9 @@ async function showSalesReport(from, supabase, event, user) {
     const formattedDate = format(eventDate, 'MMMM d, yyyy');
     const eventName = event.event_name.split(',')[0];
 
-    let report = `📊 *SALES REPORT*\n\n*${event.event_id} - ${formattedDate} - ${eventName}*\n\n`;
+    let report = `📊 *SALES REPORT*\n\n*${event.event_id} - ${formattedDate} - ${eventName}*\n`;
+    if (status) report += `${status}\n`;
+    report += '\n';
     const totalPaidTickets = (salesData.sales_total_ga || 0) + (salesData.sales_total_vip || 0) + (salesData.sales_total_tables || 0);
     const totalComps = (salesData.sales_total_comp_ga || 0) + (salesData.sales_total_comp_vip || 0);
     const totalFree = (salesData.sales_total_free_ga || 0) + (salesData.sales_total_free_vip || 0);
@@ -189,38 +185,42 @@ async function showSalesReport(from, supabase, event, user) {
         return;
     }
 
+    if (salesUpdatedAt) {
+        const userTimezone = user?.bot_user_timezone || 'America/New_York';
+        report += `\n_Data as of ${format(toZonedTime(new Date(salesUpdatedAt), userTimezone), 'MMM d, h:mm a')}_\n`;
+    }
+
     await sendMessageInstant(from, report);
     await new Promise(resolve => setTimeout(resolve, 1500));
-    await sendMessage(from, "🔄 *Would you like to check another event?*\n\nType *yes* to see more events or *no* to exit.", 800);
+    await sendMessageWithButtons(from, "🔄 *Would you like to check another event?*", REPLY_OPTIONS.CONFIRM);
 }
 
-async function handleSales(from, text, salesState, supabase, user) {
-    if (!salesState[from]) {
-        // MODIFIED: Run sync scripts and notify the user at the start of the flow.
-        runBackgroundSync(from);
+async function handleSales(from, text, user) {
+    const state = await conversations.get(from, FLOWS.SALES);
+
+    if (!state) {
         await sendMessageInstant(from, "🔄 *Refreshing the latest data...*\n\nPlease wait a moment while I fetch the event list.");
-        
-        const events = await listUpcomingEvents(from, supabase, user);
+
+        // Past the timeout the refresh carries on and the report shows
+        // when its figures were last saved
+        const refresh = await syncRunner.wait(refreshSalesData(from));
+        if (!refresh.done) {
+            console.warn(`⚠️ Sales refresh for ${from} ${refresh.timedOut ? 'is still running' : 'failed'}, listing saved data`);
+        }
+
+        const events = await listUpcomingEvents(from, user);
         if (events && events.length > 0) {
-            salesState[from] = { step: 'selecting_event', events };
-        } else {
-            delete salesState[from];
+            await conversations.set(from, FLOWS.SALES, { step: 'selecting_event', events });
         }
-        return salesState;
+        return;
     }
 
-    const state = salesState[from];
     const input = text.trim().toLowerCase();
 
     if (state.step === 'selecting_event') {
-        if (input === 'cancel') {
-            delete salesState[from];
-            await sendMessageInstant(from, "✅ *Sales lookup canceled.*");
-            return salesState;
-        }
         if (input === 'all') {
             await displayEventList(from, state.events, true);
-            return salesState;
+            return;
         }
         const selectedEvent = state.events.find(
             e => e.event_id.toString() === input ||
@@ -229,24 +229,28 @@ async function handleSales(from, text, salesState, supabase, user) {
         );
 
         if (selectedEvent) {
-            await showSalesReport(from, supabase, selectedEvent, user);
-            salesState[from] = { step: 'asking_continue', events: state.events, lastEvent: selectedEvent };
+            await showSalesReport(from, selectedEvent, user);
+            await conversations.set(from, FLOWS.SALES, { step: 'asking_continue', events: state.events, lastEvent: selectedEvent });
         } else {
             await sendMessageInstant(from, "❌ *Invalid Selection*\n\nPlease type a valid Event ID, Name, or Date from the list.\n\nOr type *cancel* to exit.");
         }
     } else if (state.step === 'asking_continue') {
         if (input === 'yes' || input === 'y') {
             await displayEventList(from, state.events, true);
-            salesState[from] = { step: 'selecting_event', events: state.events };
+            await conversations.set(from, FLOWS.SALES, { step: 'selecting_event', events: state.events });
         } else if (input === 'no' || input === 'n') {
-            delete salesState[from];
+            await conversations.delete(from, FLOWS.SALES);
             await sendMessage(from, "✅ *Thanks for using the sales module!*\n\nType *help* to see other available commands.", 400);
         } else {
             await sendMessage(from, "❓ *Please respond with yes or no*\n\nType *yes* to check another event or *no* to exit.", 600);
         }
     }
-
-    return salesState;
 }
 
-module.exports = handleSales;
\ No newline at end of file
+module.exports = {
+    name: 'sales',
+    description: 'View event sales figures',
+    section: 'Tixr Commands',
+    flow: FLOWS.SALES,
+    handler: ({ from, text, user }) => handleSales(from, text, user)
+};
\ No newline at end of file
@@ -1,6 +1,7 @@
 // commands/status.js - Updated to show secondary roles
 const { sendMessage, formatPhoneNumber } = require('../utils');
 const templates = require('../templates/templateLoader');
+const repository = require('../scripts/repository');
 
 function getFormattedUserRoles(user) {
   if (!user) return 'No roles';
@@ -29,7 +30,7 @@ function getFormattedUserRoles(user) {
   return roleList.join(', ');
 }
 
-async function handleStatus(from, user, parameter = '', supabase) {
+async function handleStatus(from, user, parameter = '') {
   if (!user) {
     const statusTemplates = templates.get('status');
     await sendMessage(from, statusTemplates.unregistered);
@@ -54,26 +55,8 @@ async function handleStatus(from, user, parameter = '', supabase) {
   }
 
   // Parameter provided - admin checking another user
-  if (user.bot_userrole !== 'ADMIN') {
-    const generalTemplates = templates.get('general');
-    await sendMessage(from, generalTemplates.accessDenied);
-    return;
-  }
-
   try {
-    // Search for user by username using existing supabase query
-    const { data: targetUser, error } = await supabase
-      .from('bot_users')
-      .select('*')
-      .ilike('bot_username', parameter)
-      .maybeSingle();
-
-    if (error) {
-      console.error('Error searching for user:', error);
-      const generalTemplates = templates.get('general');
-      await sendMessage(from, generalTemplates.technicalIssue);
-      return;
-    }
+    const targetUser = await repository.findUserByName(parameter);
 
     if (!targetUser) {
       const statusTemplates = templates.get('status', { username: parameter });
@@ -100,4 +83,9 @@ async function handleStatus(from, user, parameter = '', supabase) {
   }
 }
 
-module.exports = handleStatus;
\ No newline at end of file
+module.exports = {
+  name: 'status',
+  description: 'Check your current status',
+  parameterForm: { usage: 'status <username>', description: "Check another user's status" },
+  handler: ({ from, user, parameter }) => handleStatus(from, user, parameter)
+};
\ No newline at end of file
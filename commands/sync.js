@@ -0,0 +1,127 @@
+// commands/sync.js - Admin view of the scheduled sync jobs and their history, and running one now
+const { formatInTimeZone } = require('date-fns-tz');
+const { sendMessage } = require('../utils');
+const templates = require('../templates/templateLoader');
+const scheduler = require('../scripts/scheduler');
+const syncRunner = require('../scripts/syncRunner');
+const { SCHEDULER, SYNCS } = require('../config/constants');
+
+const STATUS_ICONS = {
+  running: '⏳',
+  success: '✅',
+  partial: '⚠️',
+  failed: '❌'
+};
+
+/**
+ * The counts of a sync run on one line, e.g. "new: 2 · removed: 1"
+ */
+function formatSummary(counts) {
+  const parts = Object.entries(counts || {}).map(([key, value]) => `${key}: ${value}`);
+  return parts.length > 0 ? parts.join(' · ') : 'Nothing to report';
+}
+
+function formatRun(run, timezone) {
+  const time = formatInTimeZone(new Date(run.started_at), timezone, 'MMM d, HH:mm');
+  const duration = run.duration_ms !== null && run.duration_ms !== undefined
+    ? ` · ${(run.duration_ms / 1000).toFixed(1)}s`
+    : '';
+  let line = `${STATUS_ICONS[run.status] || '•'} ${time} · ${run.scope} · ${run.trigger}${duration}`;
+
+  if (run.counts) {
+    line += `\n      ${formatSummary(run.counts)}`;
+  }
+  (run.errors || []).slice(0, 3).forEach(error => {
+    line += `\n      ⚠️ ${error.eventId ? `Event ${error.eventId}: ` : ''}${error.error}`;
+  });
+  return line;
+}
+
+function formatJob(job, timezone) {
+  const time = iso => formatInTimeZone(new Date(iso), timezone, 'MMM d, HH:mm');
+  let line = `*${job.name}* - ${job.description}\n`;
+
+  if (job.lastRun) {
+    line += `   ${STATUS_ICONS[job.lastRun.status] || '•'} Last: ${time(job.lastRun.startedAt)}`;
+    if (job.lastRun.error) line += ` - ${job.lastRun.error}`;
+  } else {
+    line += '   • Last: not run yet';
+  }
+
+  line += job.nextRunAt ? `\n   ⏰ Next: ${time(job.nextRunAt)}` : `\n   ⏸️ ${job.cron ? 'Scheduler off' : 'No schedule'}`;
+  return line;
+}
+
+async function listJobs(from, user) {
+  const timezone = user.bot_user_timezone || 'America/New_York';
+  const syncTemplates = templates.get('sync');
+  const jobs = scheduler.getJobs().map(job => formatJob(job, timezone)).join('\n\n');
+
+  await sendMessage(from, `${syncTemplates.header}\n\n${jobs}\n\n${syncTemplates.footer}`);
+}
+
+async function showLog(from, user, sync) {
+  const timezone = user.bot_user_timezone || 'America/New_York';
+  // Job names, as listed by `sync`, resolve to the sync they run
+  const runs = await syncRunner.getHistory({
+    sync: SCHEDULER.JOBS[sync]?.sync || sync || null,
+    limit: SYNCS.HISTORY_LIMIT
+  });
+  const syncTemplates = templates.get('sync', { target: sync || 'all syncs' });
+
+  if (runs.length === 0) {
+    await sendMessage(from, syncTemplates.noRuns);
+    return;
+  }
+
+  await sendMessage(from, `${syncTemplates.logHeader}\n\n${runs.map(run => formatRun(run, timezone)).join('\n')}`);
+}
+
+async function runJob(from, user, name) {
+  let run;
+  try {
+    run = scheduler.trigger(name, user.bot_username);
+  } catch (error) {
+    const jobs = scheduler.getJobs().map(job => `*${job.name}*`).join(', ');
+    await sendMessage(from, templates.get('sync', { job: name, jobs }).unknownJob);
+    return;
+  }
+
+  await sendMessage(from, templates.get('sync', { job: name }).started);
+
+  const outcome = await syncRunner.wait(run);
+  if (!outcome.done) {
+    await sendMessage(from, templates.get('sync', { job: name }).stillRunning);
+    return;
+  }
+
+  const { status, result, error } = outcome.run;
+  const syncTemplates = templates.get('sync', { job: name, summary: formatSummary(result), error });
+  await sendMessage(from, status === 'failed' ? syncTemplates.failed : syncTemplates.finished);
+}
+
+async function handleSync(from, user, parameter) {
+  try {
+    const [action, ...rest] = (parameter || '').split(/\s+/);
+
+    if (action === 'log') {
+      await showLog(from, user, rest.join(' '));
+    } else if (parameter) {
+      await runJob(from, user, parameter);
+    } else {
+      await listJobs(from, user);
+    }
+  } catch (error) {
+    console.error('Sync command error:', error);
+    const generalTemplates = templates.get('general');
+    await sendMessage(from, generalTemplates.technicalIssue);
+  }
+}
+
+module.exports = {
+  name: 'sync',
+  description: 'Scheduled sync jobs',
+  section: 'Admin Commands',
+  parameterForm: { usage: 'sync <job>', description: 'Run a sync job now, or *sync log [sync]* for past runs' },
+  handler: ({ from, user, parameter }) => handleSync(from, user, parameter)
+};
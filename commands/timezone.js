@@ -1,34 +1,31 @@
 // commands/timezone.js - Handle timezone changes
-const { sendMessage } = require('../utils');
+const { sendMessage, sendMessageWithButtons } = require('../utils');
 const templates = require('../templates/templateLoader');
 const database = require('../scripts/database');
+const conversations = require('../scripts/conversationStore');
+const { FLOWS, REPLY_OPTIONS } = require('../config/constants');
 
-async function handleTimezone(from, text, timezoneState, supabase, user) {
+async function handleTimezone(from, text, user) {
   // Only registered users can change timezone
   if (!user) {
     const generalTemplates = templates.get('general');
     await sendMessage(from, generalTemplates.welcomeUnregistered);
-    return timezoneState;
+    return;
   }
 
-  if (!timezoneState[from]) {
+  const state = await conversations.get(from, FLOWS.TIMEZONE);
+
+  if (!state) {
     // Start timezone change process
-    timezoneState[from] = { step: 1 };
+    await conversations.set(from, FLOWS.TIMEZONE, { step: 1 });
     const currentTz = database.getTimezoneName(user.bot_user_timezone);
     const timezoneTemplates = templates.get('timezone', { currentTimezone: currentTz });
-    await sendMessage(from, timezoneTemplates.prompt);
-    return timezoneState;
+    await sendMessageWithButtons(from, timezoneTemplates.prompt, REPLY_OPTIONS.TIMEZONE);
+    return;
   }
 
-  if (timezoneState[from].step === 1) {
+  if (state.step === 1) {
     // Handle timezone selection
-    if (text.toLowerCase() === 'cancel') {
-      delete timezoneState[from];
-      const timezoneTemplates = templates.get('timezone');
-      await sendMessage(from, timezoneTemplates.canceled);
-      return timezoneState;
-    }
-
     const input = text.toLowerCase().trim();
     let timezone = '';
     let timezoneName = '';
@@ -45,15 +42,15 @@ async function handleTimezone(from, text, timezoneState, supabase, user) {
     } else {
       const timezoneTemplates = templates.get('timezone');
       await sendMessage(from, timezoneTemplates.invalid);
-      return timezoneState;
+      return;
     }
 
     // Check if it's the same timezone
     if (timezone === user.bot_user_timezone) {
       const timezoneTemplates = templates.get('timezone', { timezone: timezoneName });
       await sendMessage(from, timezoneTemplates.unchanged);
-      delete timezoneState[from];
-      return timezoneState;
+      await conversations.delete(from, FLOWS.TIMEZONE);
+      return;
     }
 
     // Update timezone in database
@@ -76,11 +73,13 @@ async function handleTimezone(from, text, timezoneState, supabase, user) {
       await sendMessage(from, timezoneTemplates.failed);
     }
 
-    delete timezoneState[from];
-    return timezoneState;
+    await conversations.delete(from, FLOWS.TIMEZONE);
   }
-
-  return timezoneState;
 }
 
-module.exports = handleTimezone;
\ No newline at end of file
+module.exports = {
+  name: 'timezone',
+  description: 'Change your timezone setting',
+  flow: FLOWS.TIMEZONE,
+  handler: ({ from, text, user }) => handleTimezone(from, text, user)
+};
\ No newline at end of file
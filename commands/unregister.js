@@ -1,116 +1,97 @@
 // commands/unregister.js - Fixed to properly handle template variables
-const { sendMessage } = require('../utils');
+const { sendMessage, sendMessageWithButtons } = require('../utils');
 const templates = require('../templates/templateLoader');
+const conversations = require('../scripts/conversationStore');
+const repository = require('../scripts/repository');
+const { FLOWS, REPLY_OPTIONS } = require('../config/constants');
 
-async function handleUnregister(from, text, confirmationState, supabase, user, targetUsername = '') {
+async function handleUnregister(from, text, user, targetUsername = '') {
   try {
-    const generalTemplates = templates.get('general');
+    const confirmation = await conversations.get(from, FLOWS.UNREGISTER);
 
     // Check if user is in confirmation state
-    if (!confirmationState[from]) {
+    if (!confirmation) {
       // Admin trying to delete another user
-      if (targetUsername && user.bot_userrole === 'ADMIN') {
+      if (targetUsername) {
         // Search for target user
-        const { data: targetUser, error } = await supabase
-          .from('bot_users')
-          .select('*')
-          .ilike('bot_username', targetUsername)
-          .maybeSingle();
-
-        if (error) {
-          console.error('Error searching for user:', error);
-          await sendMessage(from, generalTemplates.technicalIssue);
-          return confirmationState;
-        }
+        const targetUser = await repository.findUserByName(targetUsername);
 
         if (!targetUser) {
           const unregisterTemplates = templates.get('unregister', { username: targetUsername });
           await sendMessage(from, unregisterTemplates.userNotFound);
-          return confirmationState;
+          return;
         }
 
         // Prevent admin from deleting another admin
         if (targetUser.bot_userrole === 'ADMIN') {
           const unregisterTemplates = templates.get('unregister');
           await sendMessage(from, unregisterTemplates.cannotDeleteAdmin);
-          return confirmationState;
+          return;
         }
 
         // Start confirmation for deleting another user
-        confirmationState[from] = { 
+        await conversations.set(from, FLOWS.UNREGISTER, { 
           action: 'unregister', 
-          targetUser: targetUser,
-          timestamp: Date.now() 
-        };
+          targetUser: targetUser
+        });
         
         const unregisterTemplates = templates.get('unregister', { username: targetUser.bot_username });
-        await sendMessage(from, unregisterTemplates.confirmOther);
-        return confirmationState;
+        await sendMessageWithButtons(from, unregisterTemplates.confirmOther, REPLY_OPTIONS.CONFIRM);
+        return;
       }
       
-      // Regular user or admin deleting themselves
-      if (targetUsername && user.bot_userrole !== 'ADMIN') {
-        await sendMessage(from, generalTemplates.accessDenied);
-        return confirmationState;
-      }
-
+      // Deleting themselves
       // Start confirmation for self-deletion
-      confirmationState[from] = { 
+      await conversations.set(from, FLOWS.UNREGISTER, { 
         action: 'unregister', 
-        targetUser: null, // null means self-deletion
-        timestamp: Date.now() 
-      };
+        targetUser: null // null means self-deletion
+      });
       
       const unregisterTemplates = templates.get('unregister');
-      await sendMessage(from, unregisterTemplates.confirmSelf);
-      return confirmationState;
+      await sendMessageWithButtons(from, unregisterTemplates.confirmSelf, REPLY_OPTIONS.CONFIRM);
+      return;
     }
 
     // Handle confirmation response
     const response = text.toLowerCase().trim();
     
     if (response === 'yes' || response === 'confirm') {
-      const isAdminDeletingOther = confirmationState[from].targetUser !== null;
-      const userToDelete = isAdminDeletingOther ? confirmationState[from].targetUser : user;
+      const isAdminDeletingOther = confirmation.targetUser !== null;
+      const userToDelete = isAdminDeletingOther ? confirmation.targetUser : user;
 
       // Delete the user from database
-      const { error } = await supabase
-        .from('bot_users')
-        .delete()
-        .eq('bot_userphone', userToDelete.bot_userphone);
+      await repository.deleteUser(userToDelete.bot_userphone);
 
-      if (error) {
-        console.error('Unregister delete error:', error);
-        await sendMessage(from, generalTemplates.technicalIssue);
+      if (isAdminDeletingOther) {
+        const unregisterTemplates = templates.get('unregister', { username: userToDelete.bot_username });
+        await sendMessage(from, unregisterTemplates.successOther);
       } else {
-        if (isAdminDeletingOther) {
-          const unregisterTemplates = templates.get('unregister', { username: userToDelete.bot_username });
-          await sendMessage(from, unregisterTemplates.successOther);
-        } else {
-          const unregisterTemplates = templates.get('unregister');
-          await sendMessage(from, unregisterTemplates.successSelf);
-        }
+        const unregisterTemplates = templates.get('unregister');
+        await sendMessage(from, unregisterTemplates.successSelf);
       }
       
-      delete confirmationState[from];
-    } else if (response === 'no' || response === 'cancel') {
+      await conversations.delete(from, FLOWS.UNREGISTER);
+    } else if (response === 'no') {
       const unregisterTemplates = templates.get('unregister');
       await sendMessage(from, unregisterTemplates.canceled);
-      delete confirmationState[from];
+      await conversations.delete(from, FLOWS.UNREGISTER);
     } else {
       // Invalid response
       const unregisterTemplates = templates.get('unregister');
       await sendMessage(from, unregisterTemplates.invalidResponse);
     }
-
-    return confirmationState;
   } catch (error) {
     console.error('Unregister error:', error);
     const generalTemplates = templates.get('general');
     await sendMessage(from, generalTemplates.technicalIssue);
-    delete confirmationState[from];
-    return confirmationState;
+    await conversations.delete(from, FLOWS.UNREGISTER);
   }
 }
 
-module.exports = handleUnregister;
\ No newline at end of file
+module.exports = {
+  name: 'unregister',
+  description: 'Remove your registration',
+  parameterForm: { usage: 'unregister <username>', description: 'Remove another user' },
+  flow: FLOWS.UNREGISTER,
+  handler: ({ from, text, user, parameter }) => handleUnregister(from, text, user, parameter)
+};
\ No newline at end of file
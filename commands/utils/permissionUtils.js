@@ -1,25 +1,28 @@
-// utils/permissionUtils.js - Utility functions for checking permissions
-const permissions = require('../config/permissions.json');
+// commands/utils/permissionUtils.js - Utility functions for checking permissions
+const permissions = require('../../config/permissions.json');
 
 /**
- * Check if user has permission to use a command
- * @param {object} user - User object from database
- * @param {string} command - Command name to check
+ * Check if user has permission to use a command. Entries in
+ * commandPermissions list primary roles, secondary roles or "*" (anyone,
+ * registered or not). Commands without an entry are denied.
+ * @param {object} user - User object from database (null if unregistered)
+ * @param {string} command - Command or command form, e.g. "status <username>"
  * @returns {boolean} Whether user has permission
  */
 function hasCommandPermission(user, command) {
-  if (!user) return false;
-  
   const allowedRoles = permissions.commandPermissions[command];
   if (!allowedRoles) return false;
   
-  // Allow all users for public commands
+  // Allow everyone for public commands
   if (allowedRoles.includes('*')) return true;
   
+  if (!user) return false;
+  
   // Check primary role
   if (allowedRoles.includes(user.bot_userrole)) return true;
   
-  return false;
+  // Check secondary roles
+  return getUserSecondaryRoles(user).some(role => allowedRoles.includes(role));
 }
 
 /**
@@ -83,67 +86,9 @@ function getFormattedUserRoles(user) {
   return roleList.length > 0 ? roleList.join(', ') : 'Standard User';
 }
 
-/**
- * Generate help message based on user's roles and permissions
- * @param {object} user - User object from database
- * @returns {string} Customized help message
- */
-function generateRoleBasedHelp(user) {
-  if (!user) {
-    return permissions.unregisteredHelp || "You need to register first. Type *register* to get started.";
-  }
-
-  let helpMessage = '';
-  
-  // Primary role commands
-  const primaryRole = permissions.primaryRoles[user.bot_userrole];
-  if (primaryRole) {
-    if (user.bot_userrole === 'ADMIN') {
-      helpMessage += "👨‍💼 *Admin Commands*\n\n";
-      helpMessage += "🔹 *sales* - View event sales figures\n";
-      helpMessage += "🔹 *promoter* - View promoter ticket data\n";
-      helpMessage += "🔹 *timezone* - Change your timezone setting\n";
-      helpMessage += "🔹 *help* - Show this help menu\n";
-      helpMessage += "🔹 *status* - Check your current status\n";
-      helpMessage += "🔹 *status <username>* - Check another user's status\n";
-      helpMessage += "🔹 *role* - Request additional roles\n";
-      helpMessage += "🔹 *unregister* - Remove your registration\n";
-      helpMessage += "🔹 *unregister <username>* - Remove another user\n";
-      helpMessage += "🔹 *list users* - View all registered users\n";
-      helpMessage += "🔹 *password* - View role passwords\n";
-    } else {
-      helpMessage += "👤 *User Commands*\n\n";
-      helpMessage += "🔹 *sales* - View event sales figures\n";
-      helpMessage += "🔹 *promoter* - View promoter ticket data\n";
-      helpMessage += "🔹 *timezone* - Change your timezone setting\n";
-      helpMessage += "🔹 *help* - Show this help menu\n";
-      helpMessage += "🔹 *status* - Check your current status\n";
-      helpMessage += "🔹 *role* - Request additional roles\n";
-      helpMessage += "🔹 *unregister* - Remove your registration\n";
-    }
-  }
-
-  // Add secondary role information if user has any
-  const secondaryRoles = getUserSecondaryRoles(user);
-  if (secondaryRoles.length > 0) {
-    helpMessage += "\n🎭 *Your Additional Roles:*\n";
-    secondaryRoles.forEach(roleKey => {
-      const roleInfo = permissions.secondaryRoles[roleKey];
-      if (roleInfo) {
-        helpMessage += `• ${roleInfo.name}\n`;
-      }
-    });
-  }
-
-  helpMessage += "\nNeed more assistance? Just ask!";
-  
-  return helpMessage;
-}
-
 module.exports = {
   hasCommandPermission,
   hasFeaturePermission,
   getUserSecondaryRoles,
-  getFormattedUserRoles,
-  generateRoleBasedHelp
+  getFormattedUserRoles
 };
\ No newline at end of file
@@ -41,6 +41,61 @@ module.exports = {
     NO: 'no'
   },
   
+  // Multi-step conversation flows
+  FLOWS: {
+    REGISTRATION: 'registration',
+    UNREGISTER: 'unregister',
+    SALES: 'sales',
+    TIMEZONE: 'timezone',
+    PROMOTER: 'promoter',
+    ROLE: 'role'
+  },
+  
+  // How each flow is named in messages to the user
+  FLOW_LABELS: {
+    registration: 'registration',
+    unregister: 'account deletion',
+    sales: 'sales lookup',
+    timezone: 'timezone change',
+    promoter: 'promoter export',
+    role: 'role management'
+  },
+  
+  // Interactive reply options. Each id is what the flow accepts as typed
+  // input, so taps and typed replies take the same path.
+  REPLY_OPTIONS: {
+    TIMEZONE: [
+      { id: '1', title: 'Montreal (ET)' },
+      { id: '2', title: 'Los Angeles (PT)' },
+      { id: '3', title: 'Other (UTC)' }
+    ],
+    CONFIRM: [
+      { id: 'yes', title: 'Yes' },
+      { id: 'no', title: 'No' }
+    ],
+    CONFIRM_OR_BACK: [
+      { id: 'yes', title: 'Yes' },
+      { id: 'back', title: 'Go back' }
+    ],
+    ROLE_MENU: [
+      { id: '1', title: 'Add Role' },
+      { id: '2', title: 'Remove Role' }
+    ]
+  },
+  
+  // Idle time after which an unfinished flow is abandoned
+  FLOW_TIMEOUTS: {
+    registration: 900000,   // 15 minutes
+    unregister: 300000,     // 5 minutes
+    sales: 900000,          // 15 minutes
+    timezone: 600000,       // 10 minutes
+    promoter: 900000,       // 15 minutes
+    role: 900000            // 15 minutes
+  },
+  
+  // Expired flows are kept this long so the user can still be told
+  FLOW_PURGE_DELAY: 86400000, // 24 hours
+  
   // Message types
   MESSAGE_TYPES: {
     TEXT: 'text',
@@ -55,6 +110,34 @@ module.exports = {
     TIMEZONE: 'America/New_York'
   },
   
+  // WhatsApp Cloud API endpoint
+  WHATSAPP_API: {
+    VERSION: 'v19.0',
+    BASE_URL: 'https://graph.facebook.com'
+  },
+  
+  // Tixr Studio API
+  TIXR_API: {
+    BASE_URL: 'https://studio.tixr.com',
+    PAGE_SIZE: 100,         // events per page
+    ORDERS_PAGE_SIZE: 1000,
+    MAX_RETRIES: 3,
+    RETRY_BASE: 1000,       // doubled on each retry
+    RETRY_MAX: 30000        // 30 seconds
+  },
+  
+  // Local Cloud API simulator (scripts/whatsappSimulator.js)
+  WHATSAPP_SIMULATOR: {
+    PORT: 4010
+  },
+  
+  // Local Tixr API (scripts/tixrMock.js)
+  TIXR_MOCK: {
+    PORT: 4020,
+    FIXTURES: 'test/fixtures/tixr',
+    PAGE_SIZE: 100
+  },
+  
   // API timeouts
   TIMEOUTS: {
     WHATSAPP_API: 10000,   // 10 seconds
@@ -62,9 +145,113 @@ module.exports = {
     DATABASE: 5000         // 5 seconds
   },
   
+  // Background processing of inbound messages
+  JOB_QUEUE: {
+    CONCURRENCY: 5,
+    TIMEOUT: 120000,        // 2 minutes
+    MAX_DEAD_LETTERS: 100
+  },
+  
+  // Outbound message dispatching
+  OUTBOUND: {
+    RATE_PER_SECOND: 20,
+    RECIPIENT_GAP: 300,     // between messages to the same recipient
+    MAX_RETRIES: 4,
+    RETRY_BASE: 500,        // doubled on each retry
+    RETRY_MAX: 30000,       // 30 seconds
+    MAX_FAILURES: 100
+  },
+  
+  // WhatsApp error codes that clear up on their own (throughput and
+  // pair rate limits, temporary service errors)
+  RETRYABLE_WHATSAPP_ERRORS: [4, 80007, 130429, 131000, 131016, 131056],
+  
+  // Connection errors where the request never reached WhatsApp, so a
+  // retry can't deliver the message twice. Timeouts are not in here.
+  RETRYABLE_NETWORK_ERRORS: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET'],
+  
+  // Outbound message delivery log
+  MESSAGE_LOG: {
+    RETENTION: 604800000,   // 7 days
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 200
+  },
+  
+  // Delivery statuses in the order WhatsApp reports them
+  DELIVERY_STATUS_ORDER: ['accepted', 'sent', 'delivered', 'read'],
+  
+  // In-process data syncs (scripts/syncRunner.js)
+  SYNCS: {
+    WAIT_TIMEOUT: 15000,    // how long a command waits for fresh data
+    MAX_FAILURES: 50,
+    HISTORY_LIMIT: 10,      // sync runs listed by default
+    HISTORY_MAX_LIMIT: 200
+  },
+  
+  // Event lifecycle statuses (scripts/eventStatus.js)
+  EVENT_LIFECYCLE: {
+    VENUE_TIMEZONE: 'America/Montreal',  // for events Tixr gives no timezone
+    END_HOUR: 4                          // events without an end time end at 4 AM the next day
+  },
+  
+  // Events that disappear from Tixr (sync-events.js)
+  EVENT_REMOVAL: {
+    GRACE_PERIOD: 86400000  // 24 hours missing before an event is REMOVED
+  },
+  
+  // Syncs run on a schedule inside the server (scripts/scheduler.js).
+  // Each cron expression can be overridden with SCHEDULE_<JOB>, e.g.
+  // SCHEDULE_EVENT_CHANGES="*/5 * * * *", or turned off with "off".
+  // A scheduled run is skipped while its sync, or another sync of its
+  // group (see scripts/syncRunner.js), is still going.
+  SCHEDULER: {
+    TIMEZONE: 'America/Montreal',
+    JITTER: 30000,          // random delay added to each scheduled run
+    JOBS: {
+      'event-changes': {
+        sync: 'event-changes',
+        cron: '*/30 * * * *',
+        description: 'New, updated and removed Tixr events'
+      },
+      'event-statuses': {
+        sync: 'event-statuses',
+        cron: '0 * * * *',
+        description: 'Move events on to on sale, sold out, doors open or past'
+      },
+      'orders': {
+        sync: 'live-orders',
+        cron: '*/15 * * * *',
+        description: 'New orders of upcoming events'
+      },
+      'orders-resync': {
+        sync: 'live-orders-full',
+        cron: '40 4 * * *',     // between the orders and sales runs
+        description: 'Every order of upcoming events again, for refunds'
+      },
+      'sales': {
+        sync: 'sales',
+        cron: '5,20,35,50 * * * *', // shortly after the orders sync
+        description: 'Roll orders up into sales'
+      }
+    }
+  },
+  
+  // Data repository (scripts/repository.js)
+  REPOSITORY: {
+    PAGE_SIZE: 1000         // Supabase returns at most 1000 rows per request
+  },
+  
+  // Inbound message deduplication
+  DEDUPE: {
+    RETENTION: 86400000     // 24 hours
+  },
+  
   // Cleanup intervals
   CLEANUP_INTERVALS: {
     RATE_LIMITER: 60000,    // 1 minute
+    DEDUPE_STORE: 600000,   // 10 minutes
+    CONVERSATIONS: 600000,  // 10 minutes
+    MESSAGE_LOG: 3600000,   // 1 hour
     KEEP_ALIVE: 780000      // 13 minutes
   }
 };
\ No newline at end of file
@@ -1,9 +1,12 @@
 // config/environment.js - Environment configuration
+const { DEDUPE, EVENT_LIFECYCLE, EVENT_REMOVAL, JOB_QUEUE, FLOW_TIMEOUTS, MESSAGE_LOG, OUTBOUND, SCHEDULER, SYNCS, TIMEOUTS, TIXR_API, WHATSAPP_API } = require('./constants');
+
 const requiredEnvVars = [
   'SUPABASE_URL',
   'SUPABASE_KEY', 
   'WHATSAPP_TOKEN',
   'PHONE_NUMBER_ID',
+  'WHATSAPP_APP_SECRET',
   'ADMIN_PASSWORD',
   'USER_PASSWORD',
   'TIXR_CPK',
@@ -14,7 +17,34 @@ const requiredEnvVars = [
 const optionalEnvVars = {
   PORT: 3000,
   NODE_ENV: 'production',
-  VERIFY_TOKEN: 'produktbot_verify'
+  VERIFY_TOKEN: 'produktbot_verify',
+  WHATSAPP_API_VERSION: WHATSAPP_API.VERSION,
+  WHATSAPP_API_BASE_URL: WHATSAPP_API.BASE_URL,
+  DATABASE_BACKEND: 'supabase',
+  DEDUPE_BACKEND: 'memory',
+  CONVERSATION_BACKEND: 'memory',
+  DEDUPE_RETENTION_MS: DEDUPE.RETENTION,
+  JOB_CONCURRENCY: JOB_QUEUE.CONCURRENCY,
+  JOB_TIMEOUT_MS: JOB_QUEUE.TIMEOUT,
+  SYNC_WAIT_TIMEOUT_MS: SYNCS.WAIT_TIMEOUT,
+  EVENT_REMOVAL_GRACE_MS: EVENT_REMOVAL.GRACE_PERIOD,
+  VENUE_TIMEZONE: EVENT_LIFECYCLE.VENUE_TIMEZONE,
+  SCHEDULER_ENABLED: 'true',
+  SCHEDULER_TIMEZONE: SCHEDULER.TIMEZONE,
+  SCHEDULER_JITTER_MS: SCHEDULER.JITTER,
+  MESSAGE_LOG_BACKEND: 'memory',
+  MESSAGE_LOG_RETENTION_MS: MESSAGE_LOG.RETENTION,
+  OUTBOUND_RATE_PER_SECOND: OUTBOUND.RATE_PER_SECOND,
+  OUTBOUND_RECIPIENT_GAP_MS: OUTBOUND.RECIPIENT_GAP,
+  OUTBOUND_MAX_RETRIES: OUTBOUND.MAX_RETRIES,
+  OUTBOUND_RETRY_BASE_MS: OUTBOUND.RETRY_BASE,
+  TYPING_DELAYS: 'true',
+  TIXR_BASE_URL: TIXR_API.BASE_URL,
+  TIXR_PAGE_SIZE: TIXR_API.PAGE_SIZE,
+  TIXR_ORDERS_PAGE_SIZE: TIXR_API.ORDERS_PAGE_SIZE,
+  TIXR_TIMEOUT_MS: TIMEOUTS.TIXR_API,
+  TIXR_MAX_RETRIES: TIXR_API.MAX_RETRIES,
+  TIXR_RETRY_BASE_MS: TIXR_API.RETRY_BASE
 };
 
 function validateEnvironment() {
@@ -35,6 +65,38 @@ function validateEnvironment() {
   console.log('✅ Environment configuration validated');
 }
 
+/**
+ * Flow idle timeouts, overridable per flow with FLOW_TIMEOUT_<FLOW>_MS
+ */
+function getFlowTimeouts() {
+  const timeouts = {};
+  Object.entries(FLOW_TIMEOUTS).forEach(([flow, defaultMs]) => {
+    const override = parseInt(process.env[`FLOW_TIMEOUT_${flow.toUpperCase()}_MS`]);
+    timeouts[flow] = override > 0 ? override : defaultMs;
+  });
+  return timeouts;
+}
+
+/**
+ * Scheduled sync jobs, with the cron expression overridable per job with
+ * SCHEDULE_<JOB> (e.g. SCHEDULE_EVENT_CHANGES). "off" disables a job.
+ */
+function getScheduledJobs() {
+  return Object.entries(SCHEDULER.JOBS).map(([name, job]) => {
+    const override = process.env[`SCHEDULE_${name.toUpperCase().replace(/-/g, '_')}`];
+    const cron = override ? override.trim() : job.cron;
+    return { name, ...job, cron: cron === 'off' ? null : cron };
+  });
+}
+
+/**
+ * Parse an integer setting where 0 is meaningful (e.g. no retries)
+ */
+function parseNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value);
+  return parsed >= 0 ? parsed : defaultValue;
+}
+
 function getConfig() {
   return {
     server: {
@@ -44,20 +106,74 @@ function getConfig() {
     whatsapp: {
       token: process.env.WHATSAPP_TOKEN,
       phoneNumberId: process.env.PHONE_NUMBER_ID,
-      verifyToken: process.env.VERIFY_TOKEN || 'produktbot_verify'
+      verifyToken: process.env.VERIFY_TOKEN || 'produktbot_verify',
+      appSecret: process.env.WHATSAPP_APP_SECRET,
+      apiVersion: process.env.WHATSAPP_API_VERSION || WHATSAPP_API.VERSION,
+      apiBaseUrl: process.env.WHATSAPP_API_BASE_URL || WHATSAPP_API.BASE_URL
     },
     database: {
       url: process.env.SUPABASE_URL,
-      key: process.env.SUPABASE_KEY
+      key: process.env.SUPABASE_KEY,
+      backend: process.env.DATABASE_BACKEND || 'supabase',
+      file: process.env.DATABASE_FILE || null,
+      connectionString: process.env.DATABASE_URL || null
+    },
+    dedupe: {
+      backend: process.env.DEDUPE_BACKEND || 'memory',
+      retentionMs: parseInt(process.env.DEDUPE_RETENTION_MS) || DEDUPE.RETENTION
+    },
+    conversations: {
+      backend: process.env.CONVERSATION_BACKEND || 'memory',
+      timeouts: getFlowTimeouts()
+    },
+    jobs: {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || JOB_QUEUE.CONCURRENCY,
+      timeoutMs: parseInt(process.env.JOB_TIMEOUT_MS) || JOB_QUEUE.TIMEOUT,
+      maxDeadLetters: JOB_QUEUE.MAX_DEAD_LETTERS
+    },
+    syncs: {
+      waitTimeoutMs: parseInt(process.env.SYNC_WAIT_TIMEOUT_MS) || SYNCS.WAIT_TIMEOUT,
+      maxFailures: SYNCS.MAX_FAILURES
+    },
+    events: {
+      venueTimezone: process.env.VENUE_TIMEZONE || EVENT_LIFECYCLE.VENUE_TIMEZONE,
+      removalGraceMs: parseNonNegativeInt(process.env.EVENT_REMOVAL_GRACE_MS, EVENT_REMOVAL.GRACE_PERIOD)
+    },
+    scheduler: {
+      enabled: process.env.SCHEDULER_ENABLED !== 'false',
+      timezone: process.env.SCHEDULER_TIMEZONE || SCHEDULER.TIMEZONE,
+      jitterMs: parseNonNegativeInt(process.env.SCHEDULER_JITTER_MS, SCHEDULER.JITTER),
+      jobs: getScheduledJobs()
+    },
+    messageLog: {
+      backend: process.env.MESSAGE_LOG_BACKEND || 'memory',
+      retentionMs: parseInt(process.env.MESSAGE_LOG_RETENTION_MS) || MESSAGE_LOG.RETENTION
+    },
+    outbound: {
+      ratePerSecond: parseFloat(process.env.OUTBOUND_RATE_PER_SECOND) || OUTBOUND.RATE_PER_SECOND,
+      recipientGapMs: parseNonNegativeInt(process.env.OUTBOUND_RECIPIENT_GAP_MS, OUTBOUND.RECIPIENT_GAP),
+      maxRetries: parseNonNegativeInt(process.env.OUTBOUND_MAX_RETRIES, OUTBOUND.MAX_RETRIES),
+      retryBaseMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS) || OUTBOUND.RETRY_BASE,
+      retryMaxMs: OUTBOUND.RETRY_MAX,
+      maxFailures: OUTBOUND.MAX_FAILURES,
+      typingDelays: process.env.TYPING_DELAYS !== 'false'
     },
     tixr: {
       cpk: process.env.TIXR_CPK,
       secretKey: process.env.TIXR_SECRET_KEY,
-      groupId: process.env.TIXR_GROUP_ID || '980'
+      groupId: process.env.TIXR_GROUP_ID || '980',
+      baseUrl: process.env.TIXR_BASE_URL || TIXR_API.BASE_URL,
+      pageSize: parseInt(process.env.TIXR_PAGE_SIZE) || TIXR_API.PAGE_SIZE,
+      ordersPageSize: parseInt(process.env.TIXR_ORDERS_PAGE_SIZE) || TIXR_API.ORDERS_PAGE_SIZE,
+      timeoutMs: parseInt(process.env.TIXR_TIMEOUT_MS) || TIMEOUTS.TIXR_API,
+      maxRetries: parseNonNegativeInt(process.env.TIXR_MAX_RETRIES, TIXR_API.MAX_RETRIES),
+      retryBaseMs: parseInt(process.env.TIXR_RETRY_BASE_MS) || TIXR_API.RETRY_BASE,
+      retryMaxMs: TIXR_API.RETRY_MAX
     },
     auth: {
       adminPassword: process.env.ADMIN_PASSWORD,
-      userPassword: process.env.USER_PASSWORD
+      userPassword: process.env.USER_PASSWORD,
+      adminApiKey: process.env.ADMIN_API_KEY || null
     }
   };
 }
@@ -2,66 +2,57 @@
 require("dotenv").config();
 const express = require("express");
 const bodyParser = require("body-parser");
-const { createClient } = require("@supabase/supabase-js");
 
 // Import utilities
 const {
   validateEnvironmentVariables,
-  parseCommandWithSuggestions,
   logIncomingMessageWithTyping,
   sendMessage,
 } = require("./utils");
 
-// Import command handlers
-const handleRegister = require("./commands/register");
-const handleHelp = require("./commands/help");
-const handleStatus = require("./commands/status");
-const handleUnregister = require("./commands/unregister");
-const handleListUsers = require("./commands/listUsers");
-const handleSales = require("./commands/sales");
-const handleTimezone = require("./commands/timezone");
-const handlePromoter = require("./commands/promoter");
-const handleRole = require("./commands/role");
-const handlePassword = require("./commands/password");
+// Import command registry (loads every command in commands/)
+const commands = require("./commands/registry");
 
 // Import new modules
 const rateLimiter = require("./middleware/rateLimiter");
+const authorization = require("./middleware/authorization");
+const webhookSignature = require("./middleware/webhookSignature");
+const { getConfig } = require("./config/environment");
 const templates = require("./templates/templateLoader");
 const database = require("./scripts/database");
+const repository = require("./scripts/repository");
+const jobQueue = require("./scripts/jobQueue");
+const syncRunner = require("./scripts/syncRunner");
+const scheduler = require("./scripts/scheduler");
+const dedupeStore = require("./scripts/dedupeStore");
+const conversations = require("./scripts/conversationStore");
+const messageLog = require("./scripts/messageLog");
+const outboundQueue = require("./scripts/outboundQueue");
+const adminAuth = require("./middleware/adminAuth");
+const { FLOW_LABELS, SYNCS } = require("./config/constants");
 // REMOVED: const { manageEventSync } = require("./eventManager");
 
 // Environment validation
+// Supabase is optional when the data lives in memory (DATABASE_BACKEND=memory)
 const requiredEnvVars = [
-  "SUPABASE_URL",
-  "SUPABASE_KEY",
+  ...(process.env.DATABASE_BACKEND === "memory" ? [] : ["SUPABASE_URL", "SUPABASE_KEY"]),
   "WHATSAPP_TOKEN",
   "PHONE_NUMBER_ID",
+  "WHATSAPP_APP_SECRET",
   "ADMIN_PASSWORD",
   "USER_PASSWORD",
 ];
 validateEnvironmentVariables(requiredEnvVars);
 
 // Constants
-const VERIFY_TOKEN = "produktbot_verify";
+const config = getConfig();
 const PORT = process.env.PORT || 3000;
 
-// State management (consider Redis for production)
-let registrationState = {};
-let confirmationState = {};
-let salesState = {};
-let timezoneState = {};
-let promoterState = {};
-let roleState = {};
-
-// Service clients
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
 const app = express();
 
 // Enhanced middleware
-app.use(bodyParser.json());
+// Keep the raw body around so webhook signatures can be verified
+app.use(bodyParser.json({ verify: webhookSignature.captureRawBody }));
 app.use((req, res, next) => {
   res.setHeader("X-Powered-By", "Produkt-Bot");
   next();
@@ -92,7 +83,7 @@ app.get("/webhook", (req, res) => {
   const token = req.query["hub.verify_token"];
   const challenge = req.query["hub.challenge"];
 
-  if (mode === "subscribe" && token === VERIFY_TOKEN) {
+  if (mode === "subscribe" && token === config.whatsapp.verifyToken) {
     console.log("✅ Webhook verified successfully");
     res.status(200).send(challenge);
   } else {
@@ -101,80 +92,117 @@ app.get("/webhook", (req, res) => {
   }
 });
 
-// FIXED: Enhanced webhook handler with proper filtering
-app.post("/webhook", async (req, res) => {
-  try {
-    // STEP 1: Validate webhook structure
-    const entry = req.body.entry?.[0];
-    if (!entry) {
-      console.log("🔍 Webhook: No entry found, ignoring");
-      return res.sendStatus(200);
-    }
+// Only accept webhook calls signed with our Meta app secret
+const verifyWebhookSignature = webhookSignature.middleware(
+  config.whatsapp.appSecret
+);
 
-    const changes = entry.changes?.[0];
-    if (!changes) {
-      console.log("🔍 Webhook: No changes found, ignoring");
-      return res.sendStatus(200);
+/**
+ * Collect every message and delivery status in a webhook payload, in
+ * delivery order. Meta may batch several entries, changes and messages
+ * in one call.
+ */
+function collectWebhookEvents(body) {
+  const messages = [];
+  const statuses = [];
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const value = change?.value;
+      if (!value) continue;
+      if (Array.isArray(value.messages)) messages.push(...value.messages);
+      if (Array.isArray(value.statuses)) statuses.push(...value.statuses);
     }
+  }
 
-    const value = changes.value;
-    if (!value) {
-      console.log("🔍 Webhook: No value found, ignoring");
-      return res.sendStatus(200);
-    }
+  return { messages, statuses };
+}
+
+/**
+ * Get the input a message carries. Button and list replies become their
+ * reply id, which the flows accept exactly like typed text.
+ */
+function getMessageText(message) {
+  if (message.type === "interactive") {
+    const reply =
+      message.interactive?.button_reply || message.interactive?.list_reply;
+    return reply?.id?.trim();
+  }
 
-    // STEP 2: Check if this is a message event (not status update)
-    if (
-      !value.messages ||
-      !Array.isArray(value.messages) ||
-      value.messages.length === 0
-    ) {
-      console.log(
-        "🔍 Webhook: No messages array or empty, likely status update - ignoring"
-      );
-      return res.sendStatus(200);
-    }
+  return message.text?.body?.trim();
+}
 
-    const message = value.messages[0];
+/**
+ * Run a command once permissions.json allows it for this sender
+ */
+async function runCommand(command, context) {
+  const { from, user, parameter } = context;
+  const permission = commands.getPermission(command, parameter);
 
-    // STEP 3: Validate message structure and type
+  if (!authorization.authorize(from, user, permission)) {
+    const generalTemplates = templates.get("general");
+    await sendMessage(from, generalTemplates.accessDenied);
+    return;
+  }
+
+  console.log(`🔍 Running ${command.name} command for ${from}`);
+  await command.handler(context);
+}
+
+/**
+ * Process a single inbound WhatsApp message. If handling it fails - even
+ * after the job queue gave up waiting - its id is released from the
+ * dedupe store so a redelivery gets another try.
+ */
+async function processMessage(message) {
+  let claimed = false;
+
+  try {
+    // STEP 1: Validate message structure and type
     if (!message || !message.from || !message.id) {
       console.log("🔍 Webhook: Invalid message structure, ignoring");
-      return res.sendStatus(200);
+      return;
     }
 
-    // STEP 4: Only process text messages
-    if (message.type !== "text") {
+    // STEP 2: Only process text messages and button/list replies
+    if (message.type !== "text" && message.type !== "interactive") {
       console.log(
-        `🔍 Webhook: Non-text message type (${message.type}), ignoring`
+        `🔍 Webhook: Unsupported message type (${message.type}), ignoring`
       );
-      return res.sendStatus(200);
+      return;
     }
 
-    // STEP 5: Validate text content
-    const text = message.text?.body?.trim();
+    // STEP 3: Validate text content
+    const text = getMessageText(message);
     if (!text || text.length === 0) {
       console.log("🔍 Webhook: Empty text message, ignoring");
-      return res.sendStatus(200);
+      return;
     }
 
     const from = message.from;
     const messageId = message.id;
 
-    // STEP 6: Ignore messages from the bot itself
+    // STEP 4: Ignore messages from the bot itself
     if (from === process.env.PHONE_NUMBER_ID) {
       console.log("🔍 Webhook: Message from bot itself, ignoring");
-      return res.sendStatus(200);
+      return;
+    }
+
+    // STEP 5: Skip redeliveries of messages we already handled
+    if (!(await dedupeStore.isFirstDelivery(messageId))) {
+      console.log(`🔁 Webhook: Duplicate delivery of ${messageId}, ignoring`);
+      return;
     }
+    claimed = true;
 
-    // STEP 7: Log that we're processing a valid message
+    // STEP 6: Log that we're processing a valid message
     console.log(`📩 Processing valid message from ${from}: "${text}"`);
 
     // Rate limiting check
     const rateCheck = rateLimiter.isAllowed(from);
     if (!rateCheck.allowed) {
       await sendMessage(from, rateCheck.message);
-      return res.sendStatus(200);
+      return;
     }
 
     // REMOVED: Background event sync call
@@ -190,240 +218,70 @@ app.post("/webhook", async (req, res) => {
       console.error("Database error:", userResult.error);
       const generalTemplates = templates.get("general");
       await sendMessage(from, generalTemplates.technicalIssue);
-      return res.sendStatus(200);
+      return;
     }
 
     // Log incoming message
     logIncomingMessageWithTyping(from, text, user, messageId);
 
     // Parse command with suggestions
-    const commandResult = parseCommandWithSuggestions(text, user);
-    const command = commandResult.command;
-    const suggestion = commandResult.suggestion;
+    const { command, parameter, suggestion } = commands.parse(text, user);
 
     // FIXED: Check for ongoing flows FIRST - before any command processing
-    const isRegistering = registrationState[from];
-    const isConfirming = confirmationState[from];
-    const isHandlingSales = salesState[from];
-    const isChangingTimezone = timezoneState[from];
-    const isHandlingPromoter = promoterState[from];
-    const isHandlingRole = roleState[from];
-
-    // Handle ongoing flows FIRST
-    if (isRegistering) {
-      registrationState = await handleRegister(
-        from,
-        text,
-        registrationState,
-        supabase
-      );
-      return res.sendStatus(200);
+    let activeFlow = await conversations.getActive(from);
+
+    // Abandoned flows no longer capture input - tell the user and move on
+    if (activeFlow?.expired) {
+      await conversations.delete(from, activeFlow.flow);
+      const timeoutMs = config.conversations.timeouts[activeFlow.flow];
+      const generalTemplates = templates.get("general", {
+        flow: FLOW_LABELS[activeFlow.flow] || activeFlow.flow,
+        minutes: Math.max(1, Math.round(timeoutMs / 60000)),
+      });
+      await sendMessage(from, generalTemplates.flowExpired);
+      activeFlow = null;
     }
 
-    if (isConfirming?.action === "unregister") {
-      confirmationState = await handleUnregister(
-        from,
-        text,
-        confirmationState,
-        supabase,
-        user
-      );
-      return res.sendStatus(200);
-    }
+    const context = {
+      from,
+      text,
+      parameter,
+      user,
+      activeFlow,
+      registry: commands,
+    };
 
-    if (isHandlingSales) {
-      salesState = await handleSales(from, text, salesState, supabase, user);
-      return res.sendStatus(200);
+    // Global commands escape any flow before it sees the input
+    const globalCommand = commands.findGlobal(text);
+    if (globalCommand) {
+      await runCommand(globalCommand, context);
+      return;
     }
 
-    if (isChangingTimezone) {
-      timezoneState = await handleTimezone(
-        from,
-        text,
-        timezoneState,
-        supabase,
-        user
-      );
-      return res.sendStatus(200);
-    }
+    if (activeFlow) {
+      const flowCommand = commands.getFlowCommand(activeFlow.flow);
 
-    if (isHandlingPromoter) {
-      promoterState = await handlePromoter(
-        from,
-        text,
-        promoterState,
-        supabase,
-        user
-      );
-      return res.sendStatus(200);
-    }
+      if (flowCommand) {
+        await flowCommand.handler({ ...context, parameter: "" });
+        return;
+      }
 
-    if (isHandlingRole) {
-      roleState = await handleRole(from, text, roleState, supabase, user);
-      return res.sendStatus(200);
+      // Unknown flow (e.g. left over from an older version) - drop it
+      console.warn(`⚠️ Unknown conversation flow "${activeFlow.flow}" for ${from}, clearing`);
+      await conversations.delete(from, activeFlow.flow);
+      context.activeFlow = null;
     }
 
-    // Handle unregistered users (except for register and help commands)
-    if (!user && command !== "register" && command !== "help") {
+    // Handle unregistered users (except for commands open to everyone)
+    if (!user && (!command || command.requiresRegistration)) {
       const generalTemplates = templates.get("general");
       await sendMessage(from, generalTemplates.welcomeUnregistered);
-      return res.sendStatus(200);
+      return;
     }
 
     // FIXED: Only process new commands if NOT in any ongoing flow
     if (command) {
-      const textParts = text.toLowerCase().trim().split(" ");
-      const parameter = textParts.slice(1).join(" ");
-
-      switch (command) {
-        case "help":
-          await handleHelp(from, user);
-          break;
-
-        case "register":
-          registrationState = await handleRegister(
-            from,
-            text,
-            registrationState,
-            supabase
-          );
-          break;
-
-        case "status":
-          // Only allow if user is registered
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            await handleStatus(from, user, parameter, supabase);
-          }
-          break;
-
-        case "unregister":
-          // Only allow if user is registered
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            const targetUsername =
-              user?.bot_userrole === "ADMIN" && parameter ? parameter : "";
-            confirmationState = await handleUnregister(
-              from,
-              text,
-              confirmationState,
-              supabase,
-              user,
-              targetUsername
-            );
-          }
-          break;
-
-        case "list":
-          // Only allow if user is registered and admin
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else if (
-            textParts[1] === "users" &&
-            user?.bot_userrole === "ADMIN"
-          ) {
-            await handleListUsers(from, supabase);
-          } else {
-            const generalTemplates = templates.get("general", {
-              command: text,
-            });
-            await sendMessage(from, generalTemplates.unknownCommand);
-          }
-          break;
-
-        case "sales":
-          // Only allow if user is registered
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            console.log(`🔍 Starting sales flow for user ${from}`);
-            salesState = await handleSales(
-              from,
-              text,
-              salesState,
-              supabase,
-              user
-            );
-          }
-          break;
-
-        case "timezone":
-          // Only allow if user is registered
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            console.log(`🌍 Starting timezone flow for user ${from}`);
-            timezoneState = await handleTimezone(
-              from,
-              text,
-              timezoneState,
-              supabase,
-              user
-            );
-          }
-          break;
-
-        case "promoter":
-          // Only allow if user is registered and admin
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else if (user.bot_userrole !== "ADMIN") {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.accessDenied);
-          } else {
-            console.log(`🎫 Starting promoter flow for admin user ${from}`);
-            promoterState = await handlePromoter(
-              from,
-              text,
-              promoterState,
-              supabase,
-              user
-            );
-          }
-          break;
-
-        case 'role':
-          // Only allow if user is registered
-          if (!user) {
-            const generalTemplates = templates.get('general');
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            console.log(`🎭 Starting role management flow for user ${from}`);
-            const parameter = textParts.slice(1).join(' '); // Get username for admin management
-            roleState = await handleRole(from, text, roleState, supabase, user, parameter);
-          }
-          break;
-
-        case "password":
-          // Only allow if user is registered and admin
-          if (!user) {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.welcomeUnregistered);
-          } else {
-            await handlePassword(from, user);
-          }
-          break;
-
-        default:
-          if (user) {
-            const generalTemplates = templates.get("general", {
-              username: user.bot_username,
-              text: text,
-            });
-            await sendMessage(from, generalTemplates.userGreeting);
-          } else {
-            const generalTemplates = templates.get("general");
-            await sendMessage(from, generalTemplates.guestGreeting);
-          }
-      }
+      await runCommand(command, context);
     } else if (suggestion?.message) {
       await sendMessage(from, suggestion.message);
     } else {
@@ -439,21 +297,66 @@ app.post("/webhook", async (req, res) => {
       }
     }
 
-    res.sendStatus(200);
   } catch (error) {
-    console.error("❌ Webhook error:", error);
+    console.error("❌ Message processing error:", error);
+
+    if (claimed) {
+      await dedupeStore.release(message.id);
+    }
 
     try {
-      const from =
-        req.body.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.from;
-      if (from) {
+      if (message?.from) {
         const generalTemplates = templates.get("general");
-        await sendMessage(from, generalTemplates.technicalIssue);
+        await sendMessage(message.from, generalTemplates.technicalIssue);
       }
     } catch (sendError) {
       console.error("❌ Failed to send error message:", sendError);
     }
 
+    // Let the job queue record the failure
+    throw error;
+  }
+}
+
+// FIXED: Enhanced webhook handler with proper filtering
+app.post("/webhook", verifyWebhookSignature, async (req, res) => {
+  try {
+    const { messages, statuses } = collectWebhookEvents(req.body);
+
+    if (messages.length === 0 && statuses.length === 0) {
+      console.log("🔍 Webhook: No messages or statuses in payload, ignoring");
+      return res.sendStatus(200);
+    }
+
+    if (messages.length > 0) {
+      console.log(`📬 Webhook: ${messages.length} message(s) received`);
+    }
+
+    // Acknowledge right away - Meta redelivers slow webhooks. Jobs for the
+    // same sender run in order, different senders run concurrently.
+    messages.forEach((message) => {
+      jobQueue.enqueue(
+        message?.from || "unknown",
+        "inbound_message",
+        () => processMessage(message),
+        { messageId: message?.id || null, type: message?.type || null }
+      );
+    });
+
+    // Delivery statuses for messages we sent - keyed by message id so
+    // updates for the same message are applied in order
+    statuses.forEach((status) => {
+      jobQueue.enqueue(
+        `status:${status?.id || "unknown"}`,
+        "delivery_status",
+        () => messageLog.applyStatus(status),
+        { messageId: status?.id || null, status: status?.status || null }
+      );
+    });
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error("❌ Webhook error:", error);
     res.sendStatus(500);
   }
 });
@@ -499,6 +402,16 @@ app.get("/api/stats", async (req, res) => {
         utc: users.filter((u) => u.bot_user_timezone === "UTC").length,
       },
       rateLimiting: rateLimitStats,
+      webhookSignatures: webhookSignature.getStatus(),
+      authorization: authorization.getStatus(),
+      database: repository.getStatus(),
+      messageDedupe: dedupeStore.getStatus(),
+      jobQueue: jobQueue.getStatus(),
+      syncs: syncRunner.getStatus(),
+      scheduler: scheduler.getStatus(),
+      outboundQueue: outboundQueue.getStatus(),
+      conversations: await conversations.getStatus(),
+      messageLog: await messageLog.getStatus(),
       templates: {
         loaded: templates.list().length,
         available: templates.list(),
@@ -537,26 +450,130 @@ app.post("/api/admin/reload-templates", (req, res) => {
   }
 });
 
-// Test database connection on startup
-database.testConnection().then((result) => {
-  if (result.success) {
-    console.log("✅ Database connection verified");
-  } else {
-    console.error("❌ Database connection failed:", result.error);
+// Admin endpoint listing inbound message jobs that failed
+app.get("/api/admin/dead-letters", adminAuth.middleware(), (req, res) => {
+  res.json({
+    count: jobQueue.getDeadLetters().length,
+    deadLetters: jobQueue.getDeadLetters(),
+  });
+});
+
+// Admin endpoint listing webhook calls rejected for a bad signature
+app.get("/api/admin/webhook-rejections", adminAuth.middleware(), (req, res) => {
+  res.json({
+    count: webhookSignature.getRejections().length,
+    rejections: webhookSignature.getRejections(),
+  });
+});
+
+// Admin endpoint listing outbound messages the dispatcher gave up on
+app.get("/api/admin/outbound-failures", adminAuth.middleware(), (req, res) => {
+  res.json({
+    count: outboundQueue.getFailures().length,
+    failures: outboundQueue.getFailures(),
+  });
+});
+
+// Admin endpoint listing recent outbound messages and their delivery status
+app.get("/api/messages", adminAuth.middleware(), async (req, res) => {
+  try {
+    const messages = await messageLog.getRecent({
+      recipient: req.query.recipient || null,
+      status: req.query.status || null,
+      limit: req.query.limit,
+    });
+
+    res.json({
+      count: messages.length,
+      failed: messages.filter((m) => m.status === "failed").length,
+      messages,
+    });
+  } catch (error) {
+    console.error("❌ Messages endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to fetch messages",
+      timestamp: new Date().toISOString(),
+    });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Enhanced Produkt Bot server running on port ${PORT}`);
-  console.log(`✅ Server started at ${new Date().toISOString()}`);
-  console.log(
-    `📊 Features: Rate Limiting, Templates, Enhanced Logging, Timezone Support, Promoter Tracking, Role Management`
-  );
-  console.log(`📋 Templates loaded: ${templates.list().length}`);
+// Admin endpoint listing the scheduled sync jobs with their last and next run
+app.get("/api/admin/jobs", adminAuth.middleware(), (req, res) => {
+  res.json({
+    ...scheduler.getStatus(),
+    jobs: scheduler.getJobs(),
+  });
+});
+
+// Admin endpoint running a scheduled job now. Answers with the result, or
+// 202 if the job is still running when the sync wait timeout passes.
+app.post("/api/admin/jobs/:name/run", adminAuth.middleware(), async (req, res) => {
+  let run;
+  try {
+    run = scheduler.trigger(req.params.name, "admin-api");
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  const outcome = await syncRunner.wait(run);
+  if (!outcome.done) {
+    return res.status(202).json({ job: req.params.name, running: true });
+  }
+  res.json({ job: req.params.name, run: outcome.run });
+});
+
+// Admin endpoint listing recorded sync runs, most recent first
+app.get("/api/admin/sync-runs", adminAuth.middleware(), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || SYNCS.HISTORY_LIMIT, SYNCS.HISTORY_MAX_LIMIT);
+    const runs = await syncRunner.getHistory({
+      sync: req.query.sync || null,
+      status: req.query.status || null,
+      limit,
+    });
+
+    res.json({
+      count: runs.length,
+      failed: runs.filter((run) => run.status === "failed").length,
+      runs,
+    });
+  } catch (error) {
+    console.error("❌ Sync runs endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to fetch sync runs",
+      timestamp: new Date().toISOString(),
+    });
+  }
 });
 
+// Connect and listen only when run directly - tests mount the app themselves
+if (require.main === module) {
+  // Test database connection on startup
+  database.testConnection().then((result) => {
+    if (result.success) {
+      console.log("✅ Database connection verified");
+    } else {
+      console.error("❌ Database connection failed:", result.error);
+    }
+  });
+
+  // Start server
+  app.listen(PORT, () => {
+    console.log(`🚀 Enhanced Produkt Bot server running on port ${PORT}`);
+    console.log(`✅ Server started at ${new Date().toISOString()}`);
+    console.log(
+      `📊 Features: Rate Limiting, Templates, Enhanced Logging, Timezone Support, Promoter Tracking, Role Management`
+    );
+    console.log(`📋 Templates loaded: ${templates.list().length}`);
+  });
+
+  // Run the syncs on their schedules
+  scheduler.start();
+}
+
 // Keep-alive for Render.com
 // setInterval(() => {
 //   console.log(`🔄 Keep-alive ping - ${new Date().toISOString()}`);
-// }, 13 * 60 * 1000);
\ No newline at end of file
+// }, 13 * 60 * 1000);
+
+module.exports = app;
@@ -0,0 +1,50 @@
+// middleware/adminAuth.js - API key check for admin HTTP endpoints
+const crypto = require('crypto');
+const { getConfig } = require('../config/environment');
+
+class AdminAuth {
+  /**
+   * Read the key from `X-Admin-Key` or `Authorization: Bearer <key>`
+   */
+  getProvidedKey(req) {
+    const header = req.get('X-Admin-Key');
+    if (header) return header;
+
+    const authorization = req.get('Authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+  }
+
+  /**
+   * Constant-time key comparison
+   */
+  isValidKey(providedKey, expectedKey) {
+    if (!providedKey || !expectedKey) return false;
+
+    const provided = crypto.createHash('sha256').update(providedKey).digest();
+    const expected = crypto.createHash('sha256').update(expectedKey).digest();
+    return crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Express middleware requiring ADMIN_API_KEY. Endpoints stay closed
+   * when no key is configured.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const { adminApiKey } = getConfig().auth;
+
+      if (!adminApiKey) {
+        return res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_KEY to enable it' });
+      }
+
+      if (!this.isValidKey(this.getProvidedKey(req), adminApiKey)) {
+        console.warn(`🚫 Admin API request rejected from ${req.ip} (${req.method} ${req.path})`);
+        return res.sendStatus(401);
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = new AdminAuth();
@@ -0,0 +1,43 @@
+// middleware/authorization.js - Command authorization driven by config/permissions.json
+const { hasCommandPermission } = require('../commands/utils/permissionUtils');
+
+class Authorization {
+  constructor() {
+    this.totalDenials = 0;
+    this.denialsByPermission = {};
+  }
+
+  /**
+   * Check whether a sender may use a command form (e.g. "status" or
+   * "status <username>"). Denials are logged and recorded.
+   */
+  authorize(from, user, permission) {
+    if (hasCommandPermission(user, permission)) return true;
+
+    this.recordDenial(from, user, permission);
+    return false;
+  }
+
+  /**
+   * Record a denied command. Only counts are kept - who was denied goes
+   * to the log, never into the public stats.
+   */
+  recordDenial(from, user, permission) {
+    this.totalDenials++;
+    this.denialsByPermission[permission] = (this.denialsByPermission[permission] || 0) + 1;
+
+    console.warn(`🚫 Access denied: ${user?.bot_username || from} (${user?.bot_userrole || 'unregistered'}) tried "${permission}"`);
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      totalDenials: this.totalDenials,
+      denialsByPermission: { ...this.denialsByPermission }
+    };
+  }
+}
+
+module.exports = new Authorization();
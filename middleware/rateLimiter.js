@@ -17,7 +17,7 @@ class RateLimiter {
     };
 
     // Clean up old requests every minute
-    setInterval(() => this.cleanup(), 60000);
+    setInterval(() => this.cleanup(), 60000).unref();
   }
 
   /**
@@ -0,0 +1,101 @@
+// middleware/webhookSignature.js - Meta webhook signature verification
+const crypto = require('crypto');
+
+class WebhookSignatureVerifier {
+  constructor() {
+    this.rejections = [];
+    this.totalRejections = 0;
+    this.rejectionsByReason = {};
+    this.maxRecorded = 50; // Keep only the most recent rejections in memory
+  }
+
+  /**
+   * bodyParser `verify` hook - keeps the exact bytes Meta signed
+   */
+  captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+  }
+
+  /**
+   * Check an X-Hub-Signature-256 header against the raw request body
+   */
+  isValidSignature(rawBody, signatureHeader, appSecret) {
+    if (!rawBody || !signatureHeader || !appSecret) return false;
+
+    const [scheme, signature] = signatureHeader.split('=');
+    if (scheme !== 'sha256' || !signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', appSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(signature, 'hex');
+
+    if (expectedBuffer.length !== receivedBuffer.length) return false;
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Express middleware rejecting webhook calls that Meta did not sign
+   */
+  middleware(appSecret) {
+    return (req, res, next) => {
+      const signatureHeader = req.get('X-Hub-Signature-256');
+
+      if (!signatureHeader) {
+        this.recordRejection(req, 'missing_signature');
+        return res.sendStatus(401);
+      }
+
+      if (!this.isValidSignature(req.rawBody, signatureHeader, appSecret)) {
+        this.recordRejection(req, 'invalid_signature');
+        return res.sendStatus(401);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Record a rejected webhook call
+   */
+  recordRejection(req, reason) {
+    const rejection = {
+      reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.totalRejections++;
+    this.rejectionsByReason[reason] = (this.rejectionsByReason[reason] || 0) + 1;
+    this.rejections.push(rejection);
+    if (this.rejections.length > this.maxRecorded) {
+      this.rejections.shift();
+    }
+
+    console.warn(`🚫 Webhook rejected (${reason}) from ${rejection.ip}`);
+  }
+
+  /**
+   * Get rejected webhook calls, most recent last
+   */
+  getRejections() {
+    return [...this.rejections];
+  }
+
+  /**
+   * Get current status. Rejections are only counted here - the callers'
+   * addresses are served by the admin endpoint alone.
+   */
+  getStatus() {
+    return {
+      totalRejections: this.totalRejections,
+      rejectionsByReason: { ...this.rejectionsByReason }
+    };
+  }
+}
+
+module.exports = new WebhookSignatureVerifier();
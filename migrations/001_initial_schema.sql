@@ -0,0 +1,57 @@
+-- 001_initial_schema.sql - Users, events and their ticket sales
+--
+-- Every statement is idempotent so the migrations can also be recorded
+-- against the existing Supabase project, where these tables predate them.
+
+create table if not exists bot_users (
+  bot_userphone text primary key,
+  bot_username text not null,
+  bot_userstatus text not null default 'OPTIN',
+  bot_userrole text not null default 'USER'
+);
+
+create table if not exists events (
+  event_id bigint primary key,
+  event_name text not null,
+  event_date date,
+  event_artist text,
+  event_status text,
+  event_genre text,
+  event_flyer text,
+  event_tags text,
+  event_updated timestamptz
+);
+
+create index if not exists events_event_date_idx on events (event_date);
+
+create table if not exists events_sales (
+  event_id bigint primary key references events (event_id) on delete cascade,
+  sales_total_ga integer not null default 0,
+  sales_total_vip integer not null default 0,
+  sales_total_coatcheck integer not null default 0,
+  sales_total_tables integer not null default 0,
+  sales_total_comp_ga integer not null default 0,
+  sales_total_comp_vip integer not null default 0,
+  sales_total_free_ga integer not null default 0,
+  sales_total_free_vip integer not null default 0,
+  sales_gross numeric(12, 2) not null default 0,
+  sales_net numeric(12, 2) not null default 0
+);
+
+-- One row per sale item of a Tixr order
+create table if not exists events_orders (
+  order_id text not null,
+  order_sales_item_id text not null,
+  event_id bigint not null references events (event_id) on delete cascade,
+  order_status text,
+  order_category text,
+  order_sales_item_name text,
+  order_ref_type text,
+  order_quantity integer not null default 0,
+  order_gross numeric(12, 2) not null default 0,
+  order_net numeric(12, 2) not null default 0,
+  order_purchased_at timestamptz,
+  primary key (order_id, order_sales_item_id)
+);
+
+create index if not exists events_orders_event_id_idx on events_orders (event_id);
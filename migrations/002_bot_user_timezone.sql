@@ -0,0 +1,2 @@
+-- 002_bot_user_timezone.sql - Per-user timezone for dates in replies
+alter table bot_users add column if not exists bot_user_timezone text not null default 'America/New_York';
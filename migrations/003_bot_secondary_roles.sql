@@ -0,0 +1,2 @@
+-- 003_bot_secondary_roles.sql - Comma-separated extra roles (NCGCOUNT, OPENTABLE, MANAGERSALES)
+alter table bot_users add column if not exists bot_secondary_roles text;
@@ -0,0 +1,4 @@
+-- 004_event_sync_timestamps.sql - When each event's orders, sales and attendance were last synced
+alter table events add column if not exists event_order_updated timestamptz;
+alter table events add column if not exists event_sales_updated timestamptz;
+alter table events add column if not exists event_attendance_updated timestamptz;
@@ -0,0 +1,2 @@
+-- 005_order_serials.sql - Ticket serial numbers of each order item, used for promoter bracelets
+alter table events_orders add column if not exists order_serials jsonb;
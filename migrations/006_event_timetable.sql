@@ -0,0 +1,3 @@
+-- 006_event_timetable.sql - Set times shown for an event
+alter table events add column if not exists timetable jsonb;
+alter table events add column if not exists timetable_active boolean not null default true;
@@ -0,0 +1,36 @@
+-- 007_bot_state_tables.sql - Tables behind the supabase backends of the
+-- dedupe store, conversation store and message log
+
+create table if not exists processed_messages (
+  message_id text primary key,
+  processed_at timestamptz not null default now()
+);
+
+create index if not exists processed_messages_processed_at_idx on processed_messages (processed_at);
+
+create table if not exists conversation_state (
+  sender text not null,
+  flow text not null,
+  state jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (sender, flow)
+);
+
+create table if not exists message_log (
+  message_id text primary key,
+  recipient text,
+  message_type text,
+  preview text,
+  status text not null,
+  error_code integer,
+  error_title text,
+  error_detail text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  sent_at timestamptz,
+  delivered_at timestamptz,
+  read_at timestamptz,
+  failed_at timestamptz
+);
+
+create index if not exists message_log_recipient_idx on message_log (recipient, created_at desc);
@@ -0,0 +1,19 @@
+-- 008_sync_runs.sql - One row per sync run, written when it starts and
+-- updated when it ends (scripts/syncRunner.js)
+
+create table if not exists sync_runs (
+  id uuid primary key,
+  sync text not null,
+  scope text not null,
+  trigger text not null,
+  triggered_by text,
+  status text not null,
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  duration_ms integer,
+  counts jsonb,
+  touched_ids jsonb,
+  errors jsonb
+);
+
+create index if not exists sync_runs_sync_idx on sync_runs (sync, started_at desc);
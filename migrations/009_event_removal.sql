@@ -0,0 +1,9 @@
+-- 009_event_removal.sql - Events that disappear from Tixr are kept as REMOVED
+--
+-- event_removed_at is when an event was first missing from Tixr; it
+-- becomes REMOVED once the grace period has passed. event_restored_at is
+-- when an admin last brought a removed event back.
+alter table events add column if not exists event_removed_at timestamptz;
+alter table events add column if not exists event_restored_at timestamptz;
+
+create index if not exists events_event_status_idx on events (event_status);
@@ -0,0 +1,17 @@
+-- 010_event_lifecycle.sql - What the lifecycle statuses are worked out from
+--
+-- event_status is now one of LIVE, ON_SALE, SOLD_OUT, SALES_CLOSED,
+-- DOORS_OPEN, POSTPONED, CANCELLED, PAST or REMOVED (see
+-- scripts/eventStatus.js).
+-- The times are Tixr's; event_timezone is the venue's, which event_date
+-- and the end-of-night cutoff are in. event_tixr_status is the status
+-- Tixr itself reports, for cancelled and postponed events.
+alter table events add column if not exists event_starts_at timestamptz;
+alter table events add column if not exists event_ends_at timestamptz;
+alter table events add column if not exists event_doors_at timestamptz;
+alter table events add column if not exists event_sales_start_at timestamptz;
+alter table events add column if not exists event_sales_end_at timestamptz;
+alter table events add column if not exists event_capacity integer;
+alter table events add column if not exists event_sold_out boolean not null default false;
+alter table events add column if not exists event_tixr_status text;
+alter table events add column if not exists event_timezone text;
@@ -0,0 +1,241 @@
+// scripts/conversationStore.js - Per-sender state for multi-step conversation flows
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('../config/environment');
+const { CLEANUP_INTERVALS, FLOW_PURGE_DELAY } = require('../config/constants');
+
+/**
+ * Keeps flow state in process memory. Lost on restart and not shared
+ * between instances - fine for development and single-instance setups.
+ */
+class MemoryConversationBackend {
+  constructor() {
+    this.entries = new Map(); // "sender:flow" -> { sender, flow, state, updatedAt }
+  }
+
+  key(sender, flow) {
+    return `${sender}:${flow}`;
+  }
+
+  async get(sender, flow) {
+    const entry = this.entries.get(this.key(sender, flow));
+    return entry ? { ...entry, state: structuredClone(entry.state) } : null;
+  }
+
+  async set(sender, flow, state) {
+    this.entries.set(this.key(sender, flow), {
+      sender,
+      flow,
+      state: structuredClone(state),
+      updatedAt: Date.now()
+    });
+  }
+
+  async delete(sender, flow) {
+    this.entries.delete(this.key(sender, flow));
+  }
+
+  async listForSender(sender) {
+    return [...this.entries.values()]
+      .filter(entry => entry.sender === sender)
+      .map(entry => ({ ...entry, state: structuredClone(entry.state) }));
+  }
+
+  async deleteStale(flow, cutoffMs) {
+    let removed = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.flow === flow && entry.updatedAt < cutoffMs) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async count() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Keeps flow state in the `conversation_state` table
+ * (sender text, flow text, state jsonb, updated_at timestamptz,
+ * primary key (sender, flow)) so flows survive deploys and can be
+ * shared between instances.
+ */
+class SupabaseConversationBackend {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.table = 'conversation_state';
+  }
+
+  toEntry(row) {
+    return {
+      sender: row.sender,
+      flow: row.flow,
+      state: row.state,
+      updatedAt: new Date(row.updated_at).getTime()
+    };
+  }
+
+  async get(sender, flow) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('sender', sender)
+      .eq('flow', flow)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this.toEntry(data) : null;
+  }
+
+  async set(sender, flow, state) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert({
+        sender,
+        flow,
+        state,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'sender,flow' });
+
+    if (error) throw error;
+  }
+
+  async delete(sender, flow) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('sender', sender)
+      .eq('flow', flow);
+
+    if (error) throw error;
+  }
+
+  async listForSender(sender) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('sender', sender);
+
+    if (error) throw error;
+    return (data || []).map(row => this.toEntry(row));
+  }
+
+  async deleteStale(flow, cutoffMs) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('flow', flow)
+      .lt('updated_at', new Date(cutoffMs).toISOString())
+      .select('sender');
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  async count() {
+    const { count, error } = await this.supabase
+      .from(this.table)
+      .select('sender', { count: 'exact', head: true });
+
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+class ConversationStore {
+  constructor() {
+    const { conversations, database } = getConfig();
+
+    this.backendName = conversations.backend;
+    this.timeouts = conversations.timeouts;
+    this.backend = conversations.backend === 'supabase'
+      ? new SupabaseConversationBackend(createClient(database.url, database.key))
+      : new MemoryConversationBackend();
+
+    // Sweep abandoned flows periodically
+    setInterval(() => this.purgeExpired(), CLEANUP_INTERVALS.CONVERSATIONS).unref();
+  }
+
+  /**
+   * Whether a stored flow has been idle longer than its timeout
+   */
+  isExpired(entry) {
+    const timeout = this.timeouts[entry.flow];
+    return Boolean(timeout) && Date.now() - entry.updatedAt > timeout;
+  }
+
+  /**
+   * Get a sender's state for one flow, or null if the flow is not active
+   */
+  async get(sender, flow) {
+    const entry = await this.backend.get(sender, flow);
+    return entry ? entry.state : null;
+  }
+
+  /**
+   * Save a sender's state for one flow
+   */
+  async set(sender, flow, state) {
+    await this.backend.set(sender, flow, state);
+  }
+
+  /**
+   * End a flow for a sender
+   */
+  async delete(sender, flow) {
+    await this.backend.delete(sender, flow);
+  }
+
+  /**
+   * Get the flow a sender is currently in: { flow, state, expired } or null.
+   * If several are stored, the most recently updated one wins. Expired
+   * flows are still returned (flagged) so the caller can tell the user.
+   */
+  async getActive(sender) {
+    const entries = await this.backend.listForSender(sender);
+    if (entries.length === 0) return null;
+
+    const latest = entries.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a));
+    return {
+      flow: latest.flow,
+      state: latest.state,
+      expired: this.isExpired(latest)
+    };
+  }
+
+  /**
+   * Delete flows that expired more than FLOW_PURGE_DELAY ago. Recently
+   * expired ones are left for getActive() to report to the user.
+   */
+  async purgeExpired() {
+    try {
+      let removed = 0;
+      for (const [flow, timeout] of Object.entries(this.timeouts)) {
+        removed += await this.backend.deleteStale(flow, Date.now() - timeout - FLOW_PURGE_DELAY);
+      }
+
+      if (removed > 0) {
+        console.log(`🧹 Conversation cleanup: ${removed} abandoned flows removed`);
+      }
+      return removed;
+    } catch (error) {
+      console.error('❌ Conversation cleanup failed:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Get current status
+   */
+  async getStatus() {
+    return {
+      backend: this.backendName,
+      activeConversations: await this.backend.count(),
+      timeouts: this.timeouts
+    };
+  }
+}
+
+module.exports = new ConversationStore();
@@ -1,31 +1,21 @@
 // scripts/database.js - Database operations with timezone support
-const { createClient } = require('@supabase/supabase-js');
+const repository = require('./repository');
 
 class DatabaseManager {
-  constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_KEY
-    );
-  }
 
   /**
    * Register a new user with timezone
    */
   async registerUser(phoneNumber, username, role = 'USER', timezone = 'America/New_York') {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .upsert({
-          bot_userphone: phoneNumber,
-          bot_username: username,
-          bot_userstatus: 'OPTIN',
-          bot_userrole: role,
-          bot_user_timezone: timezone,
-        }, { onConflict: 'bot_userphone' });
-
-      if (error) throw error;
-      return { success: true, data };
+      await repository.upsertUser({
+        bot_userphone: phoneNumber,
+        bot_username: username,
+        bot_userstatus: 'OPTIN',
+        bot_userrole: role,
+        bot_user_timezone: timezone,
+      });
+      return { success: true };
     } catch (error) {
       console.error('Database registration error:', error);
       return { success: false, error: error.message };
@@ -37,14 +27,8 @@ class DatabaseManager {
    */
   async getUser(phoneNumber) {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .select('*')
-        .eq('bot_userphone', phoneNumber)
-        .maybeSingle();
-
-      if (error) throw error;
-      return { success: true, user: data };
+      const user = await repository.getUser(phoneNumber);
+      return { success: true, user };
     } catch (error) {
       console.error('Database fetch user error:', error);
       return { success: false, error: error.message };
@@ -56,13 +40,8 @@ class DatabaseManager {
    */
   async updateUserTimezone(phoneNumber, timezone) {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .update({ bot_user_timezone: timezone })
-        .eq('bot_userphone', phoneNumber);
-
-      if (error) throw error;
-      return { success: true, data };
+      await repository.updateUser(phoneNumber, { bot_user_timezone: timezone });
+      return { success: true };
     } catch (error) {
       console.error('Database update timezone error:', error);
       return { success: false, error: error.message };
@@ -74,12 +53,7 @@ class DatabaseManager {
    */
   async unregisterUser(phoneNumber) {
     try {
-      const { error } = await this.supabase
-        .from('bot_users')
-        .delete()
-        .eq('bot_userphone', phoneNumber);
-
-      if (error) throw error;
+      await repository.deleteUser(phoneNumber);
       return { success: true };
     } catch (error) {
       console.error('Database unregister error:', error);
@@ -92,13 +66,8 @@ class DatabaseManager {
    */
   async getAllUsers() {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .select('bot_username, bot_userphone, bot_userrole, bot_user_timezone')
-        .order('bot_username');
-
-      if (error) throw error;
-      return { success: true, users: data || [] };
+      const users = await repository.listUsers();
+      return { success: true, users };
     } catch (error) {
       console.error('Database fetch all users error:', error);
       return { success: false, error: error.message };
@@ -110,14 +79,8 @@ class DatabaseManager {
    */
   async findUserByName(username) {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .select('*')
-        .ilike('bot_username', username)
-        .maybeSingle();
-
-      if (error) throw error;
-      return { success: true, user: data };
+      const user = await repository.findUserByName(username);
+      return { success: true, user };
     } catch (error) {
       console.error('Database find user error:', error);
       return { success: false, error: error.message };
@@ -129,13 +92,8 @@ class DatabaseManager {
    */
   async updateUserStatus(phoneNumber, status) {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .update({ bot_userstatus: status })
-        .eq('bot_userphone', phoneNumber);
-
-      if (error) throw error;
-      return { success: true, data };
+      await repository.updateUser(phoneNumber, { bot_userstatus: status });
+      return { success: true };
     } catch (error) {
       console.error('Database update status error:', error);
       return { success: false, error: error.message };
@@ -147,12 +105,7 @@ class DatabaseManager {
    */
   async testConnection() {
     try {
-      const { data, error } = await this.supabase
-        .from('bot_users')
-        .select('count')
-        .limit(1);
-
-      if (error) throw error;
+      await repository.ping();
       return { success: true, message: 'Database connection successful' };
     } catch (error) {
       console.error('Database connection test failed:', error);
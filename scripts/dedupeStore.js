@@ -0,0 +1,200 @@
+// scripts/dedupeStore.js - Idempotency store for inbound WhatsApp messages
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('../config/environment');
+const { CLEANUP_INTERVALS } = require('../config/constants');
+
+/**
+ * Keeps processed message ids in process memory.
+ * Only protects a single instance and is lost on restart.
+ */
+class MemoryDedupeStore {
+  constructor(retentionMs) {
+    this.retentionMs = retentionMs;
+    this.processed = new Map(); // message id -> processed at (ms)
+  }
+
+  /**
+   * Claim a message id - returns false if it was already processed
+   */
+  async claim(messageId) {
+    const processedAt = this.processed.get(messageId);
+    if (processedAt && Date.now() - processedAt < this.retentionMs) {
+      return false;
+    }
+
+    this.processed.set(messageId, Date.now());
+    return true;
+  }
+
+  /**
+   * Give up a claim so the next delivery of the message is processed
+   */
+  async release(messageId) {
+    this.processed.delete(messageId);
+  }
+
+  /**
+   * Forget message ids older than the retention window
+   */
+  async cleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    for (const [messageId, processedAt] of this.processed.entries()) {
+      if (processedAt < cutoff) {
+        this.processed.delete(messageId);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  getStatus() {
+    return { backend: 'memory', tracked: this.processed.size };
+  }
+}
+
+/**
+ * Keeps processed message ids in the `processed_messages` table
+ * (message_id text primary key, processed_at timestamptz), so
+ * duplicates are caught across restarts and multiple instances.
+ */
+class SupabaseDedupeStore {
+  constructor(supabase, retentionMs) {
+    this.supabase = supabase;
+    this.retentionMs = retentionMs;
+    this.table = 'processed_messages';
+  }
+
+  /**
+   * Claim a message id - returns false if it was already processed
+   * within the retention window. The primary key makes the claim atomic
+   * between instances.
+   */
+  async claim(messageId) {
+    const now = new Date();
+    const { error } = await this.supabase
+      .from(this.table)
+      .insert({
+        message_id: messageId,
+        processed_at: now.toISOString()
+      });
+
+    if (!error) return true;
+
+    if (error.code !== '23505') throw error;
+
+    // Unique violation - the id was claimed before. A claim older than the
+    // retention window that cleanup hasn't deleted yet is taken over; the
+    // conditional update keeps that atomic too.
+    const cutoff = new Date(now.getTime() - this.retentionMs).toISOString();
+    const { data, error: updateError } = await this.supabase
+      .from(this.table)
+      .update({ processed_at: now.toISOString() })
+      .eq('message_id', messageId)
+      .lt('processed_at', cutoff)
+      .select('message_id');
+
+    if (updateError) throw updateError;
+    return data ? data.length > 0 : false;
+  }
+
+  /**
+   * Give up a claim so the next delivery of the message is processed
+   */
+  async release(messageId) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('message_id', messageId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Delete message ids older than the retention window
+   */
+  async cleanup() {
+    const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .lt('processed_at', cutoff)
+      .select('message_id');
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  getStatus() {
+    return { backend: 'supabase', table: this.table };
+  }
+}
+
+class DedupeStore {
+  constructor() {
+    const { dedupe, database } = getConfig();
+
+    this.retentionMs = dedupe.retentionMs;
+    this.backend = dedupe.backend === 'supabase'
+      ? new SupabaseDedupeStore(createClient(database.url, database.key), this.retentionMs)
+      : new MemoryDedupeStore(this.retentionMs);
+
+    // Purge expired ids periodically
+    setInterval(() => this.cleanup(), CLEANUP_INTERVALS.DEDUPE_STORE).unref();
+  }
+
+  /**
+   * Returns true the first time a message id is seen within the retention
+   * window. Fails open on storage errors so messages are never dropped.
+   */
+  async isFirstDelivery(messageId) {
+    try {
+      return await this.backend.claim(messageId);
+    } catch (error) {
+      console.error(`⚠️ Dedupe check failed for ${messageId} (processing anyway):`, error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Forget a message id whose processing failed, so Meta's redelivery of
+   * it is handled instead of dropped as a duplicate
+   */
+  async release(messageId) {
+    try {
+      await this.backend.release(messageId);
+    } catch (error) {
+      console.error(`⚠️ Could not release ${messageId} in the dedupe store:`, error.message);
+    }
+  }
+
+  /**
+   * Clean up expired message ids
+   */
+  async cleanup() {
+    try {
+      const removed = await this.backend.cleanup();
+      if (removed > 0) {
+        console.log(`🧹 Dedupe store cleanup: ${removed} expired message ids removed`);
+      }
+    } catch (error) {
+      console.error('❌ Dedupe store cleanup failed:', error.message);
+    }
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      ...this.backend.getStatus(),
+      retentionMs: this.retentionMs
+    };
+  }
+}
+
+module.exports = new DedupeStore();
+module.exports.MemoryDedupeStore = MemoryDedupeStore;
+module.exports.SupabaseDedupeStore = SupabaseDedupeStore;
@@ -0,0 +1,116 @@
+// scripts/eventStatus.js - Lifecycle status of an event, worked out in its venue's timezone
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const { getConfig } = require('../config/environment');
+const { EVENT_LIFECYCLE } = require('../config/constants');
+
+// Events that haven't ended: their status moves on with time and sales,
+// and their orders are kept in sync
+const UPCOMING_STATUSES = ['LIVE', 'ON_SALE', 'SOLD_OUT', 'SALES_CLOSED', 'DOORS_OPEN', 'POSTPONED'];
+
+const STATUS_LABELS = {
+  LIVE: '🗓️ Announced',
+  ON_SALE: '🎟️ On sale',
+  SOLD_OUT: '🔥 Sold out',
+  SALES_CLOSED: '🔒 Sales closed',
+  DOORS_OPEN: '🚪 Doors open',
+  POSTPONED: '⏸️ Postponed',
+  CANCELLED: '🚫 Cancelled',
+  PAST: '✔️ Past',
+  REMOVED: '🗑️ Removed'
+};
+
+/**
+ * The status as shown to users, or null when the event has none
+ */
+function formatStatus(status) {
+  return STATUS_LABELS[status] || status || null;
+}
+
+/**
+ * The timezone if the runtime knows it, else the configured venue timezone
+ */
+function resolveTimezone(timezone) {
+  if (timezone) {
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      console.warn(`⚠️ Unknown timezone "${timezone}", using ${getConfig().events.venueTimezone}`);
+    }
+  }
+  return getConfig().events.venueTimezone;
+}
+
+/**
+ * `yyyy-MM-dd` of a Tixr timestamp at the venue
+ */
+function toVenueDate(timestamp, timezone) {
+  if (!timestamp) return null;
+  return formatInTimeZone(new Date(timestamp), resolveTimezone(timezone), 'yyyy-MM-dd');
+}
+
+/**
+ * When an event is over: its end time from Tixr, or else 4 AM the day
+ * after its date, venue time
+ */
+function getEventEnd(event) {
+  if (event.event_ends_at) return new Date(event.event_ends_at);
+  if (!event.event_date) return null;
+
+  const [year, month, day] = event.event_date.split('-').map(Number);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  const endHour = String(EVENT_LIFECYCLE.END_HOUR).padStart(2, '0');
+  return fromZonedTime(`${nextDay}T${endHour}:00:00`, resolveTimezone(event.event_timezone));
+}
+
+/**
+ * Tickets that take up capacity: paid, comp and free admissions
+ */
+function countAdmissions(sales) {
+  if (!sales) return 0;
+  return ['ga', 'vip', 'comp_ga', 'comp_vip', 'free_ga', 'free_vip']
+    .reduce((sum, type) => sum + (sales[`sales_total_${type}`] || 0), 0);
+}
+
+/**
+ * Status of an `events` row, from first to last match:
+ *   CANCELLED     Tixr says so
+ *   PAST          the event has ended
+ *   POSTPONED     Tixr says so - until the end it has on record goes by
+ *   DOORS_OPEN    doors (or the start, without a doors time) have opened
+ *   SOLD_OUT      Tixr says so, or admissions reached the capacity
+ *   SALES_CLOSED  the sales window is over
+ *   ON_SALE       within the sales window, or selling without one
+ *   LIVE          announced, tickets not on sale yet
+ * @param {object} sales - The event's `events_sales` row, if any
+ */
+function computeEventStatus(event, sales = null, now = new Date()) {
+  const tixrStatus = String(event.event_tixr_status || '').toUpperCase();
+  if (tixrStatus === 'CANCELLED' || tixrStatus === 'CANCELED') return 'CANCELLED';
+
+  const end = getEventEnd(event);
+  if (end && now >= end) return 'PAST';
+  if (tixrStatus === 'POSTPONED') return 'POSTPONED';
+
+  const doors = event.event_doors_at || event.event_starts_at;
+  if (doors && now >= new Date(doors)) return 'DOORS_OPEN';
+
+  const admissions = countAdmissions(sales);
+  if (event.event_sold_out || (event.event_capacity > 0 && admissions >= event.event_capacity)) return 'SOLD_OUT';
+
+  if (event.event_sales_end_at && now >= new Date(event.event_sales_end_at)) return 'SALES_CLOSED';
+  if (event.event_sales_start_at) {
+    return now >= new Date(event.event_sales_start_at) ? 'ON_SALE' : 'LIVE';
+  }
+  return admissions > 0 ? 'ON_SALE' : 'LIVE';
+}
+
+module.exports = {
+  UPCOMING_STATUSES,
+  STATUS_LABELS,
+  formatStatus,
+  resolveTimezone,
+  toVenueDate,
+  getEventEnd,
+  computeEventStatus
+};
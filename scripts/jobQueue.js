@@ -0,0 +1,187 @@
+// scripts/jobQueue.js - In-process background job queue with per-key ordering
+const { getConfig } = require('../config/environment');
+
+class JobQueue {
+  constructor({ concurrency, timeoutMs, maxDeadLetters } = getConfig().jobs) {
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.maxDeadLetters = maxDeadLetters;
+
+    this.pending = new Map();   // key -> array of waiting jobs
+    this.readyKeys = [];        // keys with waiting jobs and nothing running
+    this.runningKeys = new Set();
+    this.idleResolvers = [];
+    this.deadLetters = [];
+    this.nextId = 1;
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0
+    };
+  }
+
+  /**
+   * Add a job to the queue. Jobs sharing a key run one at a time in the
+   * order they were enqueued; jobs with different keys run concurrently
+   * up to the concurrency limit.
+   */
+  enqueue(key, name, task, payload = null) {
+    const job = {
+      id: this.nextId++,
+      key,
+      name,
+      task,
+      payload,
+      enqueuedAt: new Date().toISOString()
+    };
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, []);
+      if (!this.runningKeys.has(key)) {
+        this.readyKeys.push(key);
+      }
+    }
+    this.pending.get(key).push(job);
+    this.stats.enqueued++;
+
+    this.drain();
+    return job.id;
+  }
+
+  /**
+   * Start as many ready jobs as the concurrency limit allows
+   */
+  drain() {
+    while (this.runningKeys.size < this.concurrency && this.readyKeys.length > 0) {
+      const key = this.readyKeys.shift();
+      const queue = this.pending.get(key);
+      const job = queue.shift();
+
+      if (queue.length === 0) {
+        this.pending.delete(key);
+      }
+
+      this.runningKeys.add(key);
+      this.runJob(job);
+    }
+
+    if (this.isIdle()) {
+      this.idleResolvers.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Run a single job, recording failures as dead letters. A job that
+   * outlives the timeout is recorded then, but its key stays reserved
+   * until it actually settles so the sender's next job can't overlap it.
+   */
+  async runJob(job) {
+    const startedAt = Date.now();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      this.stats.timedOut++;
+      this.stats.failed++;
+
+      const error = new Error(`Job timed out after ${this.timeoutMs}ms`);
+      error.code = 'JOB_TIMEOUT';
+      this.recordDeadLetter(job, error, Date.now() - startedAt);
+    }, this.timeoutMs);
+
+    try {
+      await job.task();
+      if (timedOut) {
+        console.warn(`⏱️ Job ${job.name} #${job.id} for ${job.key} finished after ${Date.now() - startedAt}ms`);
+      } else {
+        this.stats.completed++;
+      }
+    } catch (error) {
+      if (timedOut) {
+        console.error(`⏱️ Job ${job.name} #${job.id} for ${job.key} failed after its timeout: ${error.message}`);
+      } else {
+        this.stats.failed++;
+        this.recordDeadLetter(job, error, Date.now() - startedAt);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.runningKeys.delete(job.key);
+
+      // Let the next job for this key take its turn
+      if (this.pending.has(job.key)) {
+        this.readyKeys.push(job.key);
+      }
+      this.drain();
+    }
+  }
+
+  /**
+   * Record a failed job
+   */
+  recordDeadLetter(job, error, durationMs) {
+    const deadLetter = {
+      id: job.id,
+      key: job.key,
+      name: job.name,
+      payload: job.payload,
+      error: error.message,
+      code: error.code || null,
+      durationMs,
+      enqueuedAt: job.enqueuedAt,
+      failedAt: new Date().toISOString()
+    };
+
+    this.deadLetters.push(deadLetter);
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+
+    console.error(`☠️ Job ${job.name} #${job.id} for ${job.key} failed after ${durationMs}ms: ${error.message}`);
+  }
+
+  /**
+   * Whether nothing is running or waiting
+   */
+  isIdle() {
+    return this.runningKeys.size === 0 && this.pending.size === 0;
+  }
+
+  /**
+   * Resolves once every queued job has finished
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleResolvers.push(resolve));
+  }
+
+  /**
+   * Get failed jobs, most recent last
+   */
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * Get current status. Dead letters are only counted here - their
+   * payloads are inbound messages, served by the admin endpoint alone.
+   */
+  getStatus() {
+    let waiting = 0;
+    for (const queue of this.pending.values()) {
+      waiting += queue.length;
+    }
+
+    return {
+      running: this.runningKeys.size,
+      waiting,
+      concurrency: this.concurrency,
+      timeoutMs: this.timeoutMs,
+      ...this.stats,
+      deadLetters: this.deadLetters.length
+    };
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
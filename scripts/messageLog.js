@@ -0,0 +1,319 @@
+// scripts/messageLog.js - Outbound message log with WhatsApp delivery statuses
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('../config/environment');
+const { CLEANUP_INTERVALS, MESSAGE_LOG, DELIVERY_STATUS_ORDER } = require('../config/constants');
+
+/**
+ * Keeps the log in process memory. Lost on restart.
+ */
+class MemoryMessageLogBackend {
+  constructor() {
+    this.entries = new Map(); // message id -> entry
+  }
+
+  async get(messageId) {
+    const entry = this.entries.get(messageId);
+    return entry ? { ...entry } : null;
+  }
+
+  async put(entry) {
+    this.entries.set(entry.messageId, { ...entry });
+  }
+
+  async saveOutbound(entry) {
+    const existing = this.entries.get(entry.messageId);
+    if (existing) {
+      const { recipient, type, preview, updatedAt } = entry;
+      Object.assign(existing, { recipient, type, preview, updatedAt });
+    } else {
+      this.entries.set(entry.messageId, { ...entry });
+    }
+  }
+
+  async list({ recipient = null, status = null, limit }) {
+    return [...this.entries.values()]
+      .filter(entry => !recipient || entry.recipient === recipient)
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  async deleteOlderThan(cutoffIso) {
+    let removed = 0;
+    for (const [messageId, entry] of this.entries.entries()) {
+      if (entry.createdAt < cutoffIso) {
+        this.entries.delete(messageId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async count() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Keeps the log in the `message_log` table (message_id text primary key,
+ * recipient, message_type, preview, status, error_code, error_title,
+ * error_detail, created_at, updated_at, sent_at, delivered_at, read_at,
+ * failed_at) so deliveries can be checked across restarts.
+ */
+class SupabaseMessageLogBackend {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.table = 'message_log';
+  }
+
+  toEntry(row) {
+    return {
+      messageId: row.message_id,
+      recipient: row.recipient,
+      type: row.message_type,
+      preview: row.preview,
+      status: row.status,
+      error: row.error_code || row.error_title
+        ? { code: row.error_code, title: row.error_title, detail: row.error_detail }
+        : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      sentAt: row.sent_at,
+      deliveredAt: row.delivered_at,
+      readAt: row.read_at,
+      failedAt: row.failed_at
+    };
+  }
+
+  toRow(entry) {
+    return {
+      message_id: entry.messageId,
+      recipient: entry.recipient,
+      message_type: entry.type,
+      preview: entry.preview,
+      status: entry.status,
+      error_code: entry.error?.code ?? null,
+      error_title: entry.error?.title ?? null,
+      error_detail: entry.error?.detail ?? null,
+      created_at: entry.createdAt,
+      updated_at: entry.updatedAt,
+      sent_at: entry.sentAt,
+      delivered_at: entry.deliveredAt,
+      read_at: entry.readAt,
+      failed_at: entry.failedAt
+    };
+  }
+
+  async get(messageId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('message_id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this.toEntry(data) : null;
+  }
+
+  async put(entry) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert(this.toRow(entry), { onConflict: 'message_id' });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Insert the entry, or if a status got there first, set only what the
+   * sender knows - recipient, type and preview - on the existing row
+   */
+  async saveOutbound(entry) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .insert(this.toRow(entry));
+
+    if (!error) return;
+    if (error.code !== '23505') throw error;
+
+    const { error: updateError } = await this.supabase
+      .from(this.table)
+      .update({
+        recipient: entry.recipient,
+        message_type: entry.type,
+        preview: entry.preview,
+        updated_at: entry.updatedAt
+      })
+      .eq('message_id', entry.messageId);
+
+    if (updateError) throw updateError;
+  }
+
+  async list({ recipient = null, status = null, limit }) {
+    let query = this.supabase
+      .from(this.table)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (recipient) query = query.eq('recipient', recipient);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(row => this.toEntry(row));
+  }
+
+  async deleteOlderThan(cutoffIso) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .lt('created_at', cutoffIso)
+      .select('message_id');
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  async count() {
+    const { count, error } = await this.supabase
+      .from(this.table)
+      .select('message_id', { count: 'exact', head: true });
+
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+class MessageLog {
+  constructor() {
+    const { messageLog, database } = getConfig();
+
+    this.backendName = messageLog.backend;
+    this.retentionMs = messageLog.retentionMs;
+    this.backend = messageLog.backend === 'supabase'
+      ? new SupabaseMessageLogBackend(createClient(database.url, database.key))
+      : new MemoryMessageLogBackend();
+
+    // Forget old deliveries periodically
+    setInterval(() => this.cleanup(), CLEANUP_INTERVALS.MESSAGE_LOG).unref();
+  }
+
+  /**
+   * Empty entry for a message id
+   */
+  createEntry(messageId, recipient) {
+    const now = new Date().toISOString();
+    return {
+      messageId,
+      recipient,
+      type: null,
+      preview: null,
+      status: 'accepted',
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      deliveredAt: null,
+      readAt: null,
+      failedAt: null
+    };
+  }
+
+  /**
+   * Record a message the Graph API accepted. Never throws - logging a
+   * message must not break sending it.
+   */
+  async recordOutbound({ messageId, recipient, type, preview = '' }) {
+    if (!messageId) return;
+
+    try {
+      // A status update may already have arrived for this id - the backend
+      // keeps its status rather than writing this entry over it
+      const entry = this.createEntry(messageId, recipient);
+      entry.type = type;
+      entry.preview = preview ? preview.replace(/\s+/g, ' ').trim().slice(0, 80) : null;
+      await this.backend.saveOutbound(entry);
+    } catch (error) {
+      console.error(`⚠️ Failed to log outbound message ${messageId}:`, error.message);
+    }
+  }
+
+  /**
+   * Apply a `statuses[]` item from the webhook. Statuses can arrive out
+   * of order, so a message never moves back (e.g. read -> delivered),
+   * and a failure always wins.
+   */
+  async applyStatus(status) {
+    if (!status?.id || !status?.status) return null;
+
+    const entry = await this.backend.get(status.id) || this.createEntry(status.id, status.recipient_id);
+    const at = status.timestamp
+      ? new Date(Number(status.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+
+    if (status.status === 'failed') {
+      const error = status.errors?.[0] || {};
+      entry.status = 'failed';
+      entry.failedAt = at;
+      entry.error = {
+        code: error.code ?? null,
+        title: error.title || error.message || null,
+        detail: error.error_data?.details || null
+      };
+      console.error(`❌ Delivery failed to ${entry.recipient} (${entry.messageId}): ${entry.error.code} ${entry.error.title}`);
+    } else if (DELIVERY_STATUS_ORDER.includes(status.status)) {
+      entry[`${status.status}At`] = at;
+      const rank = DELIVERY_STATUS_ORDER.indexOf(status.status);
+      if (entry.status !== 'failed' && rank > DELIVERY_STATUS_ORDER.indexOf(entry.status)) {
+        entry.status = status.status;
+      }
+    } else {
+      console.log(`🔍 Unknown delivery status "${status.status}" for ${status.id}, ignoring`);
+      return null;
+    }
+
+    entry.updatedAt = new Date().toISOString();
+    await this.backend.put(entry);
+    return entry;
+  }
+
+  /**
+   * Recent messages, newest first, optionally for one recipient or status
+   */
+  async getRecent({ recipient = null, status = null, limit = MESSAGE_LOG.DEFAULT_LIMIT } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit) || MESSAGE_LOG.DEFAULT_LIMIT, 1), MESSAGE_LOG.MAX_LIMIT);
+    return this.backend.list({ recipient, status, limit: safeLimit });
+  }
+
+  /**
+   * Remove entries older than the retention window
+   */
+  async cleanup() {
+    try {
+      const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+      const removed = await this.backend.deleteOlderThan(cutoff);
+      if (removed > 0) {
+        console.log(`🧹 Message log cleanup: ${removed} old messages removed`);
+      }
+    } catch (error) {
+      console.error('❌ Message log cleanup failed:', error.message);
+    }
+  }
+
+  /**
+   * Get current status
+   */
+  async getStatus() {
+    return {
+      backend: this.backendName,
+      tracked: await this.backend.count(),
+      retentionMs: this.retentionMs
+    };
+  }
+}
+
+module.exports = new MessageLog();
+module.exports.MessageLog = MessageLog;
+module.exports.MemoryMessageLogBackend = MemoryMessageLogBackend;
+module.exports.SupabaseMessageLogBackend = SupabaseMessageLogBackend;
@@ -0,0 +1,253 @@
+// scripts/migrate.js - Applies the versioned SQL files in migrations/
+//
+//   npm run migrate                    apply pending migrations
+//   npm run migrate -- status          list migrations and whether they ran
+//   npm run migrate -- bootstrap       create the full schema in an empty database
+//   npm run migrate -- create <name>   add the next numbered migration file
+//
+// Connects to Postgres with DATABASE_URL (the Supabase "connection string"
+// or a local Postgres). Applied versions are recorded in `schema_migrations`.
+// With DATABASE_BACKEND=memory there is no schema: bootstrap just creates
+// an empty DATABASE_FILE for the repository to use.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('../config/environment');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const APP_TABLES = ['bot_users', 'events', 'events_sales', 'events_orders', 'sync_runs'];
+
+/**
+ * Migration files named `<version>_<name>.sql`, in version order
+ */
+function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+  const migrations = fs.readdirSync(directory)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      if (!match) {
+        throw new Error(`Migration file "${file}" should be named <version>_<name>.sql`);
+      }
+      const sql = fs.readFileSync(path.join(directory, file), 'utf8');
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+      throw new Error(`Migrations ${migrations[index - 1].file} and ${migration.file} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+class Migrator {
+  /**
+   * @param {object} client - Connected `pg` client (anything with `query(sql, params)`)
+   */
+  constructor(client, migrations = loadMigrations()) {
+    this.client = client;
+    this.migrations = migrations;
+    this.tableReady = false;
+  }
+
+  async ensureTable() {
+    if (this.tableReady) return;
+    await this.client.query(`
+      create table if not exists ${MIGRATIONS_TABLE} (
+        version text primary key,
+        name text not null,
+        checksum text not null,
+        applied_at timestamptz not null default now()
+      )
+    `);
+    this.tableReady = true;
+  }
+
+  /**
+   * Recorded migrations by version
+   */
+  async getApplied() {
+    await this.ensureTable();
+    const { rows } = await this.client.query(`select version, name, checksum, applied_at from ${MIGRATIONS_TABLE}`);
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Every migration with `applied`, `appliedAt` and `changed` (the file
+   * was edited after it ran)
+   */
+  async status() {
+    const applied = await this.getApplied();
+    return this.migrations.map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!record,
+        appliedAt: record ? record.applied_at : null,
+        changed: !!record && record.checksum !== migration.checksum
+      };
+    });
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @returns {Array} The migrations that ran
+   */
+  async up() {
+    const applied = await this.getApplied();
+    const pending = this.migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.file}...`);
+      await this.client.query('begin');
+      try {
+        await this.client.query(migration.sql);
+        await this.client.query(
+          `insert into ${MIGRATIONS_TABLE} (version, name, checksum) values ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+        await this.client.query('commit');
+      } catch (error) {
+        await this.client.query('rollback');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Create the full schema in a database that has none of the bot's tables
+   */
+  async bootstrap() {
+    const { rows } = await this.client.query(
+      'select table_name from information_schema.tables where table_schema = current_schema()'
+    );
+    const existing = rows
+      .map(row => row.table_name)
+      .filter(table => [...APP_TABLES, MIGRATIONS_TABLE].includes(table));
+
+    if (existing.length > 0) {
+      throw new Error(`Database is not empty (found ${existing.join(', ')}) - use "migrate up" instead`);
+    }
+
+    return this.up();
+  }
+}
+
+/**
+ * Write the next numbered migration file
+ * @returns {string} Path of the new file
+ */
+function createMigration(name, directory = MIGRATIONS_DIRECTORY) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('Usage: migrate create <name>');
+  }
+
+  const migrations = loadMigrations(directory);
+  const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+  const file = `${String(last + 1).padStart(3, '0')}_${slug}.sql`;
+  const filePath = path.join(directory, file);
+
+  fs.writeFileSync(filePath, `-- ${file}\n`);
+  return filePath;
+}
+
+/**
+ * Create an empty data file for DATABASE_BACKEND=memory
+ */
+function bootstrapMemoryFile(filePath) {
+  if (!filePath) {
+    throw new Error('Set DATABASE_FILE to bootstrap a local memory database');
+  }
+  if (fs.existsSync(filePath)) {
+    throw new Error(`${filePath} already exists`);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(Object.fromEntries(APP_TABLES.map(table => [table, []])), null, 2));
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const { database } = getConfig();
+
+  if (command === 'create') {
+    console.log(`📝 Created ${createMigration(args.join(' '))}`);
+    return;
+  }
+
+  if (database.backend === 'memory') {
+    if (command !== 'bootstrap') {
+      console.log('ℹ️ DATABASE_BACKEND=memory has no schema to migrate');
+      return;
+    }
+    bootstrapMemoryFile(database.file);
+    console.log(`✅ Created empty database file ${database.file}`);
+    return;
+  }
+
+  if (!database.connectionString) {
+    throw new Error('Set DATABASE_URL to the Postgres connection string');
+  }
+
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: database.connectionString });
+  await client.connect();
+
+  try {
+    const migrator = new Migrator(client);
+
+    switch (command) {
+      case 'up':
+      case 'bootstrap': {
+        const applied = command === 'up' ? await migrator.up() : await migrator.bootstrap();
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : '✅ Database is up to date');
+        break;
+      }
+      case 'status': {
+        const migrations = await migrator.status();
+        migrations.forEach(migration => {
+          const state = migration.applied
+            ? `applied ${new Date(migration.appliedAt).toISOString()}${migration.changed ? ' ⚠️ file changed since' : ''}`
+            : 'pending';
+          console.log(`${migration.applied ? '✓' : '·'} ${migration.version}_${migration.name} - ${state}`);
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" - use up, status, bootstrap or create <name>`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations,
+  createMigration,
+  bootstrapMemoryFile,
+  MIGRATIONS_TABLE
+};
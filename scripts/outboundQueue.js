@@ -0,0 +1,183 @@
+// scripts/outboundQueue.js - Outbound WhatsApp dispatcher with retries and pacing
+const { getConfig } = require('../config/environment');
+const { RETRYABLE_NETWORK_ERRORS, RETRYABLE_WHATSAPP_ERRORS } = require('../config/constants');
+const whatsapp = require('./whatsappClient');
+const messageLog = require('./messageLog');
+const { sleep, getRetryDelay } = require('./retry');
+
+class OutboundQueue {
+  constructor() {
+    const { outbound } = getConfig();
+
+    this.ratePerSecond = outbound.ratePerSecond;
+    this.recipientGapMs = outbound.recipientGapMs;
+    this.maxRetries = outbound.maxRetries;
+    this.retryBaseMs = outbound.retryBaseMs;
+    this.retryMaxMs = outbound.retryMaxMs;
+    this.maxFailures = outbound.maxFailures;
+
+    this.chains = new Map();    // recipient -> promise settling after its last queued message
+    this.nextSlotAt = 0;        // earliest time the next request may go out
+    this.waiting = 0;
+    this.failures = [];
+    this.nextId = 1;
+    this.stats = {
+      queued: 0,
+      sent: 0,
+      retried: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Queue a Graph API /messages payload. Messages to the same recipient
+   * go out one at a time in the order they were queued, with a short gap
+   * between them. Resolves with the API response, or rejects with the
+   * last WhatsAppApiError once the message is given up on.
+   * @param {string} to - The recipient's phone number
+   * @param {object} payload - Message body, e.g. `{ type: 'text', text: { body } }`
+   * @param {object} options - `type` and `preview` for the message log
+   */
+  send(to, payload, { type = payload.type, preview = '' } = {}) {
+    const message = {
+      id: this.nextId++,
+      to,
+      type,
+      preview,
+      payload,
+      queuedAt: new Date().toISOString()
+    };
+    this.stats.queued++;
+    this.waiting++;
+
+    const previous = this.chains.get(to) || Promise.resolve();
+    const delivery = previous.then(() => {
+      this.waiting--;
+      return this.deliver(message);
+    });
+
+    const tail = delivery.catch(() => {}).then(() => sleep(this.recipientGapMs));
+    this.chains.set(to, tail);
+    tail.then(() => {
+      if (this.chains.get(to) === tail) {
+        this.chains.delete(to);
+      }
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Post a message, retrying transient failures with exponential backoff
+   */
+  async deliver(message) {
+    for (let attempt = 1; ; attempt++) {
+      await this.acquireSlot();
+
+      try {
+        const response = await whatsapp.sendMessage(message.to, message.payload);
+        this.stats.sent++;
+        await messageLog.recordOutbound({
+          messageId: response?.messages?.[0]?.id,
+          recipient: message.to,
+          type: message.type,
+          preview: message.preview
+        });
+        return response;
+      } catch (error) {
+        if (!this.isRetryable(error) || attempt > this.maxRetries) {
+          this.recordFailure(message, error, attempt);
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        this.stats.retried++;
+        console.warn(`🔁 Send to ${message.to} failed (${error.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Wait for the next free slot under the global send rate
+   */
+  async acquireSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = slot + 1000 / this.ratePerSecond;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  /**
+   * Connection errors, 5xx, 429 and WhatsApp's throughput error codes are
+   * worth another try. A timeout is not: WhatsApp may already have
+   * accepted the message, and a retry would send it twice. Anything else
+   * (bad payload, expired token, closed 24h window) will fail the same
+   * way again.
+   */
+  isRetryable(error) {
+    if (!error.status) return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+    return error.status >= 500 || error.status === 429 || RETRYABLE_WHATSAPP_ERRORS.includes(error.code);
+  }
+
+  /**
+   * Backoff for the given attempt, see scripts/retry.js
+   */
+  getRetryDelay(error, attempt) {
+    return getRetryDelay(error, attempt, { baseMs: this.retryBaseMs, maxMs: this.retryMaxMs });
+  }
+
+  /**
+   * Record a message that was given up on
+   */
+  recordFailure(message, error, attempts) {
+    const failure = {
+      id: message.id,
+      to: message.to,
+      type: message.type,
+      preview: message.preview ? message.preview.replace(/\s+/g, ' ').trim().slice(0, 80) : null,
+      status: error.status || null,
+      code: error.code || null,
+      error: error.message,
+      attempts,
+      queuedAt: message.queuedAt,
+      failedAt: new Date().toISOString()
+    };
+
+    this.stats.failed++;
+    this.failures.push(failure);
+    if (this.failures.length > this.maxFailures) {
+      this.failures.shift();
+    }
+
+    console.error(`☠️ Gave up sending ${message.type} to ${message.to} after ${attempts} attempt(s): ${failure.error}`);
+  }
+
+  /**
+   * Get messages that were given up on, most recent last
+   */
+  getFailures() {
+    return [...this.failures];
+  }
+
+  /**
+   * Get current status. Failures are only counted here - who they were
+   * for and what they said is served by the admin endpoint alone.
+   */
+  getStatus() {
+    return {
+      waiting: this.waiting,
+      activeRecipients: this.chains.size,
+      ratePerSecond: this.ratePerSecond,
+      recipientGapMs: this.recipientGapMs,
+      maxRetries: this.maxRetries,
+      ...this.stats,
+      failures: this.failures.length
+    };
+  }
+}
+
+module.exports = new OutboundQueue();
@@ -0,0 +1,660 @@
+// scripts/repository.js - Data access for users, events, sales and orders
+//
+// Every read and write of `bot_users`, `events`, `events_sales`,
+// `events_orders` and `sync_runs` goes through here. DATABASE_BACKEND=supabase (default)
+// talks to Supabase; DATABASE_BACKEND=memory keeps the tables in process
+// memory so the bot and the sync jobs can run offline. Set DATABASE_FILE
+// to load the memory tables from a JSON file (`{ "events": [...], ... }`,
+// same shape as test/fixtures) and write every change back to it.
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('../config/environment');
+const { REPOSITORY, SYNCS } = require('../config/constants');
+
+const TABLES = ['bot_users', 'events', 'events_sales', 'events_orders', 'sync_runs'];
+
+/**
+ * Ids come back as numbers from Postgres and as strings from user input
+ */
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+/**
+ * Keeps the tables in process memory, optionally backed by a JSON file
+ */
+class MemoryRepositoryBackend {
+  constructor(filePath = null) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.loadedAt = 0;
+    this.tables = {};
+    this.clear();
+    this.reload();
+  }
+
+  clear() {
+    TABLES.forEach(table => { this.tables[table] = []; });
+  }
+
+  /**
+   * Replace the contents of the given tables
+   */
+  seed(tables = {}) {
+    Object.entries(tables).forEach(([table, rows]) => {
+      this.tables[table] = rows.map(row => ({ ...row }));
+    });
+    this.persist();
+  }
+
+  /**
+   * Pick up changes another process (e.g. a sync script) wrote to the file
+   */
+  reload() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    const modifiedAt = fs.statSync(this.filePath).mtimeMs;
+    if (modifiedAt === this.loadedAt) return;
+
+    const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.clear();
+    TABLES.forEach(table => {
+      this.tables[table] = (contents[table] || []).map(row => ({ ...row }));
+    });
+    this.loadedAt = modifiedAt;
+  }
+
+  persist() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.tables, null, 2));
+    this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  rows(table) {
+    this.reload();
+    return this.tables[table];
+  }
+
+  /**
+   * Insert or merge rows matched on the `keys` columns
+   */
+  upsert(table, rows, keys) {
+    const existing = this.rows(table);
+    rows.forEach(values => {
+      const row = existing.find(candidate => keys.every(key => sameId(candidate[key], values[key])));
+      if (row) {
+        Object.assign(row, values);
+      } else {
+        existing.push({ ...values });
+      }
+    });
+    this.persist();
+  }
+
+  // ===== Users =====
+
+  async getUser(phoneNumber) {
+    const user = this.rows('bot_users').find(row => row.bot_userphone === phoneNumber);
+    return user ? { ...user } : null;
+  }
+
+  async findUserByName(username) {
+    const name = String(username).toLowerCase();
+    const user = this.rows('bot_users').find(row => (row.bot_username || '').toLowerCase() === name);
+    return user ? { ...user } : null;
+  }
+
+  async listUsers() {
+    return this.rows('bot_users')
+      .map(row => ({ ...row }))
+      .sort((a, b) => (a.bot_username || '').localeCompare(b.bot_username || ''));
+  }
+
+  async upsertUser(user) {
+    this.upsert('bot_users', [user], ['bot_userphone']);
+  }
+
+  async updateUser(phoneNumber, values) {
+    this.rows('bot_users')
+      .filter(row => row.bot_userphone === phoneNumber)
+      .forEach(row => Object.assign(row, values));
+    this.persist();
+  }
+
+  async deleteUser(phoneNumber) {
+    this.tables.bot_users = this.rows('bot_users').filter(row => row.bot_userphone !== phoneNumber);
+    this.persist();
+  }
+
+  // ===== Events =====
+
+  async getEvent(eventId) {
+    const event = this.rows('events').find(row => sameId(row.event_id, eventId));
+    return event ? { ...event } : null;
+  }
+
+  async listEvents({ fromDate = null, status = null } = {}) {
+    return this.rows('events')
+      .filter(row => !fromDate || (row.event_date && row.event_date >= fromDate))
+      .filter(row => !status || [].concat(status).includes(row.event_status))
+      .map(row => ({ ...row }))
+      .sort((a, b) => (a.event_date || '').localeCompare(b.event_date || '') || Number(a.event_id) - Number(b.event_id));
+  }
+
+  async upsertEvents(events) {
+    this.upsert('events', events, ['event_id']);
+  }
+
+  async updateEvents(eventIds, values) {
+    this.rows('events')
+      .filter(row => eventIds.some(id => sameId(row.event_id, id)))
+      .forEach(row => Object.assign(row, values));
+    this.persist();
+  }
+
+  async deleteEvents(eventIds) {
+    this.tables.events = this.rows('events').filter(row => !eventIds.some(id => sameId(row.event_id, id)));
+    this.persist();
+  }
+
+  // ===== Sales =====
+
+  async getSales(eventId) {
+    const sales = this.rows('events_sales').find(row => sameId(row.event_id, eventId));
+    return sales ? { ...sales } : null;
+  }
+
+  async listSales() {
+    return this.rows('events_sales').map(row => ({ ...row }));
+  }
+
+  async upsertSales(sales) {
+    this.upsert('events_sales', sales, ['event_id']);
+  }
+
+  async deleteSales(eventId) {
+    this.tables.events_sales = this.rows('events_sales').filter(row => !sameId(row.event_id, eventId));
+    this.persist();
+  }
+
+  // ===== Orders =====
+
+  async listOrders(eventId, { itemNames = null } = {}) {
+    return this.rows('events_orders')
+      .filter(row => sameId(row.event_id, eventId))
+      .filter(row => !itemNames || itemNames.includes(row.order_sales_item_name))
+      .map(row => ({ ...row }));
+  }
+
+  async upsertOrders(orders) {
+    this.upsert('events_orders', orders, ['order_id', 'order_sales_item_id']);
+  }
+
+  async deleteOrders(eventId) {
+    this.tables.events_orders = this.rows('events_orders').filter(row => !sameId(row.event_id, eventId));
+    this.persist();
+  }
+
+  async deleteOrderItems(eventId, items) {
+    this.tables.events_orders = this.rows('events_orders').filter(row => !(
+      sameId(row.event_id, eventId) &&
+      items.some(item => sameId(row.order_id, item.order_id) && sameId(row.order_sales_item_id, item.order_sales_item_id))
+    ));
+    this.persist();
+  }
+
+  // ===== Sync runs =====
+
+  async saveSyncRun(run) {
+    this.upsert('sync_runs', [run], ['id']);
+  }
+
+  async listSyncRuns({ sync = null, status = null, limit = SYNCS.HISTORY_LIMIT } = {}) {
+    return this.rows('sync_runs')
+      .filter(row => !sync || row.sync === sync)
+      .filter(row => !status || row.status === status)
+      .map(row => ({ ...row }))
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .slice(0, limit);
+  }
+
+  async ping() {
+    this.reload();
+  }
+}
+
+/**
+ * Reads and writes the Supabase tables
+ */
+class SupabaseRepositoryBackend {
+  constructor(supabase, pageSize = REPOSITORY.PAGE_SIZE) {
+    this.supabase = supabase;
+    this.pageSize = pageSize;
+  }
+
+  // ===== Users =====
+
+  async getUser(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from('bot_users')
+      .select('*')
+      .eq('bot_userphone', phoneNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findUserByName(username) {
+    const { data, error } = await this.supabase
+      .from('bot_users')
+      .select('*')
+      .ilike('bot_username', username)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listUsers() {
+    const { data, error } = await this.supabase
+      .from('bot_users')
+      .select('*')
+      .order('bot_username');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async upsertUser(user) {
+    const { error } = await this.supabase
+      .from('bot_users')
+      .upsert(user, { onConflict: 'bot_userphone' });
+
+    if (error) throw error;
+  }
+
+  async updateUser(phoneNumber, values) {
+    const { error } = await this.supabase
+      .from('bot_users')
+      .update(values)
+      .eq('bot_userphone', phoneNumber);
+
+    if (error) throw error;
+  }
+
+  async deleteUser(phoneNumber) {
+    const { error } = await this.supabase
+      .from('bot_users')
+      .delete()
+      .eq('bot_userphone', phoneNumber);
+
+    if (error) throw error;
+  }
+
+  // ===== Events =====
+
+  async getEvent(eventId) {
+    const { data, error } = await this.supabase
+      .from('events')
+      .select('*')
+      .eq('event_id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listEvents({ fromDate = null, status = null } = {}) {
+    const events = [];
+
+    for (let page = 0; ; page++) {
+      let query = this.supabase.from('events').select('*');
+      if (fromDate) query = query.gte('event_date', fromDate);
+      if (status) query = query.in('event_status', [].concat(status));
+
+      const { data, error } = await query
+        .order('event_date', { ascending: true })
+        .order('event_id', { ascending: true })
+        .range(page * this.pageSize, (page + 1) * this.pageSize - 1);
+      if (error) throw error;
+
+      events.push(...(data || []));
+      if (!data || data.length < this.pageSize) return events;
+    }
+  }
+
+  async upsertEvents(events) {
+    const { error } = await this.supabase
+      .from('events')
+      .upsert(events, { onConflict: 'event_id' });
+
+    if (error) throw error;
+  }
+
+  async updateEvents(eventIds, values) {
+    const { error } = await this.supabase
+      .from('events')
+      .update(values)
+      .in('event_id', eventIds);
+
+    if (error) throw error;
+  }
+
+  async deleteEvents(eventIds) {
+    const { error } = await this.supabase
+      .from('events')
+      .delete()
+      .in('event_id', eventIds);
+
+    if (error) throw error;
+  }
+
+  // ===== Sales =====
+
+  async getSales(eventId) {
+    const { data, error } = await this.supabase
+      .from('events_sales')
+      .select('*')
+      .eq('event_id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listSales() {
+    const sales = [];
+
+    for (let page = 0; ; page++) {
+      const { data, error } = await this.supabase
+        .from('events_sales')
+        .select('*')
+        .order('event_id', { ascending: true })
+        .range(page * this.pageSize, (page + 1) * this.pageSize - 1);
+      if (error) throw error;
+
+      sales.push(...(data || []));
+      if (!data || data.length < this.pageSize) return sales;
+    }
+  }
+
+  async upsertSales(sales) {
+    const { error } = await this.supabase
+      .from('events_sales')
+      .upsert(sales, { onConflict: 'event_id' });
+
+    if (error) throw error;
+  }
+
+  async deleteSales(eventId) {
+    const { error } = await this.supabase
+      .from('events_sales')
+      .delete()
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+  }
+
+  // ===== Orders =====
+
+  async listOrders(eventId, { itemNames = null } = {}) {
+    const orders = [];
+
+    for (let page = 0; ; page++) {
+      let query = this.supabase.from('events_orders').select('*').eq('event_id', eventId);
+      if (itemNames) query = query.in('order_sales_item_name', itemNames);
+
+      const { data, error } = await query
+        .order('order_id', { ascending: true })
+        .order('order_sales_item_id', { ascending: true })
+        .range(page * this.pageSize, (page + 1) * this.pageSize - 1);
+      if (error) throw error;
+
+      orders.push(...(data || []));
+      if (!data || data.length < this.pageSize) return orders;
+    }
+  }
+
+  async upsertOrders(orders) {
+    const { error } = await this.supabase
+      .from('events_orders')
+      .upsert(orders, { onConflict: 'order_id,order_sales_item_id' });
+
+    if (error) throw error;
+  }
+
+  async deleteOrders(eventId) {
+    const { error } = await this.supabase
+      .from('events_orders')
+      .delete()
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+  }
+
+  async deleteOrderItems(eventId, items) {
+    // One delete per order, for the sale items of it that go
+    const itemIdsByOrder = new Map();
+    items.forEach(item => {
+      const orderId = String(item.order_id);
+      itemIdsByOrder.set(orderId, [...(itemIdsByOrder.get(orderId) || []), String(item.order_sales_item_id)]);
+    });
+
+    for (const [orderId, itemIds] of itemIdsByOrder) {
+      const { error } = await this.supabase
+        .from('events_orders')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('order_id', orderId)
+        .in('order_sales_item_id', itemIds);
+
+      if (error) throw error;
+    }
+  }
+
+  // ===== Sync runs =====
+
+  async saveSyncRun(run) {
+    const { error } = await this.supabase
+      .from('sync_runs')
+      .upsert(run, { onConflict: 'id' });
+
+    if (error) throw error;
+  }
+
+  async listSyncRuns({ sync = null, status = null, limit = SYNCS.HISTORY_LIMIT } = {}) {
+    let query = this.supabase.from('sync_runs').select('*');
+    if (sync) query = query.eq('sync', sync);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async ping() {
+    const { error } = await this.supabase
+      .from('bot_users')
+      .select('count')
+      .limit(1);
+
+    if (error) throw error;
+  }
+}
+
+class Repository {
+  constructor() {
+    const { database } = getConfig();
+
+    this.backendName = database.backend;
+    this.backend = database.backend === 'memory'
+      ? new MemoryRepositoryBackend(database.file)
+      : new SupabaseRepositoryBackend(createClient(database.url, database.key));
+  }
+
+  // ===== Users (bot_users) =====
+
+  /**
+   * User by phone number, or null
+   */
+  getUser(phoneNumber) {
+    return this.backend.getUser(phoneNumber);
+  }
+
+  /**
+   * User by username, case-insensitive, or null
+   */
+  findUserByName(username) {
+    return this.backend.findUserByName(username);
+  }
+
+  /**
+   * Every user, ordered by username
+   */
+  listUsers() {
+    return this.backend.listUsers();
+  }
+
+  /**
+   * Create a user or replace the given fields of an existing one
+   */
+  upsertUser(user) {
+    return this.backend.upsertUser(user);
+  }
+
+  updateUser(phoneNumber, values) {
+    return this.backend.updateUser(phoneNumber, values);
+  }
+
+  deleteUser(phoneNumber) {
+    return this.backend.deleteUser(phoneNumber);
+  }
+
+  // ===== Events (events) =====
+
+  getEvent(eventId) {
+    return this.backend.getEvent(eventId);
+  }
+
+  /**
+   * Events ordered by date, optionally from a `yyyy-MM-dd` date on or
+   * with one status (or any of a list). REMOVED events are left out unless asked for by
+   * status or with `includeRemoved`.
+   */
+  async listEvents({ includeRemoved = false, ...filters } = {}) {
+    const events = await this.backend.listEvents(filters);
+    return includeRemoved || filters.status
+      ? events
+      : events.filter(event => event.event_status !== 'REMOVED');
+  }
+
+  upsertEvents(events) {
+    return events.length > 0 ? this.backend.upsertEvents(events) : Promise.resolve();
+  }
+
+  updateEvents(eventIds, values) {
+    return eventIds.length > 0 ? this.backend.updateEvents(eventIds, values) : Promise.resolve();
+  }
+
+  deleteEvents(eventIds) {
+    return eventIds.length > 0 ? this.backend.deleteEvents(eventIds) : Promise.resolve();
+  }
+
+  // ===== Sales rollups (events_sales) =====
+
+  /**
+   * Sales totals of one event, or null if none were computed yet
+   */
+  getSales(eventId) {
+    return this.backend.getSales(eventId);
+  }
+
+  listSales() {
+    return this.backend.listSales();
+  }
+
+  upsertSales(sales) {
+    return sales.length > 0 ? this.backend.upsertSales(sales) : Promise.resolve();
+  }
+
+  /**
+   * Remove the sales totals of an event (when it is purged)
+   */
+  deleteSales(eventId) {
+    return this.backend.deleteSales(eventId);
+  }
+
+  // ===== Orders (events_orders) =====
+
+  /**
+   * Every order of an event, optionally only for some sales items
+   */
+  listOrders(eventId, options = {}) {
+    return this.backend.listOrders(eventId, options);
+  }
+
+  /**
+   * Insert or replace order items, keyed by order id and sale item id
+   */
+  upsertOrders(orders) {
+    return orders.length > 0 ? this.backend.upsertOrders(orders) : Promise.resolve();
+  }
+
+  /**
+   * Remove every order of an event (when it is purged)
+   */
+  deleteOrders(eventId) {
+    return this.backend.deleteOrders(eventId);
+  }
+
+  /**
+   * Remove some order items of an event, by order id and sale item id
+   * (the ones a full resync no longer got from Tixr)
+   */
+  deleteOrderItems(eventId, items) {
+    return items.length > 0 ? this.backend.deleteOrderItems(eventId, items) : Promise.resolve();
+  }
+
+  // ===== Sync history (sync_runs) =====
+
+  /**
+   * Insert or update a sync run, keyed by its id
+   */
+  saveSyncRun(run) {
+    return this.backend.saveSyncRun(run);
+  }
+
+  /**
+   * Most recent sync runs first, optionally of one sync or with one status
+   */
+  listSyncRuns(filters = {}) {
+    return this.backend.listSyncRuns(filters);
+  }
+
+  /**
+   * Throws if the database can't be reached
+   */
+  ping() {
+    return this.backend.ping();
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      backend: this.backendName,
+      file: this.backend.filePath || null
+    };
+  }
+}
+
+module.exports = new Repository();
+module.exports.MemoryRepositoryBackend = MemoryRepositoryBackend;
+module.exports.SupabaseRepositoryBackend = SupabaseRepositoryBackend;
@@ -0,0 +1,37 @@
+// scripts/retry.js - Retry timing shared by the Tixr and WhatsApp clients
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ * @returns {number|null} Seconds to wait, or null without a usable header
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseInt(value);
+  if (seconds >= 0 && String(seconds) === String(value).trim()) return seconds;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+/**
+ * Backoff for the given attempt, honouring Retry-After when present:
+ * doubling from `baseMs` with up to `baseMs` of jitter, capped at `maxMs`
+ * @param {object} error - Carries `retryAfter` in seconds when the API sent one
+ * @param {number} attempt - 1 for the first retry
+ */
+function getRetryDelay(error, attempt, { baseMs, maxMs }) {
+  if (error.retryAfter > 0) {
+    return Math.min(error.retryAfter * 1000, maxMs);
+  }
+
+  const backoff = baseMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * baseMs;
+  return Math.round(Math.min(backoff + jitter, maxMs));
+}
+
+module.exports = {
+  sleep,
+  parseRetryAfter,
+  getRetryDelay
+};
@@ -0,0 +1,198 @@
+// scripts/scheduler.js - Runs the syncs on cron schedules inside the server
+const { CronExpressionParser } = require('cron-parser');
+const { getConfig } = require('../config/environment');
+const syncRunner = require('./syncRunner');
+
+// setTimeout can't wait longer than this; longer waits are done in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+class Scheduler {
+  /**
+   * @param {object} options - `enabled`, `timezone`, `jitterMs` and `jobs`
+   *   (`[{ name, sync, cron, description }]`, cron null when turned off)
+   * @param {object} runner - Runs the syncs, see scripts/syncRunner.js
+   */
+  constructor({ enabled, timezone, jitterMs, jobs } = getConfig().scheduler, runner = syncRunner) {
+    this.enabled = enabled;
+    this.timezone = timezone;
+    this.jitterMs = jitterMs;
+    this.runner = runner;
+    this.started = false;
+
+    this.jobs = new Map();
+    jobs.forEach(job => {
+      if (job.cron) {
+        // Fail at startup rather than at the first run
+        this.parse(job.cron, job.name);
+      }
+      this.jobs.set(job.name, {
+        ...job,
+        timer: null,
+        nextRunAt: null,
+        lastRun: null,
+        skipped: 0
+      });
+    });
+  }
+
+  parse(cron, name, currentDate = new Date()) {
+    try {
+      return CronExpressionParser.parse(cron, { currentDate, tz: this.timezone });
+    } catch (error) {
+      throw new Error(`Invalid schedule "${cron}" for job ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * When the job is next due after `from`, or null if it has no schedule
+   */
+  getNextRun(name, from = new Date()) {
+    const job = this.jobs.get(name);
+    if (!job?.cron) return null;
+    return this.parse(job.cron, name, from).next().toDate();
+  }
+
+  /**
+   * Schedule every job that has a cron expression
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    this.started = true;
+    this.jobs.forEach(job => {
+      if (job.cron) this.scheduleNext(job, new Date());
+    });
+    console.log(`⏰ Scheduler started with ${[...this.jobs.values()].filter(job => job.cron).length} jobs (${this.timezone})`);
+  }
+
+  stop() {
+    this.started = false;
+    this.jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    });
+  }
+
+  /**
+   * Arm the timer for the run after `from`. A random jitter spreads the
+   * runs so several instances don't hit Tixr at the same second.
+   */
+  scheduleNext(job, from) {
+    const dueAt = this.getNextRun(job.name, from);
+    const runAt = new Date(dueAt.getTime() + Math.floor(Math.random() * (this.jitterMs + 1)));
+    job.nextRunAt = runAt.toISOString();
+    this.armTimer(job, dueAt, runAt);
+  }
+
+  armTimer(job, dueAt, runAt) {
+    const delay = runAt.getTime() - Date.now();
+
+    job.timer = setTimeout(() => {
+      if (Date.now() < runAt.getTime()) {
+        this.armTimer(job, dueAt, runAt);
+        return;
+      }
+
+      // The next run is scheduled from this one's due time, so a slow
+      // run or a long jitter never shifts the schedule
+      this.scheduleNext(job, dueAt);
+      this.runJob(job.name, 'cron').catch(() => {});
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+
+    // Pending runs must not keep the process alive
+    job.timer.unref?.();
+  }
+
+  /**
+   * Run a job now. A scheduled run is skipped while the job's previous run,
+   * or a run of another sync in its group, is still going; a manual run
+   * joins it or waits its turn in the sync runner instead.
+   * @param {string} trigger - 'cron' or 'manual'
+   * @param {string} triggeredBy - Who ran a manual job
+   * @returns {object} The job's `lastRun`: `{ trigger, status, startedAt,
+   *   finishedAt, result, error }` with status running, success or failed
+   */
+  async runJob(name, trigger = 'manual', triggeredBy = null) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    const blocking = trigger === 'cron' ? this.runner.findBlockingRun(job.sync) : null;
+    if (blocking) {
+      console.log(`⏭️ Job ${name} skipped - sync ${blocking} is still going`);
+      job.skipped++;
+      return job.lastRun;
+    }
+
+    const run = {
+      trigger,
+      triggeredBy,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    job.lastRun = run;
+
+    try {
+      const { status, counts } = await this.runner.run(job.sync, { trigger, triggeredBy });
+      Object.assign(run, { status, result: counts });
+    } catch (error) {
+      Object.assign(run, { status: 'failed', error: error.message });
+    }
+    run.finishedAt = new Date().toISOString();
+    return run;
+  }
+
+  /**
+   * Start a job by hand without waiting for it
+   * @param {string} triggeredBy - Who asked, for the sync history
+   * @returns {Promise} Settles like `runJob`
+   */
+  trigger(name, triggeredBy = null) {
+    if (!this.jobs.has(name)) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+    console.log(`▶️ Job ${name} triggered manually${triggeredBy ? ` by ${triggeredBy}` : ''}`);
+    return this.runJob(name, 'manual', triggeredBy);
+  }
+
+  /**
+   * Every job with its schedule, next run and last result
+   */
+  getJobs() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      description: job.description,
+      sync: job.sync,
+      cron: job.cron,
+      enabled: this.enabled && !!job.cron,
+      running: this.runner.isRunning(job.sync),
+      nextRunAt: this.started ? job.nextRunAt : null,
+      lastRun: job.lastRun,
+      skipped: job.skipped
+    }));
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      started: this.started,
+      timezone: this.timezone,
+      jitterMs: this.jitterMs,
+      jobs: [...this.jobs.values()].filter(job => job.cron).map(job => job.name)
+    };
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.Scheduler = Scheduler;
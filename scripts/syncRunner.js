@@ -0,0 +1,322 @@
+// scripts/syncRunner.js - Runs the Tixr and sales syncs in-process, one at a time per scope
+const crypto = require('crypto');
+const { getConfig } = require('../config/environment');
+const repository = require('./repository');
+const { checkForEventChanges, updateStatuses, syncAllEvents } = require('../sync-events');
+const { syncEventSales } = require('../sync-sales');
+const { syncEventOrders, syncLiveOrders } = require('../sync-orders');
+
+/**
+ * Counts, touched event ids and per-event errors of a sync result. Syncs
+ * report numbers plus `eventIds` and the `errors` they carried on past;
+ * the orders syncs describe themselves.
+ */
+function summarizeResult(result) {
+  const counts = Object.fromEntries(
+    Object.entries(result || {}).filter(([, value]) => typeof value === 'number')
+  );
+  return { counts, ids: result?.eventIds || [], errors: result?.errors || [] };
+}
+
+/**
+ * Summary of an orders sync of one event
+ */
+function summarizeEventOrdersResult(result) {
+  return {
+    counts: { orders: result.orders, rows: result.rows },
+    ids: [result.eventId],
+    errors: []
+  };
+}
+
+/**
+ * Summary of an orders sync over several events
+ */
+function summarizeOrdersResult({ results, failures }) {
+  return {
+    counts: {
+      events: results.length,
+      rows: results.reduce((sum, result) => sum + result.rows, 0),
+      failed: failures.length
+    },
+    ids: results.map(result => result.eventId),
+    errors: failures
+  };
+}
+
+// Sync name -> `{ run, summarize, group }`. Arguments become part of the
+// scope, so `orders` for event 101 and for event 102 run side by side.
+// Syncs of the same group run one after another: the orders syncs write
+// the rows the sales rollup reads, so none of them overlap.
+const SYNC_JOBS = {
+  'events': { run: () => syncAllEvents() },
+  'event-changes': { run: () => checkForEventChanges() },
+  'event-statuses': { run: () => updateStatuses() },
+  'sales': { run: () => syncEventSales(), group: 'orders' },
+  'orders': {
+    run: eventId => syncEventOrders(eventId),
+    summarize: summarizeEventOrdersResult,
+    group: 'orders'
+  },
+  'orders-full': {
+    run: eventId => syncEventOrders(eventId, { full: true }),
+    summarize: summarizeEventOrdersResult,
+    group: 'orders'
+  },
+  'live-orders': {
+    run: () => syncLiveOrders(),
+    summarize: summarizeOrdersResult,
+    group: 'orders'
+  },
+  'live-orders-full': {
+    run: () => syncLiveOrders({ full: true }),
+    summarize: summarizeOrdersResult,
+    group: 'orders'
+  }
+};
+
+class SyncRunner {
+  /**
+   * @param {object} jobs - Sync name -> `{ run, summarize, group }` (or just the run function)
+   * @param {object} history - Where runs are recorded (`saveSyncRun`), see scripts/repository.js
+   */
+  constructor(jobs = SYNC_JOBS, history = repository) {
+    const { syncs } = getConfig();
+
+    this.jobs = Object.fromEntries(
+      Object.entries(jobs).map(([name, job]) => [name, typeof job === 'function' ? { run: job } : job])
+    );
+    this.history = history;
+    this.waitTimeoutMs = syncs.waitTimeoutMs;
+    this.maxFailures = syncs.maxFailures;
+
+    this.running = new Map();   // scope -> { sync, promise, startedAt }, startedAt null while queued
+    this.groupTails = new Map(); // group -> promise settling after its last queued run
+    this.lastRuns = new Map();  // scope -> the last finished run
+    this.failures = [];
+    this.stats = {
+      started: 0,
+      merged: 0,
+      completed: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Start a sync, or join the one already running for the same scope. A
+   * sync whose group is busy is queued behind the group's other runs.
+   * Resolves with `{ id, scope, status, result, counts, touchedIds, errors,
+   * startedAt, finishedAt }` and rejects with the sync's error.
+   * @param {string} name - Key of SYNC_JOBS
+   * @param {object} options - `args` for the sync (e.g. an event id), and
+   *   who asked for it: `trigger` ('cron', 'user' or 'manual') and `triggeredBy`
+   */
+  run(name, { args = [], trigger = 'manual', triggeredBy = null } = {}) {
+    const job = this.jobs[name];
+    if (!job) {
+      return Promise.reject(new Error(`Unknown sync "${name}"`));
+    }
+
+    const scope = [name, ...args].join(':');
+    const current = this.running.get(scope);
+    if (current) {
+      this.stats.merged++;
+      return current.promise;
+    }
+
+    const entry = { sync: name, promise: null, startedAt: null };
+    const start = () => this.start(job, scope, args, trigger, triggeredBy, entry);
+    const previous = job.group ? this.groupTails.get(job.group) : null;
+    if (previous) {
+      console.log(`⏳ Sync ${scope} queued behind the running ${job.group} syncs`);
+    }
+
+    const promise = (previous ? previous.then(start) : start())
+      .finally(() => this.running.delete(scope));
+
+    // Callers may stop waiting, so a failure must never go unhandled
+    promise.catch(() => {});
+
+    entry.promise = promise;
+    this.running.set(scope, entry);
+
+    if (job.group) {
+      const tail = promise.catch(() => {});
+      this.groupTails.set(job.group, tail);
+      tail.then(() => {
+        if (this.groupTails.get(job.group) === tail) {
+          this.groupTails.delete(job.group);
+        }
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * Run a sync now and record it in the history
+   */
+  start(job, scope, args, trigger, triggeredBy, entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      sync: entry.sync,
+      scope,
+      trigger,
+      triggered_by: triggeredBy,
+      status: 'running',
+      started_at: new Date().toISOString()
+    };
+    this.stats.started++;
+    console.log(`🔄 Sync ${scope} started (${trigger}${triggeredBy ? ` by ${triggeredBy}` : ''})`);
+
+    entry.startedAt = record.started_at;
+
+    const started = this.save(record);
+    return Promise.resolve()
+      .then(() => job.run(...args))
+      .then(
+        async result => {
+          const { counts, ids, errors } = (job.summarize || summarizeResult)(result);
+          const finished = this.finish(record, errors.length > 0 ? 'partial' : 'success', { counts, ids, errors });
+          await started;
+          await this.save(finished);
+
+          this.stats.completed++;
+          const run = {
+            id: record.id,
+            scope,
+            status: finished.status,
+            result,
+            counts,
+            touchedIds: ids,
+            errors,
+            startedAt: record.started_at,
+            finishedAt: finished.finished_at
+          };
+          this.lastRuns.set(scope, { ...run, success: true });
+          console.log(`✅ Sync ${scope} finished in ${finished.duration_ms}ms`);
+          return run;
+        },
+        async error => {
+          const finished = this.finish(record, 'failed', { errors: [{ error: error.message }] });
+          await started;
+          await this.save(finished);
+          this.recordFailure(scope, record.started_at, error);
+          throw error;
+        }
+      );
+  }
+
+  /**
+   * The `sync_runs` row of a run that ended
+   */
+  finish(record, status, { counts = null, ids = [], errors = [] }) {
+    const finishedAt = new Date();
+    return {
+      ...record,
+      status,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - new Date(record.started_at).getTime(),
+      counts,
+      touched_ids: ids,
+      errors
+    };
+  }
+
+  /**
+   * Write a run to the history. A history that can't be written is
+   * logged but never fails the sync itself.
+   */
+  async save(record) {
+    try {
+      await this.history.saveSyncRun(record);
+    } catch (error) {
+      console.error(`⚠️ Could not record sync run ${record.scope}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a sync without failing the caller. Resolves with
+   * `{ done: true, run }` once it finishes, `{ done: false, error }` if it
+   * failed, or `{ done: false, timedOut: true }` once the timeout passes -
+   * the sync keeps running in the background.
+   */
+  async wait(promise, timeoutMs = this.waitTimeoutMs) {
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve({ done: false, timedOut: true }), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        promise.then(run => ({ done: true, run }), error => ({ done: false, error })),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record a failed sync
+   */
+  recordFailure(scope, startedAt, error) {
+    const failure = {
+      scope,
+      error: error.message,
+      startedAt,
+      failedAt: new Date().toISOString()
+    };
+
+    this.stats.failed++;
+    this.lastRuns.set(scope, { ...failure, success: false, finishedAt: failure.failedAt });
+    this.failures.push(failure);
+    if (this.failures.length > this.maxFailures) {
+      this.failures.shift();
+    }
+
+    console.error(`❌ Sync ${scope} failed: ${error.message}`);
+  }
+
+  /**
+   * Whether a sync is running or queued for the scope
+   */
+  isRunning(name, ...args) {
+    return this.running.has([name, ...args].join(':'));
+  }
+
+  /**
+   * The scope of a run that keeps the sync from starting right away - one
+   * of its own, or of another sync in its group - or null
+   */
+  findBlockingRun(name) {
+    const group = this.jobs[name]?.group;
+    for (const [scope, { sync }] of this.running) {
+      if (sync === name || (group && this.jobs[sync]?.group === group)) return scope;
+    }
+    return null;
+  }
+
+  /**
+   * Recorded runs, most recent first
+   * @param {object} filters - `sync`, `status` and `limit`
+   */
+  getHistory(filters = {}) {
+    return this.history.listSyncRuns(filters);
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      running: [...this.running.entries()].map(([scope, { startedAt }]) => ({ scope, startedAt, queued: !startedAt })),
+      waitTimeoutMs: this.waitTimeoutMs,
+      ...this.stats,
+      lastRuns: Object.fromEntries(this.lastRuns),
+      recentFailures: this.failures.slice(-10)
+    };
+  }
+}
+
+module.exports = new SyncRunner();
+module.exports.SyncRunner = SyncRunner;
@@ -1,61 +1,250 @@
-// scripts/tixr.js - Tixr API integration
+// scripts/tixr.js - Tixr API client, used by the bot and by every sync
 const axios = require('axios');
 const crypto = require('crypto');
+const { getConfig } = require('../config/environment');
+const { sleep, parseRetryAfter, getRetryDelay } = require('./retry');
+
+/**
+ * Error thrown for every failed Tixr call. `status` is null when the
+ * request never got a response (timeout, connection refused, ...).
+ */
+class TixrApiError extends Error {
+  constructor(message, { status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TixrApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter; // seconds, from the Retry-After header
+  }
+
+  /**
+   * Build from an axios error, typed by what went wrong
+   */
+  static fromAxiosError(error, operation) {
+    if (!error.response) {
+      const ErrorClass = ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ? TixrTimeoutError : TixrApiError;
+      return new ErrorClass(`Tixr ${operation} failed: ${error.message}`, { code: error.code || null });
+    }
+
+    const { status, data, headers } = error.response;
+    const detail = typeof data?.error === 'string' ? data.error : data?.error?.message || data?.message;
+    const ErrorClass = ERRORS_BY_STATUS[status] || TixrApiError;
+    return new ErrorClass(`Tixr ${operation} failed: ${status} ${detail || error.message}`, {
+      status,
+      code: error.code || null,
+      retryAfter: parseRetryAfter(headers?.['retry-after'])
+    });
+  }
+}
+
+class TixrTimeoutError extends TixrApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TixrTimeoutError';
+  }
+}
+
+class TixrRateLimitError extends TixrApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TixrRateLimitError';
+  }
+}
+
+class TixrAuthError extends TixrApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TixrAuthError';
+  }
+}
+
+class TixrNotFoundError extends TixrApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TixrNotFoundError';
+  }
+}
+
+/**
+ * Tixr answered, but not with what was asked for (e.g. an object instead
+ * of a list of events)
+ */
+class TixrResponseError extends TixrApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TixrResponseError';
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  401: TixrAuthError,
+  403: TixrAuthError,
+  404: TixrNotFoundError,
+  429: TixrRateLimitError
+};
 
 class TixrAPI {
-  constructor() {
-    this.baseURL = 'https://studio.tixr.com';
-    this.groupId = process.env.TIXR_GROUP_ID || '980';
-    this.cpk = process.env.TIXR_CPK;
-    this.secretKey = process.env.TIXR_SECRET_KEY;
-    
-    if (!this.cpk || !this.secretKey) {
+  /**
+   * Options override the environment config, e.g. to point a client at a
+   * local mock (`baseUrl`) or to retry faster in tests
+   */
+  constructor(options = {}) {
+    this.options = options;
+
+    const { cpk, secretKey } = this.getSettings();
+    if (!cpk || !secretKey) {
       console.warn('⚠️ Tixr API credentials not found in environment variables');
     }
   }
 
+  /**
+   * Effective settings - read on each call so env changes apply
+   */
+  getSettings() {
+    const { tixr } = getConfig();
+    const settings = { ...tixr };
+    Object.entries(this.options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) settings[key] = value;
+    });
+    settings.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+    return settings;
+  }
+
   /**
    * Build authentication hash for Tixr API
    */
-  buildHash(basePath, params) {
+  buildHash(basePath, params, secretKey = this.getSettings().secretKey) {
     const sorted = Object.keys(params)
       .sort()
       .map(k => `${k}=${encodeURIComponent(params[k])}`)
       .join('&');
     
     const hash = crypto
-      .createHmac('sha256', this.secretKey)
+      .createHmac('sha256', secretKey)
       .update(`${basePath}?${sorted}`)
       .digest('hex');
       
     return { sorted, hash };
   }
 
+  /**
+   * Signed GET of `/v1/groups/<group id><path>`, returning the response
+   * body. Network errors, timeouts, 5xx and 429 are retried with
+   * exponential backoff, up to `maxRetries` times.
+   * @param {string} operation - What is being fetched, for errors and logs
+   */
+  async get(path, params, operation) {
+    const { baseUrl, groupId, cpk, secretKey, timeoutMs, maxRetries } = this.getSettings();
+    if (!cpk || !secretKey) {
+      throw new TixrAuthError(`Tixr ${operation} failed: TIXR_CPK and TIXR_SECRET_KEY are not set`);
+    }
+
+    const basePath = `/v1/groups/${groupId}${path}`;
+    for (let attempt = 1; ; attempt++) {
+      // A fresh timestamp, and so a fresh hash, for every attempt
+      const { sorted, hash } = this.buildHash(basePath, { cpk, t: Date.now(), ...params }, secretKey);
+
+      try {
+        const response = await axios.get(`${baseUrl}${basePath}?${sorted}&hash=${hash}`, { timeout: timeoutMs });
+        return response.data;
+      } catch (error) {
+        const apiError = TixrApiError.fromAxiosError(error, operation);
+        if (attempt > maxRetries || !this.isRetryable(apiError)) {
+          throw apiError;
+        }
+
+        const delay = this.getRetryDelay(apiError, attempt);
+        console.log(`🔄 ${apiError.message} - retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Every page of a list endpoint, until a page comes back short
+   */
+  async getPages(path, params, pageSize, operation) {
+    const items = [];
+
+    for (let pageNumber = 1; ; pageNumber++) {
+      const data = await this.get(path, { ...params, page_number: pageNumber, page_size: pageSize }, `${operation} page ${pageNumber}`);
+      if (!Array.isArray(data)) {
+        throw new TixrResponseError(`Tixr ${operation} page ${pageNumber} failed: expected a list, got ${typeof data}`);
+      }
+
+      items.push(...data);
+      if (data.length < pageSize) return items;
+    }
+  }
+
+  /**
+   * Network errors, timeouts, 5xx and 429 are worth another try. Anything
+   * else (bad credentials, unknown event) will fail the same way again.
+   */
+  isRetryable(error) {
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 429;
+  }
+
+  /**
+   * Backoff for the given attempt, see scripts/retry.js
+   */
+  getRetryDelay(error, attempt) {
+    const { retryBaseMs, retryMaxMs } = this.getSettings();
+    return getRetryDelay(error, attempt, { baseMs: retryBaseMs, maxMs: retryMaxMs });
+  }
+
+  // ===== Throwing calls, for the syncs =====
+
+  /**
+   * Every event of the group
+   * @param {object} options - `pageSize` (default TIXR_PAGE_SIZE)
+   * @throws {TixrApiError}
+   */
+  async listEvents({ pageSize = this.getSettings().pageSize } = {}) {
+    return this.getPages('/events', {}, pageSize, 'events');
+  }
+
+  /**
+   * One event
+   * @throws {TixrNotFoundError} When Tixr doesn't know the event
+   */
+  async getEvent(eventId) {
+    const data = await this.get(`/events/${eventId}`, {}, `event ${eventId}`);
+    const event = Array.isArray(data) ? data[0] : data;
+    if (!event) {
+      throw new TixrNotFoundError(`Tixr event ${eventId} not found`, { status: 404 });
+    }
+    return event;
+  }
+
+  /**
+   * Every order of an event, whatever its status
+   * @param {object} options - `since` to only get the orders from then on,
+   *   and `pageSize` (default TIXR_ORDERS_PAGE_SIZE)
+   * @throws {TixrApiError}
+   */
+  async listOrders(eventId, { since = null, pageSize = this.getSettings().ordersPageSize } = {}) {
+    const params = since ? { start_date: since } : {};
+    return this.getPages(`/events/${eventId}/orders`, params, pageSize, `orders of event ${eventId}`);
+  }
+
+  // ===== Bot calls, which report failures as `{ success: false, error }` =====
+
   /**
    * Get upcoming events
    */
   async getUpcomingEvents(limit = 5) {
     try {
-      const basePath = `/v1/groups/${this.groupId}/events`;
-      const params = {
-        cpk: this.cpk,
-        t: Date.now(),
-        page_number: 1,
-        page_size: limit
-      };
-
-      const { sorted, hash } = this.buildHash(basePath, params);
-      const url = `${this.baseURL}${basePath}?${sorted}&hash=${hash}`;
-
-      const response = await axios.get(url, { timeout: 10000 });
+      const data = await this.get('/events', { page_number: 1, page_size: limit }, 'upcoming events');
       
-      if (!Array.isArray(response.data)) {
-        throw new Error('Invalid response format from Tixr API');
+      if (!Array.isArray(data)) {
+        throw new TixrResponseError('Invalid response format from Tixr API');
       }
 
       // Filter to upcoming events only
       const today = new Date();
-      const upcomingEvents = response.data.filter(event => {
+      const upcomingEvents = data.filter(event => {
         const eventDate = new Date(event.start_date);
         return eventDate >= today;
       });
@@ -81,20 +270,9 @@ class TixrAPI {
    */
   async getEventById(eventId) {
     try {
-      const basePath = `/v1/groups/${this.groupId}/events/${eventId}`;
-      const params = {
-        cpk: this.cpk,
-        t: Date.now()
-      };
-
-      const { sorted, hash } = this.buildHash(basePath, params);
-      const url = `${this.baseURL}${basePath}?${sorted}&hash=${hash}`;
-
-      const response = await axios.get(url, { timeout: 10000 });
-      
       return { 
         success: true, 
-        event: Array.isArray(response.data) ? response.data[0] : response.data 
+        event: await this.getEvent(eventId)
       };
 
     } catch (error) {
@@ -107,33 +285,17 @@ class TixrAPI {
   }
 
   /**
-   * Get sales data for an event
+   * Get the orders of an event, every page of them
+   * @param {string} startDate - Only orders since then
+   * @param {object} options - `status` to keep (default COMPLETE, null for
+   *   every order) and `pageSize`
    */
-  async getEventSales(eventId, startDate = null) {
+  async getEventSales(eventId, startDate = null, { status = 'COMPLETE', pageSize } = {}) {
     try {
-      const basePath = `/v1/groups/${this.groupId}/events/${eventId}/orders`;
-      const params = {
-        cpk: this.cpk,
-        t: Date.now(),
-        page_number: 1,
-        page_size: 1000
-      };
-
-      if (startDate) {
-        params.start_date = startDate;
-      }
-
-      const { sorted, hash } = this.buildHash(basePath, params);
-      const url = `${this.baseURL}${basePath}?${sorted}&hash=${hash}`;
-
-      const response = await axios.get(url, { timeout: 15000 });
-      
-      if (!Array.isArray(response.data)) {
-        throw new Error('Invalid sales response format from Tixr API');
-      }
+      const allOrders = await this.listOrders(eventId, { since: startDate, pageSize });
 
       // Process and aggregate sales data
-      const orders = response.data.filter(order => order.status === "COMPLETE");
+      const orders = status ? allOrders.filter(order => order.status === status) : allOrders;
       const salesSummary = this.processSalesData(orders);
 
       return { 
@@ -240,4 +402,11 @@ class TixrAPI {
   }
 }
 
-module.exports = new TixrAPI();
\ No newline at end of file
+module.exports = new TixrAPI();
+module.exports.TixrAPI = TixrAPI;
+module.exports.TixrApiError = TixrApiError;
+module.exports.TixrTimeoutError = TixrTimeoutError;
+module.exports.TixrRateLimitError = TixrRateLimitError;
+module.exports.TixrAuthError = TixrAuthError;
+module.exports.TixrNotFoundError = TixrNotFoundError;
+module.exports.TixrResponseError = TixrResponseError;
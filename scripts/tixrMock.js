@@ -0,0 +1,216 @@
+// scripts/tixrMock.js - Local stand-in for the Tixr Studio API
+//
+// Serves the signed endpoints the bot and the syncs call - the group's
+// events (paged), one event, and an event's orders (paged, from
+// start_date) - from JSON fixtures, and checks each request's hash the
+// way Tixr does. Run it and point TixrAPI at it:
+//
+//   npm run tixr-mock
+//   TIXR_BASE_URL=http://localhost:4020 node sync-events.js check-changes
+//
+// Fixtures are read from TIXR_MOCK_FIXTURES (default test/fixtures/tixr):
+// events.json holds Tixr events, lineups included, and orders.json the
+// orders by event id (`{ "<event id>": [...] }`).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { TIXR_MOCK } = require('../config/constants');
+
+class TixrMock {
+  /**
+   * @param {object} options - `port`, `groupId`, `cpk` and `secretKey` to
+   *   accept, and `fixturesDir` (or `fixtures`, `{ events, orders }`)
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? (parseInt(process.env.TIXR_MOCK_PORT) || TIXR_MOCK.PORT);
+    this.groupId = String(options.groupId || process.env.TIXR_GROUP_ID || '980');
+    this.cpk = options.cpk || process.env.TIXR_CPK;
+    this.secretKey = options.secretKey || process.env.TIXR_SECRET_KEY;
+    this.fixturesDir = path.resolve(
+      __dirname,
+      '..',
+      options.fixturesDir || process.env.TIXR_MOCK_FIXTURES || TIXR_MOCK.FIXTURES
+    );
+
+    this.requests = [];  // { pathname, params } of every request
+    this.server = null;
+
+    if (options.fixtures) {
+      this.load(options.fixtures);
+    } else {
+      this.loadFixtures();
+    }
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Replace the served data
+   * @param {object} fixtures - `{ events: [...], orders: { "<event id>": [...] } }`
+   */
+  load({ events = [], orders = {} } = {}) {
+    this.events = events;
+    this.orders = orders;
+  }
+
+  /**
+   * Read events.json and orders.json from the fixtures directory
+   */
+  loadFixtures() {
+    const read = (file, fallback) => {
+      const filePath = path.join(this.fixturesDir, file);
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+    };
+    this.load({ events: read('events.json', []), orders: read('orders.json', {}) });
+  }
+
+  /**
+   * The Tixr endpoints, plus a small control API under /mock
+   */
+  createApp() {
+    const app = express();
+
+    app.use('/v1', (req, res, next) => {
+      this.requests.push({ pathname: req.originalUrl.split('?')[0], params: { ...req.query } });
+
+      const rejection = this.verify(req);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+      next();
+    });
+
+    app.get('/v1/groups/:groupId/events', (req, res) => {
+      res.json(this.page(this.events, req.query));
+    });
+
+    app.get('/v1/groups/:groupId/events/:eventId', (req, res) => {
+      const event = this.findEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: `Event ${req.params.eventId} not found` });
+      }
+      res.json([event]);
+    });
+
+    app.get('/v1/groups/:groupId/events/:eventId/orders', (req, res) => {
+      if (!this.findEvent(req.params.eventId)) {
+        return res.status(404).json({ error: `Event ${req.params.eventId} not found` });
+      }
+
+      const since = req.query.start_date ? new Date(req.query.start_date) : null;
+      const orders = (this.orders[req.params.eventId] || [])
+        .filter(order => !since || new Date(order.purchase_date) >= since);
+      res.json(this.page(orders, req.query));
+    });
+
+    app.get('/mock/requests', (req, res) => res.json(this.requests));
+    app.delete('/mock/requests', (req, res) => {
+      this.requests = [];
+      res.json({ success: true });
+    });
+    app.post('/mock/reload', (req, res) => {
+      this.loadFixtures();
+      res.json({ events: this.events.length, orders: Object.keys(this.orders).length });
+    });
+
+    app.use((req, res) => res.status(404).json({ error: `No Tixr endpoint ${req.method} ${req.path}` }));
+
+    return app;
+  }
+
+  /**
+   * Check a request the way Tixr does: a known cpk and group, and a hash
+   * that is the HMAC-SHA256, keyed with the secret, of the path and the
+   * other parameters sorted by name
+   * @returns {object|null} `{ status, error }` to reject the request with
+   */
+  verify(req) {
+    const { hash, ...params } = req.query;
+    if (!hash || !params.cpk || !params.t) {
+      return { status: 401, error: 'cpk, t and hash are required' };
+    }
+    if (params.cpk !== this.cpk) {
+      return { status: 401, error: 'Unknown cpk' };
+    }
+
+    const basePath = req.originalUrl.split('?')[0];
+    const sorted = Object.keys(params)
+      .sort()
+      .map(k => `${k}=${encodeURIComponent(params[k])}`)
+      .join('&');
+    const expected = crypto
+      .createHmac('sha256', this.secretKey)
+      .update(`${basePath}?${sorted}`)
+      .digest('hex');
+
+    if (hash.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))) {
+      return { status: 401, error: 'Invalid hash' };
+    }
+    const groupId = basePath.split('/')[3];
+    if (groupId !== this.groupId) {
+      return { status: 403, error: `No access to group ${groupId}` };
+    }
+    return null;
+  }
+
+  findEvent(eventId) {
+    return this.events.find(event => String(event.id) === String(eventId)) || null;
+  }
+
+  /**
+   * The items of the requested page (`page_number` from 1, `page_size`)
+   */
+  page(items, query) {
+    const pageNumber = parseInt(query.page_number) || 1;
+    const pageSize = parseInt(query.page_size) || TIXR_MOCK.PAGE_SIZE;
+    return items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  }
+
+  /**
+   * Start listening. Resolves with the bound port (useful with port 0).
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Base URL to give TixrAPI as TIXR_BASE_URL
+   */
+  getBaseUrl() {
+    return `http://localhost:${this.port}`;
+  }
+}
+
+if (require.main === module) {
+  const mock = new TixrMock();
+
+  if (!mock.cpk || !mock.secretKey) {
+    console.error('❌ Set TIXR_CPK and TIXR_SECRET_KEY - the mock checks hashes with the keys the client signs with');
+    process.exit(1);
+  }
+
+  mock.start().then(() => {
+    console.log(`🎟️ Tixr mock listening on ${mock.getBaseUrl()} (group ${mock.groupId})`);
+    console.log(`   Serving ${mock.events.length} events from ${mock.fixturesDir}`);
+    console.log(`   Point the bot and the syncs at it with TIXR_BASE_URL=${mock.getBaseUrl()}`);
+  });
+}
+
+module.exports = TixrMock;
@@ -0,0 +1,152 @@
+// scripts/whatsappClient.js - WhatsApp Cloud API client
+const axios = require('axios');
+const FormData = require('form-data');
+const { getConfig } = require('../config/environment');
+const { TIMEOUTS } = require('../config/constants');
+const { parseRetryAfter } = require('./retry');
+
+/**
+ * Error thrown for every failed Cloud API call. `status` is null when the
+ * request never got a response (timeout, connection refused, ...).
+ */
+class WhatsAppApiError extends Error {
+  constructor(message, { status = null, code = null, subcode = null, type = null, details = null, traceId = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'WhatsAppApiError';
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    this.details = details;
+    this.traceId = traceId;
+    this.retryAfter = retryAfter; // seconds, from the Retry-After header
+  }
+
+  /**
+   * Build from an axios error
+   */
+  static fromAxiosError(error, operation) {
+    if (!error.response) {
+      return new WhatsAppApiError(`WhatsApp ${operation} failed: ${error.message}`, {
+        code: error.code || null
+      });
+    }
+
+    const { status, data, headers } = error.response;
+    const apiError = data?.error || {};
+    return new WhatsAppApiError(
+      `WhatsApp ${operation} failed: ${status}${apiError.code ? ` (${apiError.code})` : ''} ${apiError.message || error.message}`,
+      {
+        status,
+        code: apiError.code ?? null,
+        subcode: apiError.error_subcode ?? null,
+        type: apiError.type || null,
+        details: apiError.error_data?.details || null,
+        traceId: apiError.fbtrace_id || null,
+        retryAfter: parseRetryAfter(headers?.['retry-after'])
+      }
+    );
+  }
+}
+
+class WhatsAppClient {
+  /**
+   * Options override the environment config, e.g. to point a second
+   * client at another phone number or a local simulator
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Effective settings - read on each call so env changes apply
+   */
+  getSettings() {
+    const { whatsapp } = getConfig();
+    return {
+      token: this.options.token || whatsapp.token,
+      phoneNumberId: this.options.phoneNumberId || whatsapp.phoneNumberId,
+      apiVersion: this.options.apiVersion || whatsapp.apiVersion,
+      baseUrl: (this.options.baseUrl || whatsapp.apiBaseUrl).replace(/\/+$/, ''),
+      timeoutMs: this.options.timeoutMs || TIMEOUTS.WHATSAPP_API
+    };
+  }
+
+  /**
+   * POST to `/<version>/<phone number id>/<edge>` and return the response body
+   */
+  async post(edge, data, operation, headers = {}) {
+    const { token, phoneNumberId, apiVersion, baseUrl, timeoutMs } = this.getSettings();
+
+    try {
+      const response = await axios.post(`${baseUrl}/${apiVersion}/${phoneNumberId}/${edge}`, data, {
+        headers: { 'Authorization': `Bearer ${token}`, ...headers },
+        timeout: timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      throw WhatsAppApiError.fromAxiosError(error, operation);
+    }
+  }
+
+  /**
+   * Send any message payload (`{ type, text | interactive | document | ... }`)
+   * @returns {object} API response, with the new message id in `messages[0].id`
+   */
+  async sendMessage(to, payload) {
+    return this.post('messages', { messaging_product: 'whatsapp', to, ...payload }, 'send');
+  }
+
+  async sendText(to, body, previewUrl = false) {
+    return this.sendMessage(to, { type: 'text', text: { body, preview_url: previewUrl } });
+  }
+
+  async sendInteractive(to, interactive) {
+    return this.sendMessage(to, { type: 'interactive', interactive });
+  }
+
+  /**
+   * @param {object} document - `{ id }` of uploaded media or `{ link }`, plus `filename` and `caption`
+   */
+  async sendDocument(to, document) {
+    return this.sendMessage(to, { type: 'document', document });
+  }
+
+  /**
+   * @param {object} image - `{ id }` of uploaded media or `{ link }`, plus `caption`
+   */
+  async sendImage(to, image) {
+    return this.sendMessage(to, { type: 'image', image });
+  }
+
+  /**
+   * Upload a file for later sending
+   * @returns {string} Media id
+   */
+  async uploadMedia(buffer, filename, mimeType) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', buffer, { filename, contentType: mimeType });
+
+    const data = await this.post('media', form, 'media upload', form.getHeaders());
+    return data.id;
+  }
+
+  /**
+   * Mark an inbound message as read, optionally showing the typing
+   * indicator until the next reply (or 25 seconds)
+   */
+  async markAsRead(messageId, showTyping = false) {
+    return this.post('messages', {
+      messaging_product: 'whatsapp',
+      status: 'read',
+      message_id: messageId,
+      ...(showTyping && { typing_indicator: { type: 'text' } })
+    }, 'read receipt');
+  }
+}
+
+module.exports = new WhatsAppClient();
+module.exports.WhatsAppClient = WhatsAppClient;
+module.exports.WhatsAppApiError = WhatsAppApiError;
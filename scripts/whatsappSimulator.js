@@ -0,0 +1,388 @@
+// scripts/whatsappSimulator.js - Local stand-in for the WhatsApp Cloud API
+//
+// Serves the Graph endpoints the bot calls (/messages, /media), records
+// every outbound payload, and posts signed inbound webhook events to the
+// bot. Run it next to the bot:
+//
+//   npm run simulator
+//   WHATSAPP_API_BASE_URL=http://localhost:4010 npm start
+//
+// then type `<phone> <text>` to message the bot as that phone, or
+// `<phone> /btn <id>`, `<phone> /list <id>`, `/status <wamid> <status>`,
+// `/outbox [phone]` and `/clear`.
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const readline = require('readline');
+const { WHATSAPP_SIMULATOR } = require('../config/constants');
+
+class WhatsAppSimulator {
+  /**
+   * @param {object} options - `port`, `webhookUrl`, `appSecret`,
+   *   `phoneNumberId` and `autoStatuses` (report sent/delivered for
+   *   every outbound message)
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? (parseInt(process.env.SIM_PORT) || WHATSAPP_SIMULATOR.PORT);
+    this.webhookUrl = options.webhookUrl
+      || process.env.SIM_WEBHOOK_URL
+      || `http://localhost:${process.env.PORT || 3000}/webhook`;
+    this.appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+    this.phoneNumberId = options.phoneNumberId || process.env.PHONE_NUMBER_ID || 'simulator';
+    this.autoStatuses = options.autoStatuses ?? process.env.SIM_AUTO_STATUSES === 'true';
+
+    this.outbox = [];        // messages the bot sent
+    this.readReceipts = [];  // inbound message ids the bot marked as read
+    this.media = new Map();  // media id -> { filename, mimeType, size }
+    this.listeners = [];
+    this.nextId = 1;
+    this.server = null;
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Graph endpoints the bot calls, plus a small control API under /sim
+   */
+  createApp() {
+    const app = express();
+
+    app.post('/:version/:phoneNumberId/messages', express.json(), (req, res) => {
+      if (!req.get('Authorization')) {
+        return res.status(401).json(this.graphError(190, 'Missing access token', 'OAuthException'));
+      }
+
+      const body = req.body || {};
+      if (body.status === 'read') {
+        this.readReceipts.push({ messageId: body.message_id, typing: !!body.typing_indicator });
+        return res.json({ success: true });
+      }
+
+      if (!body.to || !body.type || !body[body.type]) {
+        return res.status(400).json(this.graphError(100, 'Invalid parameter', 'OAuthException'));
+      }
+
+      const message = {
+        id: this.createMessageId(),
+        to: body.to,
+        type: body.type,
+        payload: body,
+        timestamp: new Date().toISOString()
+      };
+      this.outbox.push(message);
+      this.listeners.forEach(listener => listener(message));
+
+      if (this.autoStatuses) {
+        this.reportStatuses(message);
+      }
+
+      res.json({
+        messaging_product: 'whatsapp',
+        contacts: [{ input: body.to, wa_id: body.to }],
+        messages: [{ id: message.id }]
+      });
+    });
+
+    app.post('/:version/:phoneNumberId/media', express.raw({ type: 'multipart/form-data', limit: '20mb' }), (req, res) => {
+      const raw = req.body instanceof Buffer ? req.body.toString('latin1') : '';
+      const filename = raw.match(/filename="([^"]*)"/)?.[1];
+
+      if (!filename) {
+        return res.status(400).json(this.graphError(100, 'Missing file', 'OAuthException'));
+      }
+
+      const id = `media.${this.nextId++}`;
+      this.media.set(id, {
+        filename,
+        mimeType: raw.match(/name="type"\r\n\r\n([^\r]*)/)?.[1] || null,
+        size: req.body.length
+      });
+      res.json({ id });
+    });
+
+    // Control API - lets tests and other tools drive the simulator over HTTP
+    app.use('/sim', express.json());
+    app.get('/sim/outbox', (req, res) => res.json(this.getOutbox(req.query.to)));
+    app.delete('/sim/outbox', (req, res) => {
+      this.clear();
+      res.sendStatus(204);
+    });
+    app.post('/sim/inbound/text', (req, res) => this.respond(res, this.sendText(req.body.from, req.body.text)));
+    app.post('/sim/inbound/button', (req, res) => this.respond(res, this.sendButtonReply(req.body.from, req.body.id, req.body.title)));
+    app.post('/sim/inbound/list', (req, res) => this.respond(res, this.sendListReply(req.body.from, req.body.id, req.body.title)));
+    app.post('/sim/inbound/status', (req, res) => this.respond(res, this.sendStatus(req.body.id, req.body.status, req.body.errors)));
+
+    return app;
+  }
+
+  /**
+   * Reply to a control API call once the webhook post finished
+   */
+  async respond(res, delivery) {
+    try {
+      res.json(await delivery);
+    } catch (error) {
+      res.status(502).json({ error: error.message });
+    }
+  }
+
+  graphError(code, message, type) {
+    return { error: { message, type, code, fbtrace_id: `sim${this.nextId++}` } };
+  }
+
+  createMessageId() {
+    return `wamid.sim.${Date.now().toString(36)}.${this.nextId++}`;
+  }
+
+  /**
+   * Start listening. Resolves with the bound port (useful with port 0).
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Base URL to give the bot as WHATSAPP_API_BASE_URL
+   */
+  getBaseUrl() {
+    return `http://localhost:${this.port}`;
+  }
+
+  // ===== Inbound events =====
+
+  /**
+   * Post a signed webhook call to the bot, shaped like Meta's
+   */
+  async postWebhook(value) {
+    const body = JSON.stringify({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'simulator',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: this.phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    });
+
+    const signature = crypto.createHmac('sha256', this.appSecret || '').update(body).digest('hex');
+    const response = await axios.post(this.webhookUrl, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': `sha256=${signature}`
+      },
+      validateStatus: () => true
+    });
+    return { status: response.status };
+  }
+
+  /**
+   * Post an inbound message from a user
+   */
+  async sendInbound(from, message) {
+    const id = `wamid.in.${Date.now().toString(36)}.${this.nextId++}`;
+    const result = await this.postWebhook({
+      contacts: [{ profile: { name: `Sim ${from}` }, wa_id: from }],
+      messages: [{
+        from,
+        id,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...message
+      }]
+    });
+    return { id, ...result };
+  }
+
+  sendText(from, text) {
+    return this.sendInbound(from, { type: 'text', text: { body: text } });
+  }
+
+  sendButtonReply(from, id, title = id) {
+    return this.sendInbound(from, {
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id, title } }
+    });
+  }
+
+  sendListReply(from, id, title = id) {
+    return this.sendInbound(from, {
+      type: 'interactive',
+      interactive: { type: 'list_reply', list_reply: { id, title } }
+    });
+  }
+
+  /**
+   * Report a delivery status for a message the bot sent
+   */
+  sendStatus(messageId, status, errors = null) {
+    const message = this.outbox.find(m => m.id === messageId);
+    return this.postWebhook({
+      statuses: [{
+        id: messageId,
+        status,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        recipient_id: message?.to || 'unknown',
+        ...(errors && { errors })
+      }]
+    });
+  }
+
+  async reportStatuses(message) {
+    try {
+      await this.sendStatus(message.id, 'sent');
+      await this.sendStatus(message.id, 'delivered');
+    } catch (error) {
+      console.error(`⚠️ Simulator could not report statuses for ${message.id}: ${error.message}`);
+    }
+  }
+
+  // ===== Outbox =====
+
+  getOutbox(to = null) {
+    return this.outbox.filter(message => !to || message.to === to);
+  }
+
+  clear() {
+    this.outbox = [];
+    this.readReceipts = [];
+  }
+
+  /**
+   * Call `listener(message)` for every outbound message
+   */
+  onMessage(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Resolves once `count` messages have been sent to `to` in total
+   */
+  waitForMessages(to, count, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const check = () => {
+        const messages = this.getOutbox(to);
+        if (messages.length >= count) return resolve(messages);
+        if (Date.now() - startedAt > timeoutMs) {
+          return reject(new Error(`Expected ${count} messages to ${to}, got ${messages.length}`));
+        }
+        setTimeout(check, 20);
+      };
+      check();
+    });
+  }
+
+  /**
+   * Human-readable version of an outbound message
+   */
+  static render(message) {
+    const { payload } = message;
+
+    switch (message.type) {
+      case 'text':
+        return payload.text.body;
+      case 'interactive': {
+        const { interactive } = payload;
+        const options = interactive.type === 'button'
+          ? interactive.action.buttons.map(button => button.reply)
+          : interactive.action.sections.flatMap(section => section.rows);
+        return [
+          interactive.body.text,
+          ...options.map(option => `  [${option.id}] ${option.title}`)
+        ].join('\n');
+      }
+      case 'document':
+        return `📎 ${payload.document.filename || payload.document.id}${payload.document.caption ? ` - ${payload.document.caption}` : ''}`;
+      case 'image':
+        return `🖼️ ${payload.image.id || payload.image.link}${payload.image.caption ? ` - ${payload.image.caption}` : ''}`;
+      default:
+        return JSON.stringify(payload[message.type]);
+    }
+  }
+}
+
+/**
+ * Interactive console: type as a phone number and see the bot's replies
+ */
+async function runConsole() {
+  const simulator = new WhatsAppSimulator();
+
+  if (!simulator.appSecret) {
+    console.warn('⚠️ WHATSAPP_APP_SECRET is not set - the bot will reject simulated webhooks');
+  }
+
+  await simulator.start();
+  console.log(`📱 WhatsApp simulator listening on ${simulator.getBaseUrl()}`);
+  console.log(`   Start the bot with WHATSAPP_API_BASE_URL=${simulator.getBaseUrl()}`);
+  console.log(`   Posting webhooks to ${simulator.webhookUrl}`);
+
+  simulator.onMessage(message => {
+    console.log(`\n🤖 → ${message.to} (${message.id})\n${WhatsAppSimulator.render(message)}\n`);
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('line', async line => {
+    const input = line.trim();
+    if (!input) return;
+
+    try {
+      const [first, second, ...rest] = input.split(/\s+/);
+      let result;
+
+      if (first === '/outbox') {
+        simulator.getOutbox(second).forEach(message => console.log(`${message.to}: ${WhatsAppSimulator.render(message)}`));
+        return;
+      } else if (first === '/clear') {
+        simulator.clear();
+        return;
+      } else if (first === '/status') {
+        result = await simulator.sendStatus(second, rest[0]);
+      } else if (second === '/btn') {
+        result = await simulator.sendButtonReply(first, rest.join(' '));
+      } else if (second === '/list') {
+        result = await simulator.sendListReply(first, rest.join(' '));
+      } else if (second) {
+        result = await simulator.sendText(first, input.slice(first.length).trim());
+      } else {
+        console.log('Usage: <phone> <text> | <phone> /btn <id> | <phone> /list <id> | /status <wamid> <status> | /outbox [phone] | /clear');
+        return;
+      }
+
+      if (result.status !== 200) {
+        console.log(`⚠️ Webhook answered ${result.status}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  });
+
+  rl.on('close', async () => {
+    await simulator.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  runConsole();
+}
+
+module.exports = WhatsAppSimulator;
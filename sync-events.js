@@ -1,9 +1,13 @@
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-const crypto = require('crypto');
-
-console.log('🚀 Starting Tixr Events Sync (ENHANCED)...');
-
+// sync-events.js - Copies Tixr events into the events table
+//
+//   node sync-events.js sync                full sync of every event
+//   node sync-events.js status              move statuses on (on sale, sold out, past...)
+//   node sync-events.js check-changes       apply new, updated and removed events
+//   node sync-events.js status-and-changes  both of the above
+//
+// The bot runs the same functions in-process through scripts/syncRunner.js.
+// With TIXR_BASE_URL=http://localhost:4020 they read the fixtures served
+// by scripts/tixrMock.js instead of Tixr.
 // Load environment variables
 if (process.env.NODE_ENV !== 'production') {
   try {
@@ -16,18 +20,24 @@ if (process.env.NODE_ENV !== 'production') {
 // Configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_KEY;
-const GROUP_ID = process.env.TIXR_GROUP_ID || '980';
+const DATABASE_BACKEND = process.env.DATABASE_BACKEND || 'supabase';
 const CPK = process.env.TIXR_CPK;
 const SECRET_KEY = process.env.TIXR_SECRET_KEY;
 
-// Validation
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY || !CPK || !SECRET_KEY) {
-  console.error('❌ Missing required environment variables');
-  console.error('Required: SUPABASE_URL, SUPABASE_KEY, TIXR_CPK, TIXR_SECRET_KEY');
-  process.exit(1);
+// Validation (command line only - the bot validates its own environment)
+function validateEnvironment() {
+  const needsSupabase = DATABASE_BACKEND !== 'memory';
+  if ((needsSupabase && (!SUPABASE_URL || !SUPABASE_SERVICE_KEY)) || !CPK || !SECRET_KEY) {
+    console.error('❌ Missing required environment variables');
+    console.error(`Required: ${needsSupabase ? 'SUPABASE_URL, SUPABASE_KEY, ' : ''}TIXR_CPK, TIXR_SECRET_KEY`);
+    process.exit(1);
+  }
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+const repository = require('./scripts/repository');
+const tixr = require('./scripts/tixr');
+const { getConfig } = require('./config/environment');
+const { UPCOMING_STATUSES, computeEventStatus, resolveTimezone, toVenueDate } = require('./scripts/eventStatus');
 
 // ==================== ARTIST EXTRACTION ====================
 const EXCLUDE_LIST = [
@@ -122,159 +132,117 @@ function extractArtistFromEvent(tixrEvent) {
   return extractMainArtist(tixrEvent.name);
 }
 
-// ==================== STATUS LOGIC ====================
-function computeEventStatus(eventDate) {
-  const now = new Date();
-  const eventStart = new Date(eventDate + 'T00:00:00');
-  const eventEnd = new Date(eventStart);
-  eventEnd.setDate(eventEnd.getDate() + 1);
-  eventEnd.setHours(4, 0, 0, 0);
-  
-  return now > eventEnd ? 'PAST' : 'LIVE';
-}
-
-// ==================== DATE CONVERSION ====================
-function convertToMontrealDate(utcDateString) {
-  if (!utcDateString) return null;
-  const utcDate = new Date(utcDateString);
-  
-  return utcDate.toLocaleDateString("en-CA", {
-    timeZone: "America/Montreal",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit"
-  });
-}
-
 // ==================== TIXR API FUNCTIONS ====================
-function buildHash(basePath, paramsObj) {
-  const paramsSorted = Object.keys(paramsObj)
-    .sort()
-    .map(k => `${k}=${encodeURIComponent(paramsObj[k])}`)
-    .join('&');
-  const hashString = `${basePath}?${paramsSorted}`;
-  const hash = crypto
-    .createHmac('sha256', SECRET_KEY)
-    .update(hashString)
-    .digest('hex');
-  return { paramsSorted, hash };
-}
-
+/**
+ * Every Tixr event of the group. Failing pages are retried by the client,
+ * which throws once it gives up.
+ */
 async function fetchAllTixrEvents() {
-  console.log(`📥 Fetching all events from Tixr group ${GROUP_ID}...`);
-  const allEvents = [];
-  let pageNumber = 1;
-  let hasMorePages = true;
-  
-  while (hasMorePages) {
-    const basePath = `/v1/groups/${GROUP_ID}/events`;
-    const t = Date.now();
-    const params = { cpk: CPK, t, page_number: pageNumber, page_size: 100 };
-    const { paramsSorted, hash } = buildHash(basePath, params);
-    const url = `https://studio.tixr.com${basePath}?${paramsSorted}&hash=${hash}`;
-    
-    try {
-      console.log(`  📄 Fetching page ${pageNumber}...`);
-      const { data } = await axios.get(url, { timeout: 15000 });
-      
-      if (!Array.isArray(data) || data.length === 0) {
-        hasMorePages = false;
-        break;
-      }
-      
-      allEvents.push(...data);
-      console.log(`  ✓ Page ${pageNumber}: ${data.length} events`);
-      
-      if (data.length < 100) {
-        hasMorePages = false;
-      } else {
-        pageNumber++;
-        await new Promise(resolve => setTimeout(resolve, 250));
-      }
-      
-    } catch (error) {
-      console.error(`  ❌ Error fetching page ${pageNumber}:`, error.message);
-      console.log('  🔄 Retrying in 5 seconds...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
-  }
-  
+  console.log('📥 Fetching all events from Tixr...');
+  const allEvents = await tixr.listEvents();
   console.log(`✅ Total events fetched: ${allEvents.length}`);
   return allEvents;
 }
 
-async function fetchTixrEventById(eventId) {
-  const basePath = `/v1/groups/${GROUP_ID}/events/${eventId}`;
-  const t = Date.now();
-  const params = { cpk: CPK, t };
-  const { paramsSorted, hash } = buildHash(basePath, params);
-  const url = `https://studio.tixr.com${basePath}?${paramsSorted}&hash=${hash}`;
-  
-  try {
-    const { data } = await axios.get(url, { timeout: 10000 });
-    return Array.isArray(data) ? data[0] : data;
-  } catch (error) {
-    console.error(`Error fetching event ${eventId}:`, error.message);
-    throw error;
-  }
-}
-
 // ==================== TRANSFORM EVENT FOR DATABASE ====================
-function transformEventForDB(tixrEvent) {
-  const eventDate = convertToMontrealDate(tixrEvent.start_date);
+/**
+ * The `events` row of a Tixr event. Its date is the venue's, and its
+ * status is worked out from Tixr's times and status and, given the
+ * event's `events_sales` row, from how many tickets were sold. The
+ * timestamps the orders, sales and attendance syncs keep are left out so
+ * upserting the row doesn't reset them.
+ */
+function transformEventForDB(tixrEvent, sales = null) {
+  const timezone = resolveTimezone(tixrEvent.timezone || tixrEvent.venue?.timezone);
   
-  return {
+  const event = {
     event_id: parseInt(tixrEvent.id),
     event_name: tixrEvent.name,
-    event_date: eventDate,
+    event_date: toVenueDate(tixrEvent.start_date, timezone),
     event_artist: extractArtistFromEvent(tixrEvent),
-    event_status: computeEventStatus(eventDate),
+    event_status: null,
+    event_starts_at: tixrEvent.start_date || null,
+    event_ends_at: tixrEvent.end_date || null,
+    event_doors_at: tixrEvent.doors_open_date || null,
+    event_sales_start_at: tixrEvent.sales_start_date || null,
+    event_sales_end_at: tixrEvent.sales_end_date || null,
+    event_capacity: tixrEvent.capacity != null ? parseInt(tixrEvent.capacity) : null,
+    event_sold_out: tixrEvent.sold_out === true,
+    event_tixr_status: tixrEvent.status || null,
+    event_timezone: timezone,
     event_genre: null,
     event_flyer: tixrEvent.flyer_url || tixrEvent.mobile_image_url || null,
     event_tags: null,
     event_updated: new Date().toISOString(),
-    event_order_updated: null,
-    event_attendance_updated: null,
+    event_removed_at: null,
+    event_restored_at: null,
     timetable: null,
     timetable_active: true
   };
+  event.event_status = computeEventStatus(event, sales);
+  return event;
+}
+
+const TIME_FIELDS = ['event_starts_at', 'event_ends_at', 'event_doors_at', 'event_sales_start_at', 'event_sales_end_at'];
+
+function sameTime(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+/**
+ * The `events_sales` rows by event id
+ */
+async function getSalesByEvent() {
+  const sales = await repository.listSales();
+  return new Map(sales.map(row => [parseInt(row.event_id), row]));
 }
 
 // ==================== CHANGE DETECTION FUNCTION ====================
+/**
+ * Apply new, updated and removed Tixr events to the database. An event
+ * missing from Tixr is not deleted: `event_removed_at` records when it went
+ * missing, and once it has been gone for the grace period it becomes
+ * REMOVED. Its sales and orders are kept, and it comes back if Tixr lists
+ * it again. Events an admin restored are kept while Tixr doesn't list
+ * them, until Tixr lists them again.
+ * @returns {object} How many events were new, updated, changed status,
+ *   went missing or were removed, the `eventIds` of all of them, and the
+ *   `errors` of the writes that failed
+ */
 async function checkForEventChanges() {
   console.log('\n🔍 Checking for event changes...');
   const startTime = Date.now();
   
   try {
+    const { removalGraceMs } = getConfig().events;
+
     // Get current events from database
-    const { data: dbEvents, error: dbError } = await supabase
-      .from('events')
-      .select('event_id, event_name, event_date, event_flyer, event_status')
-      .order('event_id');
-    
-    if (dbError) throw dbError;
+    const dbEvents = await repository.listEvents({ includeRemoved: true });
     
     // Create a map for quick lookup
     const dbEventsMap = new Map();
     dbEvents.forEach(event => {
-      dbEventsMap.set(event.event_id, event);
+      dbEventsMap.set(parseInt(event.event_id), event);
     });
     
     // Fetch fresh data from Tixr
     const tixrEvents = await fetchAllTixrEvents();
+    const salesByEvent = await getSalesByEvent();
     
     const changes = {
       new: [],
       updated: [],
+      missing: [],
       removed: [],
       statusChanged: []
     };
+    const errors = [];
     
     // Check for new and updated events
     for (const tixrEvent of tixrEvents) {
       const eventId = parseInt(tixrEvent.id);
       const dbEvent = dbEventsMap.get(eventId);
-      const freshEvent = transformEventForDB(tixrEvent);
+      const freshEvent = transformEventForDB(tixrEvent, salesByEvent.get(eventId));
       
       if (!dbEvent) {
         // New event found
@@ -285,11 +253,19 @@ async function checkForEventChanges() {
         const hasChanges = 
           dbEvent.event_name !== freshEvent.event_name ||
           dbEvent.event_date !== freshEvent.event_date ||
-          dbEvent.event_flyer !== freshEvent.event_flyer;
+          dbEvent.event_flyer !== freshEvent.event_flyer ||
+          dbEvent.event_capacity !== freshEvent.event_capacity ||
+          !!dbEvent.event_sold_out !== freshEvent.event_sold_out ||
+          (dbEvent.event_tixr_status || null) !== freshEvent.event_tixr_status ||
+          dbEvent.event_timezone !== freshEvent.event_timezone ||
+          TIME_FIELDS.some(field => !sameTime(dbEvent[field], freshEvent[field]));
         
         const statusChanged = dbEvent.event_status !== freshEvent.event_status;
+        // Listed again after going missing, or after an admin restored it -
+        // either way it is tracked like any other listed event from now on
+        const isBack = !!(dbEvent.event_removed_at || dbEvent.event_restored_at);
         
-        if (hasChanges || statusChanged) {
+        if (hasChanges || statusChanged || isBack) {
           changes.updated.push(freshEvent);
           
           if (statusChanged) {
@@ -305,6 +281,10 @@ async function checkForEventChanges() {
           if (hasChanges) {
             console.log(`  📝 Updated: ${freshEvent.event_name} (ID: ${eventId})`);
           }
+          
+          if (isBack) {
+            console.log(`  ♻️ Back on Tixr: ${freshEvent.event_name} (ID: ${eventId})`);
+          }
         }
         
         // Remove from map to track removed events
@@ -313,9 +293,20 @@ async function checkForEventChanges() {
     }
     
     // Check for removed events (left in the map)
+    const now = new Date();
     for (const [eventId, dbEvent] of dbEventsMap) {
-      changes.removed.push(eventId);
-      console.log(`  🗑️ Removed from Tixr: ${dbEvent.event_name} (ID: ${eventId})`);
+      if (dbEvent.event_status === 'REMOVED' || dbEvent.event_restored_at) continue;
+      
+      const missingSince = dbEvent.event_removed_at ? new Date(dbEvent.event_removed_at) : now;
+      if (now - missingSince >= removalGraceMs) {
+        changes.removed.push(eventId);
+        console.log(`  🗑️ Removed from Tixr: ${dbEvent.event_name} (ID: ${eventId})`);
+      } else {
+        console.log(`  👻 Missing from Tixr: ${dbEvent.event_name} (ID: ${eventId})`);
+      }
+      if (!dbEvent.event_removed_at) {
+        changes.missing.push(eventId);
+      }
     }
     
     // Apply changes to database
@@ -328,31 +319,27 @@ async function checkForEventChanges() {
       const batchSize = 100;
       for (let i = 0; i < eventsToUpsert.length; i += batchSize) {
         const batch = eventsToUpsert.slice(i, i + batchSize);
-        const { error } = await supabase
-          .from('events')
-          .upsert(batch, { onConflict: 'event_id' });
-        
-        if (error) {
-          console.error(`  ❌ Error saving batch:`, error.message);
-        } else {
+        try {
+          await repository.upsertEvents(batch);
           console.log(`  ✓ Saved batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(eventsToUpsert.length/batchSize)}`);
+        } catch (error) {
+          console.error(`  ❌ Error saving batch:`, error.message);
+          errors.push(...batch.map(event => ({ eventId: event.event_id, error: error.message })));
         }
       }
     }
     
-    // Remove deleted events
-    if (changes.removed.length > 0) {
-      console.log(`\n🗑️ Removing ${changes.removed.length} deleted events...`);
-      const { error } = await supabase
-        .from('events')
-        .delete()
-        .in('event_id', changes.removed);
-      
-      if (error) {
-        console.error('  ❌ Error removing events:', error.message);
-      } else {
-        console.log('  ✓ Events removed');
+    // Mark events that went missing, and those gone past the grace period
+    try {
+      await repository.updateEvents(changes.missing, { event_removed_at: now.toISOString() });
+      if (changes.removed.length > 0) {
+        console.log(`\n🗑️ Marking ${changes.removed.length} events REMOVED...`);
+        await repository.updateEvents(changes.removed, { event_status: 'REMOVED', event_updated: now.toISOString() });
+        console.log('  ✓ Events marked REMOVED');
       }
+    } catch (error) {
+      console.error('  ❌ Error marking removed events:', error.message);
+      errors.push({ error: `Marking removed events: ${error.message}` });
     }
     
     // Summary
@@ -361,15 +348,28 @@ async function checkForEventChanges() {
     console.log(`  New events: ${changes.new.length}`);
     console.log(`  Updated events: ${changes.updated.length}`);
     console.log(`  Status changes: ${changes.statusChanged.length}`);
+    console.log(`  Missing events: ${changes.missing.length}`);
     console.log(`  Removed events: ${changes.removed.length}`);
     console.log(`  Time taken: ${duration}s`);
     
-    if (changes.new.length === 0 && changes.updated.length === 0 && changes.removed.length === 0) {
+    if (errors.length > 0) {
+      console.log(`\n⚠️ Changes applied with ${errors.length} errors`);
+    } else if (changes.new.length === 0 && changes.updated.length === 0 && changes.missing.length === 0 && changes.removed.length === 0) {
       console.log('\n✅ All events are up to date!');
     } else {
       console.log('\n✅ Changes applied successfully!');
     }
     
+    return {
+      new: changes.new.length,
+      updated: changes.updated.length,
+      statusChanged: changes.statusChanged.length,
+      missing: changes.missing.length,
+      removed: changes.removed.length,
+      eventIds: [...new Set([...changes.new, ...changes.updated].map(event => event.event_id).concat(changes.missing, changes.removed))],
+      errors
+    };
+    
   } catch (error) {
     console.error('❌ Error checking for changes:', error);
     throw error;
@@ -377,26 +377,34 @@ async function checkForEventChanges() {
 }
 
 // ==================== MAIN SYNC FUNCTION ====================
+/**
+ * Upsert every Tixr event
+ * @returns {object} `{ events, eventIds, errors }` - the events saved, and
+ *   one error per event whose batch could not be saved
+ */
 async function syncAllEvents() {
   const startTime = Date.now();
   
   try {
-    console.log('🔌 Testing Supabase connection...');
-    const { error: testError } = await supabase.from('events').select('count').limit(1);
-    if (testError) {
-      console.error('❌ Supabase connection failed:', testError);
-      process.exit(1);
+    console.log(`🔌 Testing ${DATABASE_BACKEND} database connection...`);
+    try {
+      await repository.ping();
+    } catch (testError) {
+      throw new Error(`Database connection failed: ${testError.message}`);
     }
-    console.log('✅ Supabase connected\n');
+    console.log('✅ Database connected\n');
     
     const tixrEvents = await fetchAllTixrEvents();
     if (tixrEvents.length === 0) {
       console.log('No events to process. Exiting.');
-      return;
+      return { events: 0, eventIds: [] };
     }
     
     console.log(`\n🔄 Transforming ${tixrEvents.length} events for database...`);
-    const eventsToUpsert = tixrEvents.map(transformEventForDB).filter(Boolean);
+    const salesByEvent = await getSalesByEvent();
+    const eventsToUpsert = tixrEvents
+      .map(tixrEvent => transformEventForDB(tixrEvent, salesByEvent.get(parseInt(tixrEvent.id))))
+      .filter(Boolean);
     
     const statusCounts = eventsToUpsert.reduce((acc, event) => {
       acc[event.event_status] = (acc[event.event_status] || 0) + 1;
@@ -404,81 +412,81 @@ async function syncAllEvents() {
     }, {});
     
     console.log('📊 Status breakdown:');
-    console.log(`   LIVE: ${statusCounts.LIVE || 0}`);
-    console.log(`   PAST: ${statusCounts.PAST || 0}`);
+    Object.entries(statusCounts).forEach(([status, count]) => {
+      console.log(`   ${status}: ${count}`);
+    });
     
-    console.log(`\n💾 Saving ${eventsToUpsert.length} events to Supabase...`);
+    console.log(`\n💾 Saving ${eventsToUpsert.length} events to the database...`);
     const batchSize = 100;
+    const errors = [];
     
     for (let i = 0; i < eventsToUpsert.length; i += batchSize) {
       const batch = eventsToUpsert.slice(i, i + batchSize);
-      const { error } = await supabase
-        .from('events')
-        .upsert(batch, { onConflict: 'event_id' });
-      
-      if (error) {
-        console.error(`  ❌ Error saving batch:`, error.message);
-      } else {
+      try {
+        await repository.upsertEvents(batch);
         console.log(`  ✓ Saved batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(eventsToUpsert.length/batchSize)}`);
+      } catch (error) {
+        console.error(`  ❌ Error saving batch:`, error.message);
+        errors.push(...batch.map(event => ({ eventId: event.event_id, error: error.message })));
       }
     }
     
     const totalTime = (Date.now() - startTime) / 1000;
-    console.log(`\n✨ Sync complete in ${totalTime.toFixed(1)}s!`);
+    console.log(`\n✨ Sync complete in ${totalTime.toFixed(1)}s${errors.length > 0 ? `, ${errors.length} events not saved` : ''}!`);
+    return { events: eventsToUpsert.length, eventIds: eventsToUpsert.map(event => event.event_id), errors };
     
   } catch (error) {
-    console.error('\n❌ Fatal error during sync:', error);
-    process.exit(1);
+    console.error('\n❌ Fatal error during sync:', error.message);
+    throw error;
   }
 }
 
 // ==================== STATUS UPDATE FUNCTION ====================
+/**
+ * Move upcoming events on to the status their times and sales give them
+ * now - on sale, sold out, doors open, past
+ * @returns {object} `{ updated, eventIds }` - the events whose status changed
+ */
 async function updateStatuses() {
   console.log('🔄 Updating event statuses...');
   
   try {
-    const { data: liveEvents, error } = await supabase
-      .from('events')
-      .select('event_id, event_date')
-      .eq('event_status', 'LIVE');
-    
-    if (error) throw error;
+    const upcomingEvents = await repository.listEvents({ status: UPCOMING_STATUSES });
     
-    if (!liveEvents || liveEvents.length === 0) {
-      console.log('  No LIVE events to check');
-      return;
+    if (!upcomingEvents || upcomingEvents.length === 0) {
+      console.log('  No upcoming events to check');
+      return { updated: 0, eventIds: [] };
     }
     
-    const eventsToUpdate = [];
+    const salesByEvent = await getSalesByEvent();
+    const eventsByStatus = {};
     
-    for (const event of liveEvents) {
-      const status = computeEventStatus(event.event_date);
+    for (const event of upcomingEvents) {
+      const status = computeEventStatus(event, salesByEvent.get(parseInt(event.event_id)));
       
-      if (status === 'PAST') {
-        eventsToUpdate.push(event.event_id);
+      if (status !== event.event_status) {
+        (eventsByStatus[status] = eventsByStatus[status] || []).push(event.event_id);
+        console.log(`  🔄 ${event.event_name} (${event.event_status} → ${status})`);
       }
     }
     
-    if (eventsToUpdate.length > 0) {
-      const { error: updateError } = await supabase
-        .from('events')
-        .update({ 
-          event_status: 'PAST',
-          event_updated: new Date().toISOString()
-        })
-        .in('event_id', eventsToUpdate);
-      
-      if (updateError) {
-        console.error('  ❌ Error updating statuses:', updateError);
-      } else {
-        console.log(`  ✅ Updated ${eventsToUpdate.length} events to PAST`);
-      }
+    const now = new Date().toISOString();
+    for (const [status, eventIds] of Object.entries(eventsByStatus)) {
+      await repository.updateEvents(eventIds, { event_status: status, event_updated: now });
+    }
+    
+    const eventIds = Object.values(eventsByStatus).flat();
+    if (eventIds.length > 0) {
+      console.log(`  ✅ Updated ${eventIds.length} event statuses`);
     } else {
       console.log('  ✓ All statuses are correct');
     }
     
+    return { updated: eventIds.length, eventIds };
+    
   } catch (error) {
     console.error('  ❌ Error in status update:', error);
+    throw error;
   }
 }
 
@@ -486,10 +494,24 @@ async function updateStatuses() {
 async function main() {
   const command = process.argv[2] || 'sync';
   
+  validateEnvironment();
+  console.log('🚀 Starting Tixr Events Sync (ENHANCED)...');
   console.log('╔══════════════════════════════════════╗');
   console.log('║   TIXR EVENTS SYNC - ENHANCED       ║');
   console.log('╚══════════════════════════════════════╝\n');
   
+  try {
+    await runCommand(command);
+  } catch (error) {
+    console.error('\n❌ Events sync failed:', error.message);
+    process.exit(1);
+  }
+  
+  console.log('\n✅ Done!');
+  process.exit(0);
+}
+
+async function runCommand(command) {
   switch (command) {
     case 'sync':
       // Full sync
@@ -497,7 +519,7 @@ async function main() {
       break;
       
     case 'status':
-      // Only update statuses (for hourly cron)
+      // Only move statuses on (for hourly cron)
       await updateStatuses();
       break;
       
@@ -521,10 +543,16 @@ async function main() {
       console.log('  node sync-events.js status-and-changes - Both status update and change check');
       process.exit(1);
   }
-  
-  console.log('\n✅ Done!');
-  process.exit(0);
 }
 
-// Run
-main();
\ No newline at end of file
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  transformEventForDB,
+  computeEventStatus,
+  syncAllEvents,
+  checkForEventChanges,
+  updateStatuses
+};
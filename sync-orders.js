@@ -0,0 +1,206 @@
+// sync-orders.js - Copies Tixr orders into events_orders, one row per sale item
+//
+//   node sync-orders.js update             orders since the last sync, for every upcoming event
+//   node sync-orders.js resync             every order of every upcoming event, replacing their rows
+//   node sync-orders.js event <id>         orders since the last sync, for one event
+//   node sync-orders.js event <id> --full  every order of one event, replacing its rows
+//   node sync-orders.js full               every order of every event
+//
+// `event_order_updated` records when each event was last synced; an
+// incremental sync asks Tixr for the orders since then. Tixr filters that
+// on purchase date, so refunds and other changes to older orders only
+// arrive with a full resync - the scheduler runs one daily.
+require('dotenv').config();
+const tixr = require('./scripts/tixr');
+const repository = require('./scripts/repository');
+const { UPCOMING_STATUSES } = require('./scripts/eventStatus');
+
+const UPSERT_BATCH_SIZE = 500;
+
+/**
+ * Tixr amounts arrive as numbers or strings
+ */
+function toAmount(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : 0;
+}
+
+/**
+ * Ticket serial numbers of a sale item
+ */
+function extractSerials(item) {
+  if (Array.isArray(item.serials)) return item.serials.map(String);
+  if (Array.isArray(item.tickets)) {
+    return item.tickets
+      .map(ticket => ticket.serial_number ?? ticket.serial ?? ticket.barcode)
+      .filter(serial => serial !== undefined && serial !== null)
+      .map(String);
+  }
+  return [];
+}
+
+/**
+ * Turn one Tixr order into `events_orders` rows, one per sale item
+ */
+function transformOrderForDB(order, eventId) {
+  const orderId = String(order.orderId ?? order.order_id ?? order.id);
+  const purchasedAt = order.purchase_date || order.created_date || null;
+
+  return (order.sale_items || []).map((item, index) => ({
+    order_id: orderId,
+    order_sales_item_id: String(item.id ?? item.sale_item_id ?? index),
+    event_id: parseInt(eventId),
+    order_status: order.status || null,
+    order_category: item.category || null,
+    order_sales_item_name: item.name || null,
+    order_ref_type: order.ref_type || null,
+    order_quantity: parseInt(item.quantity) || 0,
+    order_gross: toAmount(item.total),
+    order_net: toAmount(item.net ?? item.net_total ?? item.total),
+    order_serials: extractSerials(item),
+    order_purchased_at: purchasedAt ? new Date(purchasedAt).toISOString() : null
+  }));
+}
+
+/**
+ * Identifies an `events_orders` row
+ */
+function orderItemKey(row) {
+  return `${row.order_id}:${row.order_sales_item_id}`;
+}
+
+/**
+ * Sync the orders of one event
+ * @param {object} options - `full` fetches every order of the event and
+ *   drops the rows Tixr no longer returns, instead of fetching the orders
+ *   since the last sync
+ * @returns {object} `{ eventId, orders, rows, full }`
+ */
+async function syncEventOrders(eventId, { full = false } = {}) {
+  const event = await repository.getEvent(eventId);
+  if (!event) {
+    throw new Error(`Event ${eventId} is not in the database`);
+  }
+
+  // Taken before fetching so orders placed meanwhile are picked up next time
+  const syncStartedAt = new Date().toISOString();
+  const since = full ? null : event.event_order_updated;
+
+  console.log(`📥 Fetching ${since ? `orders since ${since}` : 'all orders'} for ${event.event_name} (ID: ${eventId})...`);
+  const orders = await tixr.listOrders(eventId, { since });
+
+  const rows = orders.flatMap(order => transformOrderForDB(order, eventId));
+
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    await repository.upsertOrders(rows.slice(i, i + UPSERT_BATCH_SIZE));
+  }
+  if (full) {
+    // Only once every fetched row is saved, so the event never reads empty
+    // and a failed batch leaves the older rows in place
+    const fetched = new Set(rows.map(orderItemKey));
+    const stale = (await repository.listOrders(eventId)).filter(row => !fetched.has(orderItemKey(row)));
+    await repository.deleteOrderItems(eventId, stale);
+  }
+  await repository.updateEvents([eventId], { event_order_updated: syncStartedAt });
+
+  console.log(`  ✓ ${orders.length} orders, ${rows.length} sale items saved`);
+  return { eventId, orders: orders.length, rows: rows.length, full };
+}
+
+/**
+ * Sync several events one after another. A failing event is logged and
+ * skipped so it doesn't hold up the others.
+ */
+async function syncOrdersForEvents(events, options = {}) {
+  const results = [];
+  const failures = [];
+
+  for (const event of events) {
+    try {
+      results.push(await syncEventOrders(event.event_id, options));
+    } catch (error) {
+      console.error(`  ❌ Event ${event.event_id}: ${error.message}`);
+      failures.push({ eventId: event.event_id, error: error.message });
+    }
+  }
+
+  const rows = results.reduce((sum, result) => sum + result.rows, 0);
+  console.log(`\n📊 Orders synced for ${results.length}/${events.length} events (${rows} sale items)`);
+  return { results, failures };
+}
+
+/**
+ * Sync every event that hasn't ended (LIVE, on sale, sold out, sales
+ * closed, doors open or postponed)
+ * @param {object} options - `full` refetches every order of each event,
+ *   picking up refunds of orders bought before the last sync
+ */
+async function syncLiveOrders({ full = false } = {}) {
+  const events = await repository.listEvents({ status: UPCOMING_STATUSES });
+  console.log(`🔄 ${full ? 'Full resync of' : 'Syncing'} orders for ${events.length} upcoming events...`);
+  return syncOrdersForEvents(events, { full });
+}
+
+/**
+ * Replace the orders of every event
+ */
+async function syncAllOrders() {
+  const events = await repository.listEvents();
+  console.log(`🔄 Full resync of orders for ${events.length} events...`);
+  return syncOrdersForEvents(events, { full: true });
+}
+
+async function main() {
+  const [command, eventId, flag] = process.argv.slice(2);
+
+  try {
+    let failures = [];
+
+    switch (command) {
+      case 'update':
+        ({ failures } = await syncLiveOrders());
+        break;
+
+      case 'resync':
+        ({ failures } = await syncLiveOrders({ full: true }));
+        break;
+
+      case 'event':
+        if (!eventId) {
+          throw new Error('Usage: node sync-orders.js event <id> [--full]');
+        }
+        await syncEventOrders(eventId, { full: flag === '--full' });
+        break;
+
+      case 'full':
+        ({ failures } = await syncAllOrders());
+        break;
+
+      default:
+        console.log('Usage:');
+        console.log('  node sync-orders.js update             - Orders since the last sync, for every upcoming event');
+        console.log('  node sync-orders.js resync             - Every order of every upcoming event');
+        console.log('  node sync-orders.js event <id>         - Orders since the last sync, for one event');
+        console.log('  node sync-orders.js event <id> --full  - Every order of one event');
+        console.log('  node sync-orders.js full               - Every order of every event');
+        process.exit(1);
+    }
+
+    console.log('\n✅ Done!');
+    process.exit(failures.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n❌ Orders sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  transformOrderForDB,
+  syncEventOrders,
+  syncLiveOrders,
+  syncAllOrders
+};
@@ -1,16 +1,12 @@
-// sync-sales.js
-const { createClient } = require('@supabase/supabase-js');
+// sync-sales.js - Rolls events_orders up into events_sales
+//
+//   node sync-sales.js
+//
+// The bot runs the same function in-process through scripts/syncRunner.js.
 require('dotenv').config();
 
-// --- CONFIGURATION ---
-const { SUPABASE_URL, SUPABASE_KEY } = process.env;
-
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-  console.error('❌ Missing required environment variables: SUPABASE_URL and SUPABASE_KEY.');
-  process.exit(1);
-}
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const repository = require('./scripts/repository');
+const { UPCOMING_STATUSES } = require('./scripts/eventStatus');
 
 /**
  * A helper function to sum the 'order_quantity' from an array of orders.
@@ -24,84 +20,67 @@ const sumOrderQuantity = (orders) => {
 
 /**
  * Main function to process events and update their sales data in batches.
+ * @returns {object} `{ events, eventIds, errors }` - the events whose sales
+ *   were saved, and the events skipped because their orders could not be read
  */
 async function syncEventSales() {
   console.log('🚀 Starting event sales sync process...');
 
   try {
     // 1. Fetch all events and existing sales records in parallel
-    const [
-      { data: allEvents, error: eventsError },
-      { data: existingSales, error: salesError }
-    ] = await Promise.all([
-      supabase.from('events').select('event_id, event_status'),
-      supabase.from('events_sales').select('event_id')
+    const [allEvents, existingSales] = await Promise.all([
+      repository.listEvents().catch(error => {
+        throw new Error(`Fatal error fetching events: ${error.message}`);
+      }),
+      repository.listSales().catch(error => {
+        throw new Error(`Fatal error fetching existing sales: ${error.message}`);
+      })
     ]);
-
-    if (eventsError) throw new Error(`Fatal error fetching events: ${eventsError.message}`);
-    if (salesError) throw new Error(`Fatal error fetching existing sales: ${salesError.message}`);
     
     const existingSaleIds = new Set(existingSales.map(s => s.event_id));
 
     // 2. Determine which events actually need to be processed
     const eventsToProcess = allEvents.filter(event => {
-      if (event.event_status === 'LIVE') return true;
-      if (event.event_status === 'PAST') return !existingSaleIds.has(event.event_id);
+      if (UPCOMING_STATUSES.includes(event.event_status)) return true;
+      if (['PAST', 'CANCELLED'].includes(event.event_status)) return !existingSaleIds.has(event.event_id);
       return false;
     });
 
     if (eventsToProcess.length === 0) {
       console.log('✅ All events are up-to-date. No sync needed.');
-      return;
+      return { events: 0, eventIds: [], errors: [] };
     }
 
+    // Events whose orders could not be read, reported with the result
+    const errors = [];
+
     console.log(`📋 Found ${eventsToProcess.length} events to process. Fetching all order data...`);
 
     // 3. Create a batch of promises to fetch orders and calculate sales for each event
     const calculationPromises = eventsToProcess.map(async (event) => {
-      let allOrders = [];
-      let page = 0;
-      const pageSize = 1000;
-      let hasMore = true;
-
-      while(hasMore) {
-        // **NEW:** Added retry logic for fetching data
-        let orders = null;
-        let ordersError = null;
-        const maxRetries = 3;
-        let attempt = 0;
-
-        while (attempt < maxRetries) {
-            const { data, error } = await supabase
-              .from('events_orders')
-              .select('order_category, order_net, order_ref_type, order_gross, order_quantity, order_sales_item_name, order_status')
-              .eq('event_id', event.event_id)
-              .range(page * pageSize, (page + 1) * pageSize - 1);
-            
-            if (error) {
-                ordersError = error;
-                attempt++;
-                console.warn(`  - ⚠️ Attempt ${attempt}/${maxRetries} failed for event ${event.event_id} (page ${page}). Retrying in 2s...`);
-                await new Promise(res => setTimeout(res, 2000)); // Wait 2 seconds before retrying
-            } else {
-                orders = data;
-                ordersError = null;
-                break; // Success, exit the retry loop
-            }
-        }
-
-        if (ordersError) {
-          console.error(`  - ❌ Failed to fetch orders for event ${event.event_id} after ${maxRetries} attempts. Skipping event. Error: ${ordersError.message}`);
-          return null;
+      // Retry logic for fetching data (the repository pages through all orders)
+      let allOrders = null;
+      let ordersError = null;
+      const maxRetries = 3;
+      let attempt = 0;
+
+      while (attempt < maxRetries) {
+        try {
+          allOrders = await repository.listOrders(event.event_id);
+          ordersError = null;
+          break; // Success, exit the retry loop
+        } catch (error) {
+          ordersError = error;
+          attempt++;
+          console.warn(`  - ⚠️ Attempt ${attempt}/${maxRetries} failed for event ${event.event_id}. Retrying in 2s...`);
+          await new Promise(res => setTimeout(res, 2000)); // Wait 2 seconds before retrying
         }
+      }
 
-        if (orders && orders.length > 0) {
-          allOrders.push(...orders);
-          page++;
-          if(orders.length < pageSize) hasMore = false;
-        } else {
-          hasMore = false;
-        }
+      if (ordersError) {
+        console.error(`  - ❌ Failed to fetch orders for event ${event.event_id} after ${maxRetries} attempts. Skipping event. Error: ${ordersError.message}`);
+        errors.push({ eventId: event.event_id, error: ordersError.message });
+        return null;
       }
 
       const completeOrders = allOrders.filter(o => o.order_status === 'COMPLETE');
@@ -126,38 +105,47 @@ async function syncEventSales() {
 
     if (salesDataToUpsert.length === 0) {
         console.log('⚠️ No sales data could be calculated, check for errors above.');
-        return;
+        return { events: 0, eventIds: [], errors };
     }
 
     console.log(`💾 Saving ${salesDataToUpsert.length} calculated sales records to 'events_sales'...`);
 
-    const { error: upsertError } = await supabase
-      .from('events_sales')
-      .upsert(salesDataToUpsert, { onConflict: 'event_id' });
-
-    if (upsertError) {
+    try {
+      await repository.upsertSales(salesDataToUpsert);
+    } catch (upsertError) {
       throw new Error(`Batch upsert to events_sales failed: ${upsertError.message}`);
     }
 
     const processedEventIds = salesDataToUpsert.map(data => data.event_id);
     console.log(`✍️  Updating 'event_sales_updated' timestamp for ${processedEventIds.length} events...`);
     
-    const { error: updateTimestampError } = await supabase
-      .from('events')
-      .update({ event_sales_updated: new Date().toISOString() })
-      .in('event_id', processedEventIds);
-
-    if (updateTimestampError) {
+    try {
+      await repository.updateEvents(processedEventIds, { event_sales_updated: new Date().toISOString() });
+    } catch (updateTimestampError) {
         throw new Error(`Failed to update timestamps in events table: ${updateTimestampError.message}`);
     }
 
     console.log(`\n✨ Successfully synced sales data for ${salesDataToUpsert.length} events!`);
+    return { events: processedEventIds.length, eventIds: processedEventIds, errors };
 
   } catch (err) {
     console.error("\n❌ A fatal error occurred during the sync process:", err.message);
+    throw err;
+  }
+}
+
+if (require.main === module) {
+  // --- CONFIGURATION ---
+  const { SUPABASE_URL, SUPABASE_KEY, DATABASE_BACKEND } = process.env;
+
+  if (DATABASE_BACKEND !== 'memory' && (!SUPABASE_URL || !SUPABASE_KEY)) {
+    console.error('❌ Missing required environment variables: SUPABASE_URL and SUPABASE_KEY.');
     process.exit(1);
   }
+
+  syncEventSales().catch(() => process.exit(1));
 }
 
-// Run the main function
-syncEventSales();
\ No newline at end of file
+module.exports = {
+  syncEventSales
+};
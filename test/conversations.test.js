@@ -0,0 +1,42 @@
+// test/conversations.test.js - Plays every transcript in test/transcripts
+const path = require('path');
+const assert = require('assert');
+const { test, before, after } = require('node:test');
+const ConversationHarness = require('./support/harness');
+
+const harness = new ConversationHarness();
+
+before(() => harness.start());
+after(() => harness.stop());
+
+for (const transcript of ConversationHarness.loadTranscripts(path.join(__dirname, 'transcripts'))) {
+  test(`${transcript.name} (${transcript.file})`, () => harness.run(transcript));
+}
+
+test('admin endpoints need the admin key', async () => {
+  const baseUrl = `http://localhost:${harness.server.address().port}`;
+  const paths = ['/api/admin/dead-letters', '/api/admin/outbound-failures', '/api/admin/webhook-rejections', '/api/messages', '/api/admin/jobs', '/api/admin/sync-runs'];
+
+  for (const pathname of paths) {
+    assert.strictEqual((await fetch(`${baseUrl}${pathname}`)).status, 401, `${pathname} without a key`);
+    assert.strictEqual((await fetch(`${baseUrl}${pathname}`, { headers: { 'X-Admin-Key': 'wrong-key' } })).status, 401, `${pathname} with a wrong key`);
+    assert.strictEqual((await fetch(`${baseUrl}${pathname}`, { headers: { 'X-Admin-Key': 'test-admin-key' } })).status, 200, `${pathname} with the key`);
+  }
+});
+
+test('rejected webhook calls are only counted in the public stats', async () => {
+  const baseUrl = `http://localhost:${harness.server.address().port}`;
+  const rejected = await fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'unsigned-caller' },
+    body: JSON.stringify({ entry: [] })
+  });
+  assert.strictEqual(rejected.status, 401);
+
+  const { webhookSignatures } = await (await fetch(`${baseUrl}/api/stats`)).json();
+  assert.ok(webhookSignatures.rejectionsByReason.missing_signature >= 1);
+  assert.ok(!JSON.stringify(webhookSignatures).includes('unsigned-caller'));
+
+  const { rejections } = await (await fetch(`${baseUrl}/api/admin/webhook-rejections`, { headers: { 'X-Admin-Key': 'test-admin-key' } })).json();
+  assert.strictEqual(rejections.at(-1).userAgent, 'unsigned-caller');
+});
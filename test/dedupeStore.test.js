@@ -0,0 +1,60 @@
+// test/dedupeStore.test.js - Message ids are claimed once per retention window and released on failure
+const assert = require('assert');
+const { describe, test, beforeEach } = require('node:test');
+
+process.env.DEDUPE_BACKEND = 'memory';
+
+const FakeSupabase = require('./support/fakeSupabase');
+const { MemoryDedupeStore, SupabaseDedupeStore } = require('../scripts/dedupeStore');
+
+const RETENTION_MS = 60000;
+
+describe('memory dedupe store', () => {
+  test('claims an id once until the retention window has passed', async () => {
+    const store = new MemoryDedupeStore(RETENTION_MS);
+
+    assert.strictEqual(await store.claim('wamid.1'), true);
+    assert.strictEqual(await store.claim('wamid.1'), false);
+
+    store.processed.set('wamid.1', Date.now() - RETENTION_MS - 1);
+    assert.strictEqual(await store.claim('wamid.1'), true);
+  });
+
+  test('a released id can be claimed again', async () => {
+    const store = new MemoryDedupeStore(RETENTION_MS);
+
+    await store.claim('wamid.1');
+    await store.release('wamid.1');
+    assert.strictEqual(await store.claim('wamid.1'), true);
+  });
+});
+
+describe('supabase dedupe store', () => {
+  const db = new FakeSupabase();
+  let store;
+
+  beforeEach(() => {
+    db.reset();
+    store = new SupabaseDedupeStore(db.client(), RETENTION_MS);
+  });
+
+  test('claims an id once, and takes over a claim older than the retention window', async () => {
+    assert.strictEqual(await store.claim('wamid.1'), true);
+    assert.strictEqual(await store.claim('wamid.1'), false);
+
+    db.seed({ processed_messages: [{ message_id: 'wamid.1', processed_at: new Date(Date.now() - RETENTION_MS - 1000).toISOString() }] });
+
+    assert.strictEqual(await store.claim('wamid.1'), true, 'a claim cleanup has not deleted yet no longer counts');
+    assert.strictEqual(await store.claim('wamid.1'), false);
+    assert.strictEqual(db.rows('processed_messages').length, 1);
+  });
+
+  test('a released id can be claimed again', async () => {
+    await store.claim('wamid.1');
+    await store.claim('wamid.2');
+    await store.release('wamid.1');
+
+    assert.deepStrictEqual(db.rows('processed_messages').map(row => row.message_id), ['wamid.2']);
+    assert.strictEqual(await store.claim('wamid.1'), true);
+  });
+});
@@ -0,0 +1,92 @@
+// test/eventStatus.test.js - Lifecycle statuses follow Tixr, the clock at the venue and ticket sales
+const assert = require('assert');
+const { describe, test } = require('node:test');
+
+const { computeEventStatus, formatStatus, getEventEnd, toVenueDate } = require('../scripts/eventStatus');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+const at = iso => new Date(iso);
+
+// Jan 10, 2099 at the venue - 7 PM in Montreal (EST), doors an hour earlier
+const EVENT = {
+  event_id: 301,
+  event_date: '2099-01-10',
+  event_starts_at: '2099-01-11T00:00:00Z',
+  event_timezone: 'America/Montreal'
+};
+
+describe('event status', () => {
+  test('Tixr cancelling an event wins over everything else', () => {
+    const sold = { sales_total_ga: 500 };
+    assert.strictEqual(computeEventStatus({ ...EVENT, event_tixr_status: 'CANCELLED' }, sold, at('2099-01-20T00:00:00Z')), 'CANCELLED');
+    assert.strictEqual(computeEventStatus({ ...EVENT, event_tixr_status: 'canceled' }, null, at('2099-01-01T00:00:00Z')), 'CANCELLED');
+  });
+
+  test('postponed events stay postponed until the end on record goes by', () => {
+    const event = { ...EVENT, event_tixr_status: 'POSTPONED', event_sold_out: true };
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-01T00:00:00Z')), 'POSTPONED');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-10T23:30:00Z')), 'POSTPONED');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-11T09:00:00Z')), 'PAST');
+  });
+
+  test('events end at 4 AM the next day in the venue\'s timezone', () => {
+    assert.strictEqual(getEventEnd(EVENT).toISOString(), '2099-01-11T09:00:00.000Z');
+    assert.strictEqual(computeEventStatus(EVENT, null, at('2099-01-11T08:59:00Z')), 'DOORS_OPEN');
+    assert.strictEqual(computeEventStatus(EVENT, null, at('2099-01-11T09:00:00Z')), 'PAST');
+
+    const vancouver = { ...EVENT, event_starts_at: '2099-01-11T03:00:00Z', event_timezone: 'America/Vancouver' };
+    assert.strictEqual(getEventEnd(vancouver).toISOString(), '2099-01-11T12:00:00.000Z');
+    assert.strictEqual(computeEventStatus(vancouver, null, at('2099-01-11T10:00:00Z')), 'DOORS_OPEN');
+  });
+
+  test('an end time from Tixr replaces the 4 AM cutoff', () => {
+    const event = { ...EVENT, event_ends_at: '2099-01-11T05:00:00Z' };
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-11T05:00:00Z')), 'PAST');
+  });
+
+  test('doors open at the doors time, or at the start without one', () => {
+    const event = { ...EVENT, event_doors_at: '2099-01-10T23:00:00Z' };
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-10T22:59:00Z')), 'LIVE');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-10T23:00:00Z')), 'DOORS_OPEN');
+    assert.strictEqual(computeEventStatus(EVENT, null, at('2099-01-10T23:30:00Z')), 'LIVE');
+  });
+
+  test('events sell out when Tixr says so or when admissions reach the capacity', () => {
+    const now = at('2099-01-05T00:00:00Z');
+    const event = { ...EVENT, event_capacity: 10 };
+
+    assert.strictEqual(computeEventStatus({ ...EVENT, event_sold_out: true }, null, now), 'SOLD_OUT');
+    assert.strictEqual(computeEventStatus(event, { sales_total_ga: 6, sales_total_comp_ga: 2, sales_total_tables: 5 }, now), 'ON_SALE');
+    assert.strictEqual(computeEventStatus(event, { sales_total_ga: 6, sales_total_comp_ga: 2, sales_total_free_vip: 2 }, now), 'SOLD_OUT');
+  });
+
+  test('events are on sale through their sales window, or while selling without one', () => {
+    const event = { ...EVENT, event_sales_start_at: '2099-01-01T15:00:00Z', event_sales_end_at: '2099-01-10T20:00:00Z' };
+
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-01T14:00:00Z')), 'LIVE');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-01T15:00:00Z')), 'ON_SALE');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-10T20:00:00Z')), 'SALES_CLOSED', 'closed sales are not announced again');
+    assert.strictEqual(computeEventStatus({ ...event, event_capacity: 1 }, { sales_total_ga: 1 }, at('2099-01-10T20:00:00Z')), 'SOLD_OUT');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-10T23:00:00Z')), 'SALES_CLOSED');
+    assert.strictEqual(computeEventStatus(event, null, at('2099-01-11T00:00:00Z')), 'DOORS_OPEN');
+
+    const now = at('2099-01-05T00:00:00Z');
+    assert.strictEqual(computeEventStatus(EVENT, null, now), 'LIVE');
+    assert.strictEqual(computeEventStatus(EVENT, { sales_total_vip: 1 }, now), 'ON_SALE');
+  });
+
+  test('dates are the venue\'s, and unknown timezones fall back to the configured one', () => {
+    assert.strictEqual(toVenueDate('2099-04-18T05:30:00Z', 'America/Vancouver'), '2099-04-17');
+    assert.strictEqual(toVenueDate('2099-04-18T05:30:00Z', 'Not/AZone'), '2099-04-18');
+    assert.strictEqual(getEventEnd({ event_date: '2099-01-10', event_timezone: 'Not/AZone' }).toISOString(), '2099-01-11T09:00:00.000Z');
+  });
+
+  test('statuses read as labels', () => {
+    assert.strictEqual(formatStatus('SOLD_OUT'), '🔥 Sold out');
+    assert.strictEqual(formatStatus('SOMETHING_NEW'), 'SOMETHING_NEW');
+    assert.strictEqual(formatStatus(null), null);
+  });
+});
@@ -0,0 +1,55 @@
+// test/jobQueue.test.js - Jobs run one at a time per sender, even when one outlives its timeout
+const assert = require('assert');
+const { describe, test } = require('node:test');
+
+const { JobQueue } = require('../scripts/jobQueue');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('job queue', () => {
+  test('runs the jobs of a sender in order and records failures', async () => {
+    const queue = new JobQueue({ concurrency: 4, timeoutMs: 1000, maxDeadLetters: 10 });
+    const ran = [];
+
+    queue.enqueue('15145550101', 'message', async () => { await sleep(20); ran.push('a1'); });
+    queue.enqueue('15145550101', 'message', async () => { ran.push('a2'); throw new Error('boom'); });
+    queue.enqueue('15145550102', 'message', async () => { ran.push('b1'); });
+    await queue.onIdle();
+
+    assert.deepStrictEqual(ran, ['b1', 'a1', 'a2']);
+    assert.deepStrictEqual(queue.getDeadLetters().map(letter => [letter.key, letter.error]), [['15145550101', 'boom']]);
+    assert.strictEqual(queue.getStatus().completed, 2);
+  });
+
+  test('a timed-out job keeps its sender\'s next job waiting until it settles', async () => {
+    const queue = new JobQueue({ concurrency: 4, timeoutMs: 10, maxDeadLetters: 10 });
+    const events = [];
+
+    queue.enqueue('15145550101', 'message', async () => {
+      events.push('slow start');
+      await sleep(60);
+      events.push('slow end');
+    }, { text: 'sales' });
+    queue.enqueue('15145550101', 'message', async () => { events.push('next'); }, { text: 'cancel' });
+
+    await sleep(30);
+    assert.deepStrictEqual(events, ['slow start'], 'the next message waits for the timed-out one');
+    assert.deepStrictEqual(
+      queue.getDeadLetters().map(letter => [letter.code, letter.payload.text]),
+      [['JOB_TIMEOUT', 'sales']],
+      'the timeout is recorded when it happens'
+    );
+
+    await queue.onIdle();
+    assert.deepStrictEqual(events, ['slow start', 'slow end', 'next']);
+    assert.strictEqual(queue.getDeadLetters().length, 1);
+    assert.deepStrictEqual(
+      (({ completed, failed, timedOut }) => ({ completed, failed, timedOut }))(queue.getStatus()),
+      { completed: 1, failed: 1, timedOut: 1 }
+    );
+  });
+});
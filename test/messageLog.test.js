@@ -0,0 +1,66 @@
+// test/messageLog.test.js - Recording a sent message never overwrites a delivery status that got there first
+const assert = require('assert');
+const { describe, test, beforeEach } = require('node:test');
+
+process.env.MESSAGE_LOG_BACKEND = 'memory';
+
+const FakeSupabase = require('./support/fakeSupabase');
+const { MessageLog, MemoryMessageLogBackend, SupabaseMessageLogBackend } = require('../scripts/messageLog');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+const failed = {
+  id: 'wamid.1',
+  status: 'failed',
+  recipient_id: '15145550101',
+  timestamp: '4070908800',
+  errors: [{ code: 131026, title: 'Message undeliverable' }]
+};
+const outbound = { messageId: 'wamid.1', recipient: '15145550101', type: 'text', preview: 'Your   sales report' };
+
+const db = new FakeSupabase();
+const backends = {
+  memory: () => new MemoryMessageLogBackend(),
+  supabase: () => new SupabaseMessageLogBackend(db.client())
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`message log (${name})`, () => {
+    let log;
+
+    beforeEach(() => {
+      db.reset();
+      log = new MessageLog();
+      log.backend = createBackend();
+    });
+
+    test('records a sent message, then its statuses', async () => {
+      await log.recordOutbound(outbound);
+      await log.applyStatus({ id: 'wamid.1', status: 'delivered', timestamp: '4070908800' });
+
+      const [entry] = await log.getRecent();
+      assert.strictEqual(entry.status, 'delivered');
+      assert.strictEqual(entry.preview, 'Your sales report');
+      assert.strictEqual(entry.deliveredAt, '2099-01-01T00:00:00.000Z');
+    });
+
+    test('a failure that arrives before or while the message is recorded is kept', async () => {
+      await log.applyStatus(failed);
+      await log.recordOutbound(outbound);
+
+      let [entry] = await log.getRecent();
+      assert.strictEqual(entry.status, 'failed');
+      assert.strictEqual(entry.error.code, 131026);
+      assert.strictEqual(entry.type, 'text');
+
+      await log.backend.deleteOlderThan('2999-01-01T00:00:00.000Z');
+      await Promise.all([log.recordOutbound(outbound), log.applyStatus(failed)]);
+
+      [entry] = await log.getRecent();
+      assert.strictEqual(entry.status, 'failed');
+      assert.strictEqual(entry.preview, 'Your sales report');
+    });
+  });
+}
@@ -0,0 +1,118 @@
+// test/migrate.test.js - Migration files and the migrate runner, on an in-memory Postgres
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { describe, test, beforeEach } = require('node:test');
+const { newDb } = require('pg-mem');
+
+process.env.DATABASE_BACKEND = 'memory';
+const { Migrator, loadMigrations, createMigration, bootstrapMemoryFile } = require('../scripts/migrate');
+const { MemoryRepositoryBackend } = require('../scripts/repository');
+
+if (process.env.TEST_LOGS !== 'true') {
+  console.log = () => {};
+}
+
+async function connect() {
+  const { Client } = newDb().adapters.createPg();
+  const client = new Client();
+  await client.connect();
+  return client;
+}
+
+async function columns(client, table) {
+  const { rows } = await client.query('select column_name from information_schema.columns where table_name = $1', [table]);
+  return rows.map(row => row.column_name);
+}
+
+describe('migrations', () => {
+  let client;
+  beforeEach(async () => {
+    client = await connect();
+  });
+
+  test('are numbered without gaps or duplicates', () => {
+    const versions = loadMigrations().map(migration => Number(migration.version));
+    assert.deepStrictEqual(versions, versions.map((_, index) => index + 1));
+  });
+
+  test('bootstrap an empty database with every column the code uses', async () => {
+    const migrator = new Migrator(client);
+    const applied = await migrator.bootstrap();
+
+    assert.strictEqual(applied.length, loadMigrations().length);
+    assert.ok((await columns(client, 'bot_users')).includes('bot_secondary_roles'));
+    assert.ok((await columns(client, 'bot_users')).includes('bot_user_timezone'));
+    assert.ok((await columns(client, 'events')).includes('event_sales_updated'));
+    assert.ok((await columns(client, 'events')).includes('timetable'));
+    assert.ok((await columns(client, 'events')).includes('event_removed_at'));
+    assert.ok((await columns(client, 'events')).includes('event_doors_at'));
+    assert.ok((await columns(client, 'events_orders')).includes('order_serials'));
+    assert.ok((await columns(client, 'message_log')).includes('delivered_at'));
+    assert.ok((await columns(client, 'sync_runs')).includes('touched_ids'));
+  });
+
+  test('run once and are recorded with their checksum', async () => {
+    const migrator = new Migrator(client);
+    await migrator.up();
+
+    assert.deepStrictEqual(await migrator.up(), []);
+    const status = await migrator.status();
+    assert.ok(status.every(migration => migration.applied && !migration.changed));
+
+    const { rows } = await client.query('select version from schema_migrations order by version');
+    assert.deepStrictEqual(rows.map(row => row.version), loadMigrations().map(migration => migration.version));
+  });
+
+  test('apply only what is pending and flag edited files', async () => {
+    const [first, second] = loadMigrations();
+    const migrator = new Migrator(client, [first]);
+    await migrator.up();
+
+    const next = new Migrator(client, [{ ...first, checksum: 'edited' }, second]);
+    next.tableReady = true; // pg-mem can't run `create table if not exists` on an existing table
+    assert.deepStrictEqual((await next.up()).map(migration => migration.version), [second.version]);
+    assert.deepStrictEqual((await next.status()).map(migration => migration.changed), [true, false]);
+  });
+
+  test('stop at a failing migration without recording it', async () => {
+    const migrator = new Migrator(client, [
+      { version: '1', name: 'ok', file: '1_ok.sql', sql: 'create table ok (id int);', checksum: 'a' },
+      { version: '2', name: 'broken', file: '2_broken.sql', sql: 'select * from missing_table;', checksum: 'b' },
+      { version: '3', name: 'later', file: '3_later.sql', sql: 'create table later (id int);', checksum: 'c' }
+    ]);
+
+    await assert.rejects(() => migrator.up(), /2_broken\.sql failed/);
+    assert.deepStrictEqual((await migrator.status()).map(migration => migration.applied), [true, false, false]);
+  });
+
+  test('refuse to bootstrap a database that already has the tables', async () => {
+    await new Migrator(client).up();
+    await assert.rejects(() => new Migrator(client).bootstrap(), /not empty/);
+  });
+});
+
+describe('migrate CLI helpers', () => {
+  test('create the next numbered file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'produkt-migrations-'));
+    fs.writeFileSync(path.join(directory, '001_first.sql'), 'select 1;');
+    fs.writeFileSync(path.join(directory, '002_second.sql'), 'select 1;');
+
+    const file = createMigration('Add event venue', directory);
+    assert.strictEqual(path.basename(file), '003_add_event_venue.sql');
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('bootstrap an empty file for the memory backend', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'produkt-db-'));
+    const file = path.join(directory, 'local', 'db.json');
+
+    bootstrapMemoryFile(file);
+    assert.throws(() => bootstrapMemoryFile(file), /already exists/);
+    assert.deepStrictEqual(await new MemoryRepositoryBackend(file).listEvents(), []);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,38 @@
+// test/outboundQueue.test.js - Messages that can't be sent are recorded, but never in the public status
+const assert = require('assert');
+const { describe, test, afterEach } = require('node:test');
+require('./support/harness');
+
+const whatsapp = require('../scripts/whatsappClient');
+const outboundQueue = require('../scripts/outboundQueue');
+const { WhatsAppApiError } = whatsapp;
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+describe('outbound queue', () => {
+  const sendMessage = whatsapp.sendMessage;
+  afterEach(() => { whatsapp.sendMessage = sendMessage; });
+
+  test('keeps failed recipients and previews out of the status', async () => {
+    whatsapp.sendMessage = async () => {
+      throw new WhatsAppApiError('WhatsApp send failed: 400 (131047) Re-engagement message', { status: 400, code: 131047 });
+    };
+
+    await assert.rejects(
+      () => outboundQueue.send('15145550101', { type: 'text', text: { body: 'Your tickets' } }, { preview: 'Your tickets' }),
+      /Re-engagement/
+    );
+
+    const failure = outboundQueue.getFailures().at(-1);
+    assert.strictEqual(failure.to, '15145550101');
+    assert.strictEqual(failure.preview, 'Your tickets');
+
+    const status = outboundQueue.getStatus();
+    const published = JSON.stringify(status);
+    assert.ok(status.failures >= 1);
+    assert.ok(!published.includes('"to"') && !published.includes('"preview"'));
+    assert.ok(!published.includes('15145550101'));
+  });
+});
@@ -0,0 +1,194 @@
+// test/repository.test.js - Both repository backends behave the same
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const { describe, test, beforeEach } = require('node:test');
+
+process.env.DATABASE_BACKEND = 'memory';
+const repository = require('../scripts/repository');
+const { MemoryRepositoryBackend, SupabaseRepositoryBackend } = repository;
+const FakeSupabase = require('./support/fakeSupabase');
+
+const fixtures = {
+  bot_users: [
+    { bot_userphone: '15145550100', bot_username: 'Boss', bot_userrole: 'ADMIN' },
+    { bot_userphone: '15145550101', bot_username: 'Ann', bot_userrole: 'USER' }
+  ],
+  events: [
+    { event_id: 102, event_name: 'Rooftop Session', event_date: '2099-04-02', event_status: 'LIVE' },
+    { event_id: 101, event_name: 'Warehouse Night', event_date: '2099-03-14', event_status: 'LIVE' },
+    { event_id: 90, event_name: 'Last Year', event_date: '2001-01-01', event_status: 'PAST' }
+  ],
+  events_sales: [{ event_id: 101, sales_total_ga: 120 }],
+  events_orders: [
+    { event_id: 101, order_sales_item_name: 'Promoter - Jam', order_quantity: 2 },
+    { event_id: 101, order_sales_item_name: 'General Admission', order_quantity: 1 },
+    { event_id: 101, order_sales_item_name: 'General Admission', order_quantity: 3 },
+    { event_id: 102, order_sales_item_name: 'General Admission', order_quantity: 5 }
+  ]
+};
+
+const backends = {
+  memory: () => {
+    const backend = new MemoryRepositoryBackend();
+    backend.seed(fixtures);
+    return backend;
+  },
+  supabase: () => {
+    const db = new FakeSupabase();
+    db.seed(fixtures);
+    // A tiny page size makes the paging code run
+    return new SupabaseRepositoryBackend(db.client(), 2);
+  }
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`${name} backend`, () => {
+    let backend;
+    beforeEach(() => { backend = createBackend(); });
+
+    test('finds users by phone and by name, ignoring case', async () => {
+      assert.strictEqual((await backend.getUser('15145550101')).bot_username, 'Ann');
+      assert.strictEqual((await backend.findUserByName('boss')).bot_userphone, '15145550100');
+      assert.strictEqual(await backend.getUser('10000000000'), null);
+      assert.deepStrictEqual((await backend.listUsers()).map(user => user.bot_username), ['Ann', 'Boss']);
+    });
+
+    test('creates, updates and deletes users', async () => {
+      await backend.upsertUser({ bot_userphone: '15145550102', bot_username: 'Cy', bot_userrole: 'USER' });
+      await backend.upsertUser({ bot_userphone: '15145550102', bot_username: 'Cyd' });
+      await backend.updateUser('15145550102', { bot_secondary_roles: 'NCGCOUNT' });
+
+      const user = await backend.getUser('15145550102');
+      assert.strictEqual(user.bot_username, 'Cyd');
+      assert.strictEqual(user.bot_userrole, 'USER');
+      assert.strictEqual(user.bot_secondary_roles, 'NCGCOUNT');
+
+      await backend.deleteUser('15145550102');
+      assert.strictEqual(await backend.getUser('15145550102'), null);
+    });
+
+    test('lists events by date, from a date or with a status', async () => {
+      assert.deepStrictEqual((await backend.listEvents()).map(event => event.event_id), [90, 101, 102]);
+      assert.deepStrictEqual((await backend.listEvents({ fromDate: '2050-01-01' })).map(event => event.event_id), [101, 102]);
+      assert.deepStrictEqual((await backend.listEvents({ status: 'PAST' })).map(event => event.event_id), [90]);
+      assert.deepStrictEqual((await backend.listEvents({ status: ['PAST', 'LIVE'] })).map(event => event.event_id), [90, 101, 102]);
+      assert.strictEqual((await backend.getEvent('102')).event_name, 'Rooftop Session');
+    });
+
+    test('upserts, updates and deletes events', async () => {
+      await backend.upsertEvents([
+        { event_id: 101, event_name: 'Warehouse Night II' },
+        { event_id: 103, event_name: 'Basement', event_date: '2099-05-01', event_status: 'LIVE' }
+      ]);
+      await backend.updateEvents([101, 103], { event_status: 'PAST' });
+      await backend.deleteEvents([90]);
+
+      const events = await backend.listEvents();
+      assert.deepStrictEqual(events.map(event => [event.event_id, event.event_name, event.event_status]), [
+        [101, 'Warehouse Night II', 'PAST'],
+        [102, 'Rooftop Session', 'LIVE'],
+        [103, 'Basement', 'PAST']
+      ]);
+    });
+
+    test('reads and writes sales rollups', async () => {
+      assert.strictEqual((await backend.getSales(101)).sales_total_ga, 120);
+      assert.strictEqual(await backend.getSales(102), null);
+
+      await backend.upsertSales([
+        { event_id: 101, sales_total_ga: 130 },
+        { event_id: 102, sales_total_ga: 5 },
+        { event_id: 90, sales_total_ga: 40 }
+      ]);
+      assert.deepStrictEqual((await backend.listSales()).map(sales => sales.sales_total_ga).sort(), [130, 40, 5]);
+
+      await backend.deleteSales(101);
+      assert.strictEqual(await backend.getSales(101), null);
+      assert.strictEqual((await backend.getSales(102)).sales_total_ga, 5);
+    });
+
+    test('lists every order of an event, optionally for some items', async () => {
+      assert.strictEqual((await backend.listOrders(101)).length, 3);
+      assert.deepStrictEqual(
+        (await backend.listOrders('101', { itemNames: ['Promoter - Jam'] })).map(order => order.order_quantity),
+        [2]
+      );
+      assert.deepStrictEqual(await backend.listOrders(999), []);
+    });
+
+    test('upserts order items by order and sale item, and deletes some or all of an event', async () => {
+      await backend.upsertOrders([
+        { order_id: '5001', order_sales_item_id: '1', event_id: 102, order_status: 'COMPLETE' },
+        { order_id: '5001', order_sales_item_id: '2', event_id: 102, order_status: 'COMPLETE' }
+      ]);
+      await backend.upsertOrders([{ order_id: '5001', order_sales_item_id: '2', event_id: 102, order_status: 'REFUNDED' }]);
+      const orders = (await backend.listOrders(102)).filter(order => order.order_id === '5001');
+      assert.deepStrictEqual(orders.map(order => order.order_status).sort(), ['COMPLETE', 'REFUNDED']);
+
+      await backend.deleteOrderItems(102, [{ order_id: '5001', order_sales_item_id: '2' }]);
+      assert.deepStrictEqual(
+        (await backend.listOrders(102)).filter(order => order.order_id === '5001').map(order => order.order_sales_item_id),
+        ['1']
+      );
+
+      await backend.deleteOrders(102);
+      assert.deepStrictEqual(await backend.listOrders(102), []);
+      assert.strictEqual((await backend.listOrders(101)).length, 3);
+    });
+
+    test('saves sync runs and lists the latest first', async () => {
+      await backend.saveSyncRun({ id: 'a', sync: 'sales', status: 'running', started_at: '2099-01-01T10:00:00.000Z' });
+      await backend.saveSyncRun({ id: 'b', sync: 'event-changes', status: 'failed', started_at: '2099-01-01T11:00:00.000Z' });
+      await backend.saveSyncRun({ id: 'c', sync: 'sales', status: 'success', started_at: '2099-01-01T12:00:00.000Z' });
+      await backend.saveSyncRun({ id: 'a', status: 'success', finished_at: '2099-01-01T10:01:00.000Z' });
+
+      assert.deepStrictEqual((await backend.listSyncRuns()).map(run => run.id), ['c', 'b', 'a']);
+      assert.deepStrictEqual((await backend.listSyncRuns({ sync: 'sales', limit: 1 })).map(run => run.id), ['c']);
+      assert.deepStrictEqual((await backend.listSyncRuns({ status: 'failed' })).map(run => run.id), ['b']);
+      assert.strictEqual((await backend.listSyncRuns({ sync: 'sales' }))[1].finished_at, '2099-01-01T10:01:00.000Z');
+    });
+  });
+}
+
+describe('repository', () => {
+  test('leaves REMOVED events out unless asked for', async () => {
+    repository.backend.seed({
+      events: [...fixtures.events, { event_id: 150, event_name: 'Gone', event_date: '2099-05-01', event_status: 'REMOVED' }]
+    });
+
+    assert.deepStrictEqual((await repository.listEvents()).map(event => event.event_id), [90, 101, 102]);
+    assert.deepStrictEqual((await repository.listEvents({ status: 'REMOVED' })).map(event => event.event_id), [150]);
+    assert.deepStrictEqual((await repository.listEvents({ fromDate: '2050-01-01', includeRemoved: true })).map(event => event.event_id), [101, 102, 150]);
+  });
+});
+
+describe('memory backend with a file', () => {
+  test('runs the sales sync offline against the same file the bot reads', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'produkt-db-'));
+    const file = path.join(directory, 'db.json');
+    const orders = [
+      { event_id: 101, order_status: 'COMPLETE', order_category: 'GA', order_gross: 20, order_net: 18, order_quantity: 2 },
+      { event_id: 101, order_status: 'COMPLETE', order_category: 'VIP', order_gross: 50, order_net: 45, order_quantity: 1 },
+      { event_id: 101, order_status: 'REFUNDED', order_category: 'GA', order_gross: 20, order_net: 18, order_quantity: 4 }
+    ];
+    new MemoryRepositoryBackend(file).seed({ events: [fixtures.events[1]], events_orders: orders });
+
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'sync-sales.js')], {
+      env: { ...process.env, DATABASE_BACKEND: 'memory', DATABASE_FILE: file, SUPABASE_URL: '', SUPABASE_KEY: '' },
+      stdio: 'ignore',
+      timeout: 20000
+    });
+
+    const backend = new MemoryRepositoryBackend(file);
+    const sales = await backend.getSales(101);
+    assert.strictEqual(sales.sales_total_ga, 2);
+    assert.strictEqual(sales.sales_total_vip, 1);
+    assert.strictEqual(sales.sales_gross, 70);
+    assert.ok((await backend.getEvent(101)).event_sales_updated);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
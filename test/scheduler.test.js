@@ -0,0 +1,147 @@
+// test/scheduler.test.js - Sync jobs run on their cron schedules, never twice at once
+const assert = require('assert');
+const { describe, test, beforeEach, afterEach } = require('node:test');
+
+process.env.DATABASE_BACKEND = 'memory';
+const { Scheduler } = require('../scripts/scheduler');
+const { SyncRunner } = require('../scripts/syncRunner');
+const { getConfig } = require('../config/environment');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error'].forEach(level => { console[level] = () => {}; });
+}
+
+const JOBS = [
+  { name: 'orders', sync: 'live-orders', cron: '*/15 * * * *', description: 'Orders' },
+  { name: 'statuses', sync: 'event-statuses', cron: '0 9 * * *', description: 'Statuses' },
+  { name: 'sales', sync: 'sales', cron: null, description: 'Sales' }
+];
+
+describe('scheduler', () => {
+  let pending;
+  let runner;
+  let scheduler;
+
+  beforeEach(() => {
+    pending = [];
+    const sync = () => new Promise((resolve, reject) => pending.push({ resolve, reject }));
+    runner = new SyncRunner({
+      'live-orders': { run: sync, group: 'orders' },
+      'event-statuses': sync,
+      'sales': { run: sync, group: 'orders' }
+    });
+    scheduler = new Scheduler({ enabled: true, timezone: 'America/Montreal', jitterMs: 1000, jobs: JOBS }, runner);
+  });
+
+  afterEach(() => scheduler.stop());
+
+  test('rejects invalid cron expressions up front', () => {
+    assert.throws(
+      () => new Scheduler({ enabled: true, timezone: 'UTC', jitterMs: 0, jobs: [{ name: 'bad', sync: 'sales', cron: 'every hour' }] }, runner),
+      /Invalid schedule "every hour" for job bad/
+    );
+  });
+
+  test('reads schedules in the scheduler timezone', () => {
+    const from = new Date('2026-10-19T12:00:00Z');
+    assert.strictEqual(scheduler.getNextRun('statuses', from).toISOString(), '2026-10-19T13:00:00.000Z');
+    assert.strictEqual(scheduler.getNextRun('orders', from).toISOString(), '2026-10-19T12:15:00.000Z');
+    assert.strictEqual(scheduler.getNextRun('sales', from), null);
+  });
+
+  test('arms scheduled jobs with jitter and lists their next run', () => {
+    const before = Date.now();
+    scheduler.start();
+
+    const jobs = scheduler.getJobs();
+    const orders = jobs.find(job => job.name === 'orders');
+    const due = scheduler.getNextRun('orders', new Date(before)).getTime();
+    const next = new Date(orders.nextRunAt).getTime();
+
+    assert.ok(next >= due && next <= due + 1000, 'next run is the due time plus at most the jitter');
+    assert.strictEqual(jobs.find(job => job.name === 'sales').nextRunAt, null);
+    assert.deepStrictEqual(scheduler.getStatus().jobs, ['orders', 'statuses']);
+
+    scheduler.stop();
+    assert.ok(scheduler.getJobs().every(job => job.nextRunAt === null));
+  });
+
+  test('does not arm anything when disabled', () => {
+    const disabled = new Scheduler({ enabled: false, timezone: 'UTC', jitterMs: 0, jobs: JOBS }, runner);
+    disabled.start();
+    assert.ok(disabled.getJobs().every(job => !job.enabled && job.nextRunAt === null));
+  });
+
+  test('skips a scheduled run while the previous one is going and records the result', async () => {
+    const manual = scheduler.trigger('orders');
+    const scheduled = await scheduler.runJob('orders', 'cron');
+
+    assert.strictEqual(pending.length, 1);
+    assert.strictEqual(scheduled.status, 'running');
+    assert.strictEqual(scheduler.getJobs().find(job => job.name === 'orders').skipped, 1);
+
+    pending[0].resolve({ events: 2 });
+    const run = await manual;
+    assert.strictEqual(run.status, 'success');
+    assert.strictEqual(run.trigger, 'manual');
+    assert.deepStrictEqual(run.result, { events: 2 });
+  });
+
+  test('skips a scheduled run while another job of its group is going', async () => {
+    const manual = scheduler.trigger('orders');
+    const scheduled = await scheduler.runJob('sales', 'cron');
+
+    assert.strictEqual(scheduled, null);
+    assert.strictEqual(scheduler.getJobs().find(job => job.name === 'sales').skipped, 1);
+    assert.ok(!runner.isRunning('sales'));
+
+    await Promise.resolve();
+    pending[0].resolve({});
+    await manual;
+  });
+
+  test('a manual run waits for the running job of its group', async () => {
+    const orders = scheduler.trigger('orders');
+    const sales = scheduler.trigger('sales');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(pending.length, 1, 'sales waits for the orders sync');
+    assert.ok(runner.getStatus().running.find(run => run.scope === 'sales').queued);
+
+    pending[0].resolve({ events: 1 });
+    await orders;
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(pending.length, 2, 'sales starts once the orders sync is done');
+
+    pending[1].resolve({ events: 2 });
+    const run = await sales;
+    assert.strictEqual(run.status, 'success');
+    assert.deepStrictEqual(run.result, { events: 2 });
+  });
+
+  test('records failed runs', async () => {
+    const run = scheduler.trigger('sales');
+    await Promise.resolve();
+    pending[0].reject(new Error('Tixr is down'));
+
+    assert.deepStrictEqual(
+      (({ status, error }) => ({ status, error }))(await run),
+      { status: 'failed', error: 'Tixr is down' }
+    );
+    assert.throws(() => scheduler.trigger('attendance'), /Unknown job "attendance"/);
+  });
+
+  test('schedules can be changed or turned off per job', () => {
+    process.env.SCHEDULE_ORDERS = '*/5 * * * *';
+    process.env.SCHEDULE_EVENT_CHANGES = 'off';
+    try {
+      const jobs = getConfig().scheduler.jobs;
+      assert.strictEqual(jobs.find(job => job.name === 'orders').cron, '*/5 * * * *');
+      assert.strictEqual(jobs.find(job => job.name === 'event-changes').cron, null);
+      assert.strictEqual(jobs.find(job => job.name === 'sales').cron, '5,20,35,50 * * * *');
+    } finally {
+      delete process.env.SCHEDULE_ORDERS;
+      delete process.env.SCHEDULE_EVENT_CHANGES;
+    }
+  });
+});
@@ -0,0 +1,295 @@
+// test/support/fakeSupabase.js - In-memory stand-in for the Supabase client
+const { isDeepStrictEqual } = require('util');
+
+// Conflict target for inserts and upserts when none is given
+const PRIMARY_KEYS = {
+  bot_users: 'bot_userphone',
+  events: 'event_id',
+  events_sales: 'event_id',
+  events_orders: 'order_id,order_sales_item_id',
+  message_log: 'message_id',
+  processed_messages: 'message_id',
+  sync_runs: 'id'
+};
+
+/**
+ * Turn a SQL LIKE pattern into a RegExp
+ */
+function likeToRegExp(pattern, flags = '') {
+  const source = pattern
+    .split('')
+    .map(char => (char === '%' ? '.*' : char === '_' ? '.' : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Postgres compares a text column with a number loosely through casts
+ */
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return a === b;
+  return String(a) === String(b);
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.headOnly = false;
+    this.returning = false;
+    this.payload = null;
+    this.conflictKey = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeStart = null;
+    this.rangeEnd = null;
+    this.resultMode = 'many';
+  }
+
+  // ===== Actions =====
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = null } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictKey = onConflict;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // ===== Filters =====
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) { return this.where(row => sameValue(row[column], value)); }
+  neq(column, value) { return this.where(row => !sameValue(row[column], value)); }
+  gt(column, value) { return this.where(row => row[column] !== null && row[column] > value); }
+  gte(column, value) { return this.where(row => row[column] !== null && row[column] >= value); }
+  lt(column, value) { return this.where(row => row[column] !== null && row[column] < value); }
+  lte(column, value) { return this.where(row => row[column] !== null && row[column] <= value); }
+  like(column, pattern) { return this.where(row => likeToRegExp(pattern).test(String(row[column] ?? ''))); }
+  ilike(column, pattern) { return this.where(row => likeToRegExp(pattern, 'i').test(String(row[column] ?? ''))); }
+  in(column, values) { return this.where(row => values.some(value => sameValue(row[column], value))); }
+  is(column, value) { return this.where(row => (row[column] ?? null) === value); }
+
+  // ===== Modifiers =====
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeStart = from;
+    this.rangeEnd = to;
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  // ===== Execution =====
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  project(row) {
+    const columns = this.columns.split(',').map(column => column.trim());
+    if (columns.includes('*') || columns.some(column => !/^\w+$/.test(column))) {
+      return { ...row };
+    }
+    return Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+  }
+
+  execute() {
+    const rows = this.db.table(this.table);
+    let affected;
+
+    switch (this.action) {
+      case 'insert':
+      case 'upsert': {
+        const keys = (this.conflictKey || PRIMARY_KEYS[this.table] || '')
+          .split(',')
+          .map(column => column.trim())
+          .filter(Boolean);
+        affected = [];
+        for (const values of this.payload) {
+          const existing = keys.length > 0
+            ? rows.find(row => keys.every(column => sameValue(row[column], values[column])))
+            : null;
+          if (existing && this.action === 'insert') {
+            return this.error('23505', `duplicate key value violates unique constraint "${this.table}_pkey"`);
+          }
+          if (existing) {
+            Object.assign(existing, values);
+            affected.push(existing);
+          } else {
+            const row = { ...values };
+            rows.push(row);
+            affected.push(row);
+          }
+        }
+        break;
+      }
+      case 'update':
+        affected = rows.filter(row => this.matches(row));
+        affected.forEach(row => Object.assign(row, this.payload));
+        break;
+      case 'delete':
+        affected = rows.filter(row => this.matches(row));
+        this.db.tables.set(this.table, rows.filter(row => !affected.includes(row)));
+        break;
+      default:
+        affected = rows.filter(row => this.matches(row));
+    }
+
+    if (this.action !== 'select') {
+      this.db.writes.push({ table: this.table, action: this.action, rows: affected.map(row => ({ ...row })) });
+      if (!this.returning) {
+        return { data: null, error: null, count: null, status: 204 };
+      }
+    }
+
+    let data = [...affected];
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      data.sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        const order = a[column] > b[column] ? 1 : -1;
+        return ascending ? order : -order;
+      });
+    }
+    const count = data.length;
+
+    if (this.rangeStart !== null) {
+      data = data.slice(this.rangeStart, this.rangeEnd + 1);
+    }
+    if (this.limitCount !== null) {
+      data = data.slice(0, this.limitCount);
+    }
+    data = data.map(row => this.project(row));
+
+    if (this.headOnly) {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    if (this.resultMode !== 'many') {
+      if (data.length > 1 || (data.length === 0 && this.resultMode === 'single')) {
+        return this.error('PGRST116', 'JSON object requested, multiple (or no) rows returned');
+      }
+      return { data: data[0] || null, error: null, count: this.countMode ? count : null, status: 200 };
+    }
+
+    return { data, error: null, count: this.countMode ? count : null, status: 200 };
+  }
+
+  error(code, message) {
+    return { data: null, error: { code, message, details: null, hint: null }, count: null, status: 400 };
+  }
+}
+
+class FakeSupabase {
+  constructor() {
+    this.tables = new Map(); // table name -> array of rows
+    this.writes = [];        // every insert/update/upsert/delete, in order
+  }
+
+  /**
+   * Object with the same `from()` entry point as a Supabase client
+   */
+  client() {
+    return { from: table => new FakeQuery(this, table) };
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  /**
+   * Replace the contents of the given tables
+   */
+  seed(fixtures = {}) {
+    Object.entries(fixtures).forEach(([name, rows]) => {
+      this.tables.set(name, rows.map(row => ({ ...row })));
+    });
+  }
+
+  reset() {
+    this.tables.clear();
+    this.writes = [];
+  }
+
+  /**
+   * Rows of a table, copied
+   */
+  rows(name) {
+    return this.table(name).map(row => ({ ...row }));
+  }
+
+  /**
+   * Whether a row has every field of `expected` with the same value
+   */
+  static matchesPartial(row, expected) {
+    return Object.entries(expected).every(([column, value]) => isDeepStrictEqual(row[column], value));
+  }
+}
+
+module.exports = FakeSupabase;
@@ -0,0 +1,350 @@
+// test/support/harness.js - Drives the real webhook handler with scripted transcripts
+//
+// Supabase is replaced by FakeSupabase, Tixr by fixtures served at the
+// axios boundary, syncs the commands start are recorded instead of run,
+// and WhatsApp is the local simulator - so everything between the webhook
+// and the Graph API is the production code.
+//
+// A transcript (test/transcripts/*.json) looks like:
+//
+//   {
+//     "description": "...",
+//     "use": ["team"],                  // shared tables from test/fixtures
+//     "fixtures": { "events": [...] },  // extra rows for this transcript
+//     "tixr": { "events": [...], "orders": { "<event id>": [...] } },
+//     "from": "15145550101",            // default sender
+//     "steps": [
+//       { "send": "timezone", "expect": [{ "contains": "Change", "options": ["1", "2", "3"] }] },
+//       { "button": "3", "expect": ["Timezone Updated"], "db": { ... } },
+//       { "send": "sales", "expect": [...], "synced": ["event-changes", "sales"] },
+//       { "from": "15145550100", "list": "101", "expectTo": { "15145550101": [...] } }
+//     ],
+//     "db": { "bot_users": [{ "bot_username": "Ann", "bot_user_timezone": "UTC" }] }
+//   }
+//
+// Run a single one with `node --test --test-name-pattern=<name> test/*.test.js`
+// and TEST_LOGS=true to see the bot's logs.
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// Fixed settings, applied before any application module reads them
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  SUPABASE_URL: 'http://supabase.test',
+  SUPABASE_KEY: 'test-supabase-key',
+  WHATSAPP_TOKEN: 'test-whatsapp-token',
+  PHONE_NUMBER_ID: '100000000000000',
+  WHATSAPP_APP_SECRET: 'test-app-secret',
+  ADMIN_PASSWORD: 'admin-pass',
+  USER_PASSWORD: 'user-pass',
+  MANAGERSALES_PASSWORD: 'manager-pass',
+  ADMIN_API_KEY: 'test-admin-key',
+  TIXR_CPK: 'test-cpk',
+  TIXR_SECRET_KEY: 'test-tixr-secret',
+  TIXR_GROUP_ID: '980',
+  DEDUPE_BACKEND: 'memory',
+  CONVERSATION_BACKEND: 'memory',
+  MESSAGE_LOG_BACKEND: 'memory',
+  TYPING_DELAYS: 'false',
+  OUTBOUND_RATE_PER_SECOND: '1000',
+  OUTBOUND_RECIPIENT_GAP_MS: '0',
+  OUTBOUND_MAX_RETRIES: '0'
+};
+Object.assign(process.env, TEST_ENV);
+
+const supabaseJs = require('@supabase/supabase-js');
+const axios = require('axios');
+const FakeSupabase = require('./fakeSupabase');
+const WhatsAppSimulator = require('../../scripts/whatsappSimulator');
+
+const TIXR_HOST = 'studio.tixr.com';
+
+/**
+ * Serves Tixr fixtures for the URLs TixrAPI builds:
+ * `{ events: [...], orders: { "<event id>": [...] } }`
+ */
+class TixrStub {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.events = [];
+    this.orders = {};
+    this.requests = [];
+  }
+
+  load(fixtures = {}) {
+    this.events = fixtures.events || [];
+    this.orders = fixtures.orders || {};
+  }
+
+  handle(url) {
+    const { pathname, searchParams } = new URL(url);
+    this.requests.push({ pathname, params: Object.fromEntries(searchParams) });
+
+    const pageNumber = parseInt(searchParams.get('page_number')) || 1;
+    const pageSize = parseInt(searchParams.get('page_size')) || 100;
+    const page = items => items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+    let match = pathname.match(/^\/v1\/groups\/[^/]+\/events\/([^/]+)\/orders$/);
+    if (match) {
+      return { status: 200, data: page(this.orders[match[1]] || []) };
+    }
+
+    match = pathname.match(/^\/v1\/groups\/[^/]+\/events\/([^/]+)$/);
+    if (match) {
+      const event = this.events.find(e => String(e.id) === match[1]);
+      if (!event) {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, data: { error: 'Not found' } };
+        throw error;
+      }
+      return { status: 200, data: [event] };
+    }
+
+    if (/^\/v1\/groups\/[^/]+\/events$/.test(pathname)) {
+      return { status: 200, data: page(this.events) };
+    }
+
+    const error = new Error(`Unexpected Tixr request ${pathname}`);
+    error.response = { status: 404, data: {} };
+    throw error;
+  }
+}
+
+// ===== Stubs, installed before the app loads =====
+
+const db = new FakeSupabase();
+supabaseJs.createClient = () => db.client();
+
+const tixr = new TixrStub();
+const realAxiosGet = axios.get;
+axios.get = async (url, config) => (
+  String(url).includes(TIXR_HOST) ? tixr.handle(url) : realAxiosGet.call(axios, url, config)
+);
+
+// Commands kick off syncs - record their scopes instead of running them
+const syncRunner = require('../../scripts/syncRunner');
+const syncsRun = [];
+Object.keys(syncRunner.jobs).forEach(name => {
+  syncRunner.jobs[name] = {
+    run: async (...args) => {
+      syncsRun.push([name, ...args].join(':'));
+      return {};
+    },
+    group: syncRunner.jobs[name].group
+  };
+});
+
+class ConversationHarness {
+  constructor() {
+    this.db = db;
+    this.tixr = tixr;
+    this.syncsRun = syncsRun;
+    this.server = null;
+    this.simulator = null;
+  }
+
+  /**
+   * Mount the bot on a free port and start the WhatsApp simulator
+   */
+  async start() {
+    if (process.env.TEST_LOGS !== 'true') {
+      ['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+    }
+
+    const app = require('../../index');
+    this.jobQueue = require('../../scripts/jobQueue');
+    this.conversations = require('../../scripts/conversationStore');
+    this.rateLimiter = require('../../middleware/rateLimiter');
+    this.messageLog = require('../../scripts/messageLog');
+    this.scheduler = require('../../scripts/scheduler');
+
+    await new Promise(resolve => {
+      this.server = app.listen(0, resolve);
+    });
+
+    this.simulator = new WhatsAppSimulator({
+      port: 0,
+      webhookUrl: `http://localhost:${this.server.address().port}/webhook`,
+      appSecret: TEST_ENV.WHATSAPP_APP_SECRET,
+      phoneNumberId: TEST_ENV.PHONE_NUMBER_ID
+    });
+    await this.simulator.start();
+    process.env.WHATSAPP_API_BASE_URL = this.simulator.getBaseUrl();
+  }
+
+  async stop() {
+    await this.simulator?.stop();
+    await new Promise(resolve => (this.server ? this.server.close(resolve) : resolve()));
+  }
+
+  /**
+   * Forget everything a previous transcript left behind
+   */
+  reset() {
+    this.db.reset();
+    this.tixr.reset();
+    this.simulator.clear();
+    this.syncsRun.length = 0;
+    this.scheduler.jobs.forEach(job => { job.lastRun = null; job.skipped = 0; });
+    this.conversations.backend.entries?.clear();
+    this.messageLog.backend.entries?.clear();
+    this.rateLimiter.userRequests.clear();
+    this.rateLimiter.globalRequests = [];
+  }
+
+  /**
+   * Send one inbound message and wait until the bot has handled it.
+   * @returns {Array} Messages the bot sent meanwhile, to anyone
+   */
+  async send(from, step) {
+    const before = this.simulator.outbox.length;
+
+    let result;
+    if (step.button !== undefined) {
+      result = await this.simulator.sendButtonReply(from, String(step.button));
+    } else if (step.list !== undefined) {
+      result = await this.simulator.sendListReply(from, String(step.list));
+    } else {
+      result = await this.simulator.sendText(from, String(step.send));
+    }
+    assert.strictEqual(result.status, 200, `Webhook answered ${result.status}`);
+
+    await this.jobQueue.onIdle();
+    return this.simulator.outbox.slice(before);
+  }
+
+  /**
+   * Play a transcript and assert on every step
+   */
+  async run(transcript) {
+    this.reset();
+    this.db.seed(transcript.fixtures);
+    this.tixr.load(transcript.tixr);
+
+    for (const [index, step] of transcript.steps.entries()) {
+      const from = String(step.from || transcript.from);
+      const input = step.send ?? (step.button !== undefined ? `[button ${step.button}]` : `[list ${step.list}]`);
+      const label = `step ${index + 1} (${from}: "${input}")`;
+      const sent = await this.send(from, step);
+
+      if (step.expect) {
+        this.assertReplies(sent.filter(message => message.to === from), step.expect, label);
+      }
+      Object.entries(step.expectTo || {}).forEach(([to, expected]) => {
+        this.assertReplies(sent.filter(message => message.to === to), expected, `${label} to ${to}`);
+      });
+      if (step.db) {
+        this.assertTables(step.db, label);
+      }
+      if (step.synced) {
+        step.synced.forEach(scope => assert.ok(
+          this.syncsRun.includes(scope),
+          `${label}: expected sync "${scope}" to run, ran ${JSON.stringify(this.syncsRun)}`
+        ));
+      }
+    }
+
+    if (transcript.db) {
+      this.assertTables(transcript.db, 'end of transcript');
+    }
+  }
+
+  /**
+   * Each expectation is a substring of the reply at the same position, or
+   * `{ contains, type, options, document }`
+   */
+  assertReplies(replies, expected, label) {
+    const rendered = replies.map(reply => WhatsAppSimulator.render(reply));
+    const context = `${label}\n--- replies ---\n${rendered.join('\n---\n') || '(none)'}`;
+
+    assert.strictEqual(replies.length, expected.length, `${context}\nexpected ${expected.length} replies, got ${replies.length}`);
+
+    expected.forEach((expectation, i) => {
+      const reply = replies[i];
+      const { contains, type, options, document } = typeof expectation === 'string'
+        ? { contains: expectation }
+        : expectation;
+
+      [].concat(contains || []).forEach(text => {
+        assert.ok(rendered[i].includes(text), `${context}\nreply ${i + 1} should contain "${text}"`);
+      });
+      if (type) {
+        assert.strictEqual(reply.type, type, `${context}\nreply ${i + 1} should be ${type}`);
+      }
+      if (options) {
+        const { interactive } = reply.payload;
+        const ids = interactive?.type === 'button'
+          ? interactive.action.buttons.map(button => button.reply.id)
+          : (interactive?.action.sections || []).flatMap(section => section.rows.map(row => row.id));
+        assert.deepStrictEqual(ids, options.map(String), `${context}\nreply ${i + 1} options`);
+      }
+      if (document) {
+        assert.ok(
+          reply.type === 'document' && reply.payload.document.filename.includes(document),
+          `${context}\nreply ${i + 1} should be a document named like "${document}"`
+        );
+      }
+    });
+  }
+
+  /**
+   * `{ table: [partial rows] }` - the table has exactly that many rows and
+   * each partial row matches a different one
+   */
+  assertTables(expectedTables, label) {
+    Object.entries(expectedTables).forEach(([table, expectedRows]) => {
+      const remaining = this.db.rows(table);
+      const context = `${label}: table ${table}\n${JSON.stringify(remaining, null, 2)}`;
+
+      assert.strictEqual(remaining.length, expectedRows.length, `${context}\nexpected ${expectedRows.length} rows`);
+      expectedRows.forEach(expected => {
+        const index = remaining.findIndex(row => FakeSupabase.matchesPartial(row, expected));
+        assert.ok(index !== -1, `${context}\nno row matches ${JSON.stringify(expected)}`);
+        remaining.splice(index, 1);
+      });
+    });
+  }
+
+  /**
+   * Read every transcript in a directory, in file name order. Tables from
+   * the shared fixture files named in `use` come first, then the
+   * transcript's own `fixtures`.
+   */
+  static loadTranscripts(directory, fixturesDirectory = path.join(directory, '..', 'fixtures')) {
+    const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const transcript = readJson(path.join(directory, file));
+        const fixtures = {};
+        const tixrFixtures = {};
+
+        for (const name of transcript.use || []) {
+          const { tixr: sharedTixr, ...tables } = readJson(path.join(fixturesDirectory, `${name}.json`));
+          Object.entries(tables).forEach(([table, rows]) => {
+            fixtures[table] = [...(fixtures[table] || []), ...rows];
+          });
+          Object.assign(tixrFixtures, sharedTixr);
+        }
+        Object.entries(transcript.fixtures || {}).forEach(([table, rows]) => {
+          fixtures[table] = [...(fixtures[table] || []), ...rows];
+        });
+
+        return {
+          name: path.basename(file, '.json'),
+          ...transcript,
+          fixtures,
+          tixr: { ...tixrFixtures, ...transcript.tixr },
+          file
+        };
+      });
+  }
+}
+
+module.exports = ConversationHarness;
@@ -0,0 +1,150 @@
+// test/syncOrders.test.js - Tixr orders land in events_orders
+const assert = require('assert');
+const { describe, test, beforeEach } = require('node:test');
+const ConversationHarness = require('./support/harness');
+
+const harness = new ConversationHarness();
+const tixr = require('../scripts/tixr');
+const repository = require('../scripts/repository');
+const { transformOrderForDB, syncEventOrders, syncLiveOrders } = require('../sync-orders');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error'].forEach(level => { console[level] = () => {}; });
+}
+
+function order(id, items, extra = {}) {
+  return {
+    id,
+    status: 'COMPLETE',
+    ref_type: 'WEB',
+    purchase_date: '2099-01-10T15:00:00Z',
+    sale_items: items,
+    ...extra
+  };
+}
+
+const promoterItem = {
+  id: 7,
+  name: 'Promoter - Jam',
+  category: 'GA',
+  quantity: 2,
+  total: '40.00',
+  net: '36.50',
+  tickets: [{ serial_number: 'S1' }, { serial_number: 'S2' }]
+};
+
+describe('orders sync', () => {
+  beforeEach(() => {
+    harness.db.reset();
+    harness.tixr.reset();
+    harness.db.seed({
+      events: [
+        { event_id: 101, event_name: 'Warehouse Night', event_status: 'LIVE', event_order_updated: null },
+        { event_id: 90, event_name: 'Last Year', event_status: 'PAST', event_order_updated: null }
+      ]
+    });
+  });
+
+  test('maps every sale item of an order to a row', () => {
+    const rows = transformOrderForDB(order(5001, [promoterItem, { id: 8, name: 'VIP', category: 'VIP', quantity: 1, total: 0 }], { status: 'REFUNDED', ref_type: 'BACKSTAGE' }), '101');
+
+    assert.deepStrictEqual(rows[0], {
+      order_id: '5001',
+      order_sales_item_id: '7',
+      event_id: 101,
+      order_status: 'REFUNDED',
+      order_category: 'GA',
+      order_sales_item_name: 'Promoter - Jam',
+      order_ref_type: 'BACKSTAGE',
+      order_quantity: 2,
+      order_gross: 40,
+      order_net: 36.5,
+      order_serials: ['S1', 'S2'],
+      order_purchased_at: '2099-01-10T15:00:00.000Z'
+    });
+    assert.strictEqual(rows[1].order_net, 0);
+    assert.deepStrictEqual(rows[1].order_serials, []);
+  });
+
+  test('fetches every page of orders', async () => {
+    harness.tixr.load({ orders: { 101: [1, 2, 3, 4, 5].map(id => order(id, [])) } });
+
+    const result = await tixr.getEventSales(101, null, { status: null, pageSize: 2 });
+
+    assert.strictEqual(result.orders.length, 5);
+    assert.deepStrictEqual(harness.tixr.requests.map(request => request.params.page_number), ['1', '2', '3']);
+  });
+
+  test('keeps orders of every status and records when the event was synced', async () => {
+    harness.tixr.load({
+      orders: {
+        101: [
+          order(5001, [promoterItem]),
+          order(5002, [{ id: 9, name: 'General Admission', category: 'GA', quantity: 1, total: 20 }], { status: 'REFUNDED' })
+        ]
+      }
+    });
+
+    const result = await syncEventOrders(101);
+
+    assert.deepStrictEqual(result, { eventId: 101, orders: 2, rows: 2, full: false });
+    assert.deepStrictEqual(harness.db.rows('events_orders').map(row => row.order_status).sort(), ['COMPLETE', 'REFUNDED']);
+    assert.ok(harness.db.rows('events').find(event => event.event_id === 101).event_order_updated);
+  });
+
+  test('asks only for orders since the last sync and updates changed ones', async () => {
+    harness.tixr.load({ orders: { 101: [order(5001, [promoterItem])] } });
+    await syncEventOrders(101);
+    const lastSync = harness.db.rows('events').find(event => event.event_id === 101).event_order_updated;
+
+    harness.tixr.load({ orders: { 101: [order(5001, [promoterItem], { status: 'REFUNDED' })] } });
+    await syncEventOrders(101);
+
+    assert.strictEqual(harness.tixr.requests[1].params.start_date, lastSync);
+    assert.deepStrictEqual(harness.db.rows('events_orders').map(row => row.order_status), ['REFUNDED']);
+  });
+
+  test('a full resync replaces the rows of the event', async () => {
+    harness.db.seed({
+      events_orders: [
+        { order_id: 'old', order_sales_item_id: '1', event_id: 101 },
+        { order_id: 'other', order_sales_item_id: '1', event_id: 90 }
+      ]
+    });
+    harness.tixr.load({ orders: { 101: [order(5001, [promoterItem])] } });
+
+    await syncEventOrders(101, { full: true });
+
+    assert.strictEqual(harness.tixr.requests[0].params.start_date, undefined);
+    assert.deepStrictEqual(harness.db.rows('events_orders').map(row => row.order_id).sort(), ['5001', 'other']);
+  });
+
+  test('a full resync keeps the old rows when saving fails', async () => {
+    harness.db.seed({ events_orders: [{ order_id: 'old', order_sales_item_id: '1', event_id: 101 }] });
+    harness.tixr.load({ orders: { 101: [order(5001, [promoterItem])] } });
+    const upsertOrders = repository.upsertOrders;
+    repository.upsertOrders = async () => { throw new Error('connection lost'); };
+
+    try {
+      await assert.rejects(() => syncEventOrders(101, { full: true }), /connection lost/);
+    } finally {
+      repository.upsertOrders = upsertOrders;
+    }
+
+    assert.deepStrictEqual(harness.db.rows('events_orders').map(row => row.order_id), ['old']);
+  });
+
+  test('the update sync covers upcoming events only', async () => {
+    harness.tixr.load({ orders: { 101: [order(5001, [promoterItem])], 90: [order(4001, [promoterItem])] } });
+
+    const { results, failures } = await syncLiveOrders();
+
+    assert.deepStrictEqual(results.map(result => result.eventId), [101]);
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(harness.db.rows('events_orders').map(row => row.event_id), [101]);
+  });
+
+  test('rejects events that are not in the database', async () => {
+    await assert.rejects(() => syncEventOrders(999), /not in the database/);
+  });
+});
@@ -0,0 +1,208 @@
+// test/syncRunner.test.js - In-process syncs run once per scope and can be awaited with a timeout
+const assert = require('assert');
+const { describe, test, beforeEach, mock } = require('node:test');
+
+process.env.DATABASE_BACKEND = 'memory';
+const { SyncRunner } = require('../scripts/syncRunner');
+const repository = require('../scripts/repository');
+const { MemoryRepositoryBackend } = repository;
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+/**
+ * A sync that finishes when the test says so
+ */
+function controlledSync() {
+  const calls = [];
+  const job = (...args) => new Promise((resolve, reject) => calls.push({ args, resolve, reject }));
+  return { job, calls };
+}
+
+describe('sync runner', () => {
+  let sales;
+  let orders;
+  let runner;
+
+  beforeEach(() => {
+    sales = controlledSync();
+    orders = controlledSync();
+    runner = new SyncRunner({ sales: sales.job, orders: orders.job });
+  });
+
+  test('merges requests for a sync that is already running', async () => {
+    const first = runner.run('sales');
+    const second = runner.run('sales');
+    await Promise.resolve();
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(sales.calls.length, 1);
+
+    sales.calls[0].resolve({ events: 3 });
+    const run = await second;
+    assert.deepStrictEqual(run.result, { events: 3 });
+    assert.strictEqual(runner.getStatus().merged, 1);
+
+    runner.run('sales');
+    await Promise.resolve();
+    assert.strictEqual(sales.calls.length, 2, 'a finished sync starts again');
+  });
+
+  test('runs the syncs of a group one after another, even after a failure', async () => {
+    const resync = controlledSync();
+    const grouped = new SyncRunner({
+      'sales': { run: sales.job, group: 'orders' },
+      'live-orders-full': { run: resync.job, group: 'orders' }
+    });
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    const first = grouped.run('live-orders-full');
+    const second = grouped.run('sales', { trigger: 'user' });
+    await tick();
+
+    assert.strictEqual(sales.calls.length, 0);
+    assert.strictEqual(grouped.findBlockingRun('sales'), 'live-orders-full');
+
+    resync.calls[0].reject(new Error('Tixr is down'));
+    await assert.rejects(() => first, /Tixr is down/);
+    await tick();
+    assert.strictEqual(sales.calls.length, 1);
+
+    sales.calls[0].resolve({ events: 1 });
+    assert.strictEqual((await second).status, 'success');
+    assert.strictEqual(grouped.findBlockingRun('sales'), null);
+  });
+
+  test('runs each scope on its own', async () => {
+    runner.run('orders', { args: [101] });
+    runner.run('orders', { args: [102] });
+    runner.run('orders', { args: [101] });
+    await Promise.resolve();
+
+    assert.deepStrictEqual(orders.calls.map(call => call.args), [[101], [102]]);
+    assert.deepStrictEqual(runner.getStatus().running.map(run => run.scope), ['orders:101', 'orders:102']);
+    assert.ok(runner.isRunning('orders', 101));
+  });
+
+  test('stops waiting after the timeout while the sync carries on', async () => {
+    const promise = runner.run('sales');
+
+    assert.deepStrictEqual(await runner.wait(promise, 10), { done: false, timedOut: true });
+    assert.ok(runner.isRunning('sales'));
+
+    sales.calls[0].resolve({ events: 1 });
+    assert.strictEqual((await runner.wait(promise, 10)).done, true);
+    assert.strictEqual(runner.getStatus().lastRuns.sales.success, true);
+  });
+
+  test('reports failures to the caller and in the status', async () => {
+    const promise = runner.run('sales');
+    await Promise.resolve();
+    sales.calls[0].reject(new Error('Tixr is down'));
+
+    const result = await runner.wait(promise);
+    assert.strictEqual(result.done, false);
+    assert.strictEqual(result.error.message, 'Tixr is down');
+
+    const status = runner.getStatus();
+    assert.strictEqual(status.failed, 1);
+    assert.strictEqual(status.lastRuns.sales.success, false);
+    assert.deepStrictEqual(status.recentFailures.map(failure => failure.scope), ['sales']);
+    assert.strictEqual(runner.isRunning('sales'), false);
+  });
+
+  test('rejects syncs it does not know', async () => {
+    await assert.rejects(() => runner.run('attendance'), /Unknown sync "attendance"/);
+  });
+});
+
+describe('sync history', () => {
+  let history;
+  beforeEach(() => {
+    history = new MemoryRepositoryBackend();
+  });
+
+  test('records who started a run, what it counted and touched, and how long it took', async () => {
+    const runner = new SyncRunner({ sales: async () => ({ events: 2, eventIds: [101, 102] }) }, history);
+
+    const run = await runner.run('sales', { trigger: 'user', triggeredBy: '15145550101' });
+    const [record] = await history.listSyncRuns();
+
+    assert.deepStrictEqual(run.counts, { events: 2 });
+    assert.strictEqual(record.id, run.id);
+    assert.strictEqual(record.sync, 'sales');
+    assert.strictEqual(record.trigger, 'user');
+    assert.strictEqual(record.triggered_by, '15145550101');
+    assert.strictEqual(record.status, 'success');
+    assert.deepStrictEqual(record.counts, { events: 2 });
+    assert.deepStrictEqual(record.touched_ids, [101, 102]);
+    assert.deepStrictEqual(record.errors, []);
+    assert.ok(record.finished_at >= record.started_at);
+    assert.ok(record.duration_ms >= 0);
+  });
+
+  test('records failed runs and runs that failed for some events', async () => {
+    const runner = new SyncRunner({
+      'sales': async () => { throw new Error('Tixr is down'); },
+      'live-orders': {
+        run: async () => ({ results: [{ eventId: 101, rows: 4 }], failures: [{ eventId: 102, error: 'timeout' }] }),
+        summarize: ({ results, failures }) => ({
+          counts: { events: results.length, failed: failures.length },
+          ids: results.map(result => result.eventId),
+          errors: failures
+        })
+      }
+    }, history);
+
+    await assert.rejects(() => runner.run('sales', { trigger: 'cron' }), /Tixr is down/);
+    await runner.run('live-orders', { trigger: 'cron' });
+
+    const [failed] = await history.listSyncRuns({ status: 'failed' });
+    assert.strictEqual(failed.sync, 'sales');
+    assert.deepStrictEqual(failed.errors, [{ error: 'Tixr is down' }]);
+
+    const [partial] = await history.listSyncRuns({ sync: 'live-orders' });
+    assert.strictEqual(partial.status, 'partial');
+    assert.deepStrictEqual(partial.touched_ids, [101]);
+    assert.deepStrictEqual(partial.errors, [{ eventId: 102, error: 'timeout' }]);
+  });
+
+  test('records a sync that skipped a failing event as partial', async () => {
+    repository.backend.seed({
+      events: [
+        { event_id: 101, event_name: 'Warehouse Night', event_status: 'LIVE' },
+        { event_id: 102, event_name: 'Rooftop Session', event_status: 'LIVE' }
+      ],
+      events_sales: [],
+      events_orders: [{ event_id: 101, order_id: '1', order_sales_item_id: '1', order_status: 'COMPLETE', order_category: 'GA', order_quantity: 2, order_gross: 40 }]
+    });
+    const listOrders = repository.listOrders;
+    repository.listOrders = async eventId => {
+      if (String(eventId) === '102') throw new Error('connection reset');
+      return listOrders.call(repository, eventId);
+    };
+    // The sales sync waits between retries
+    mock.method(global, 'setTimeout', callback => callback());
+
+    try {
+      await new SyncRunner(undefined, history).run('sales', { trigger: 'cron' });
+    } finally {
+      mock.restoreAll();
+      repository.listOrders = listOrders;
+    }
+
+    const [run] = await history.listSyncRuns({ sync: 'sales' });
+    assert.strictEqual(run.status, 'partial');
+    assert.deepStrictEqual(run.touched_ids, [101]);
+    assert.deepStrictEqual(run.errors, [{ eventId: 102, error: 'connection reset' }]);
+    assert.strictEqual((await repository.getSales(101)).sales_total_ga, 2);
+  });
+
+  test('a history that cannot be written does not fail the sync', async () => {
+    const broken = { saveSyncRun: async () => { throw new Error('relation "sync_runs" does not exist'); } };
+    const runner = new SyncRunner({ sales: async () => ({ events: 1 }) }, broken);
+
+    assert.strictEqual((await runner.run('sales')).status, 'success');
+  });
+});
@@ -0,0 +1,177 @@
+// test/tixr.test.js - The Tixr client signs its requests, walks pages and retries what is worth retrying
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { describe, test, before, after, beforeEach } = require('node:test');
+
+const {
+  TixrAPI,
+  TixrApiError,
+  TixrAuthError,
+  TixrNotFoundError,
+  TixrRateLimitError,
+  TixrResponseError,
+  TixrTimeoutError
+} = require('../scripts/tixr');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+const SECRET = 'test-tixr-secret';
+const EVENTS = [1, 2, 3, 4, 5].map(id => ({ id, name: `Event ${id}`, start_date: '2099-03-10T01:00:00Z' }));
+
+/**
+ * A Tixr that checks signatures and answers with whatever the test queues
+ * up for a path - `{ status, body, headers, delayMs }` - before falling
+ * back to the events
+ */
+function startServer() {
+  const state = { requests: [], responses: {} };
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(searchParams);
+    state.requests.push({ pathname, params });
+
+    const { hash, ...signed } = params;
+    const sorted = Object.keys(signed).sort().map(k => `${k}=${encodeURIComponent(signed[k])}`).join('&');
+    const expected = crypto.createHmac('sha256', SECRET).update(`${pathname}?${sorted}`).digest('hex');
+
+    const queued = (state.responses[pathname] || []).shift();
+    const { status = 200, body, headers = {}, delayMs = 0 } = hash !== expected
+      ? { status: 401, body: { error: 'Invalid hash' } }
+      : queued || { body: fixtures(pathname, params) };
+
+    setTimeout(() => {
+      if (res.destroyed) return;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+
+  function fixtures(pathname, params) {
+    const single = pathname.match(/\/events\/(\d+)$/);
+    if (single) return EVENTS.filter(event => String(event.id) === single[1]);
+
+    const pageNumber = parseInt(params.page_number) || 1;
+    const pageSize = parseInt(params.page_size) || 100;
+    return EVENTS.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  }
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+describe('tixr client', () => {
+  let server;
+  let state;
+  let port;
+  let client;
+
+  before(async () => {
+    ({ server, state, port } = await startServer());
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.responses = {};
+    client = new TixrAPI({
+      baseUrl: `http://127.0.0.1:${port}/`,
+      groupId: '980',
+      cpk: 'test-cpk',
+      secretKey: SECRET,
+      timeoutMs: 200,
+      maxRetries: 2,
+      retryBaseMs: 5,
+      retryMaxMs: 50
+    });
+  });
+
+  const queue = (path, ...responses) => {
+    state.responses[`/v1/groups/980${path}`] = responses;
+  };
+
+  test('signs every request and walks the pages', async () => {
+    const events = await client.listEvents({ pageSize: 2 });
+
+    assert.deepStrictEqual(events.map(event => event.id), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(state.requests.map(request => request.params.page_number), ['1', '2', '3']);
+    assert.ok(state.requests.every(request => request.params.cpk === 'test-cpk' && request.params.hash));
+  });
+
+  test('retries rate limits and server errors, then carries on', async () => {
+    queue('/events',
+      { status: 429, body: { error: 'Too many requests' }, headers: { 'Retry-After': '0' } },
+      { status: 502, body: { message: 'Bad gateway' } }
+    );
+
+    const events = await client.listEvents();
+
+    assert.strictEqual(events.length, 5);
+    assert.strictEqual(state.requests.length, 3);
+    assert.notStrictEqual(state.requests[0].params.t, undefined);
+  });
+
+  test('gives up after the last retry', async () => {
+    const unavailable = { status: 503, body: { error: 'Unavailable' } };
+    queue('/events/7/orders', unavailable, unavailable, unavailable);
+
+    await assert.rejects(() => client.listOrders(7), error => {
+      assert.ok(error instanceof TixrApiError);
+      assert.strictEqual(error.status, 503);
+      assert.match(error.message, /Tixr orders of event 7 page 1 failed: 503 Unavailable/);
+      return true;
+    });
+    assert.strictEqual(state.requests.length, 3);
+  });
+
+  test('does not retry what will fail the same way again', async () => {
+    queue('/events/404', { status: 404, body: { error: 'Not found' } });
+    await assert.rejects(() => client.getEvent(404), TixrNotFoundError);
+
+    const unsigned = new TixrAPI({ ...client.options, secretKey: 'wrong-secret' });
+    await assert.rejects(() => unsigned.getEvent(1), TixrAuthError);
+
+    assert.strictEqual(state.requests.length, 2);
+  });
+
+  test('times out slow requests', async () => {
+    queue('/events/1', { delayMs: 500, body: [EVENTS[0]] });
+    const impatient = new TixrAPI({ ...client.options, timeoutMs: 50, maxRetries: 0 });
+
+    await assert.rejects(() => impatient.getEvent(1), TixrTimeoutError);
+  });
+
+  test('rejects responses that are not a list', async () => {
+    queue('/events', { body: { error: 'maintenance' } });
+    await assert.rejects(() => client.listEvents(), TixrResponseError);
+  });
+
+  test('waits as long as Retry-After asks, within the maximum', () => {
+    const patient = new TixrAPI({ ...client.options, retryBaseMs: 1000, retryMaxMs: 30000 });
+
+    assert.strictEqual(patient.getRetryDelay(new TixrRateLimitError('429', { status: 429, retryAfter: 2 }), 1), 2000);
+    assert.strictEqual(patient.getRetryDelay(new TixrRateLimitError('429', { status: 429, retryAfter: 120 }), 1), 30000);
+
+    const backoff = patient.getRetryDelay(new TixrApiError('503', { status: 503 }), 3);
+    assert.ok(backoff >= 4000 && backoff <= 5000, 'doubles on each attempt, plus jitter');
+  });
+
+  test('bot calls report failures instead of throwing', async () => {
+    queue('/events/9', { status: 404, body: { error: 'Not found' } });
+
+    const missing = await client.getEventById(9);
+    const found = await client.getEventById(2);
+
+    assert.strictEqual(missing.success, false);
+    assert.match(missing.error, /404 Not found/);
+    assert.deepStrictEqual(found, { success: true, event: EVENTS[1] });
+  });
+});
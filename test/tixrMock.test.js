@@ -0,0 +1,214 @@
+// test/tixrMock.test.js - The syncs run end to end against the local Tixr mock and its fixtures
+const assert = require('assert');
+const axios = require('axios');
+const { describe, test, before, after, beforeEach } = require('node:test');
+
+Object.assign(process.env, {
+  DATABASE_BACKEND: 'memory',
+  TIXR_CPK: 'test-cpk',
+  TIXR_SECRET_KEY: 'test-tixr-secret',
+  TIXR_GROUP_ID: '980',
+  TIXR_MAX_RETRIES: '0'
+});
+
+const TixrMock = require('../scripts/tixrMock');
+const tixr = require('../scripts/tixr');
+const repository = require('../scripts/repository');
+const { TixrAPI, TixrAuthError, TixrNotFoundError } = tixr;
+const { checkForEventChanges, syncAllEvents, updateStatuses } = require('../sync-events');
+const { syncEventOrders, syncLiveOrders } = require('../sync-orders');
+const { syncEventSales } = require('../sync-sales');
+
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'error', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+describe('tixr mock', () => {
+  const mock = new TixrMock({ port: 0 });
+
+  before(async () => {
+    await mock.start();
+    process.env.TIXR_BASE_URL = mock.getBaseUrl();
+  });
+
+  after(async () => {
+    delete process.env.TIXR_BASE_URL;
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.requests = [];
+    repository.backend.clear();
+  });
+
+  test('checks the hash, cpk and group of every request', async () => {
+    await assert.rejects(() => new TixrAPI({ secretKey: 'wrong-secret' }).getEvent(201), /401 Invalid hash/);
+    await assert.rejects(() => new TixrAPI({ cpk: 'other-cpk' }).getEvent(201), TixrAuthError);
+    await assert.rejects(() => new TixrAPI({ groupId: '999' }).getEvent(201), /403 No access to group 999/);
+
+    const unsigned = await axios.get(`${mock.getBaseUrl()}/v1/groups/980/events`, { validateStatus: () => true });
+    assert.strictEqual(unsigned.status, 401);
+
+    assert.strictEqual((await tixr.getEvent(201)).name, 'Warehouse Night: Charlotte de Witte');
+    await assert.rejects(() => tixr.getEvent(999), TixrNotFoundError);
+  });
+
+  test('pages through orders from a start date', async () => {
+    const orders = await tixr.listOrders(201, { since: '2099-02-01T00:00:00Z', pageSize: 2 });
+
+    assert.deepStrictEqual(orders.map(order => order.id), [9003, 9004, 9005, 9006]);
+    assert.deepStrictEqual(mock.requests.map(request => request.params.page_number), ['1', '2', '3']);
+  });
+
+  test('change detection applies new, changed and missing events with their artists and statuses', async () => {
+    repository.backend.seed({
+      events: [
+        { event_id: 201, event_name: 'Warehouse Night', event_date: '2099-03-14', event_status: 'LIVE', event_flyer: 'https://cdn.example.com/flyers/201.jpg' },
+        { event_id: 190, event_name: "Boris Brejcha - New Year's Eve", event_date: '2000-12-31', event_status: 'LIVE', event_flyer: 'https://cdn.example.com/flyers/190.jpg' },
+        { event_id: 150, event_name: 'Cancelled Show', event_date: '2099-05-01', event_status: 'LIVE' }
+      ]
+    });
+
+    const changes = await checkForEventChanges();
+
+    assert.deepStrictEqual(
+      (({ eventIds, ...counts }) => counts)(changes),
+      { new: 4, updated: 2, statusChanged: 2, missing: 1, removed: 0, errors: [] }
+    );
+
+    const events = await repository.listEvents();
+    const byId = Object.fromEntries(events.map(event => [event.event_id, event]));
+    assert.strictEqual(byId[150].event_status, 'LIVE', 'a missing event is kept through the grace period');
+    assert.ok(byId[150].event_removed_at);
+    assert.strictEqual(byId[201].event_name, 'Warehouse Night: Charlotte de Witte');
+    assert.deepStrictEqual(
+      [201, 202, 203, 204, 205, 190].map(id => byId[id].event_artist),
+      ['Charlotte De Witte', 'Amelie Lens', 'DJ Tennis', null, 'Kaytranada', 'Boris Brejcha']
+    );
+    assert.deepStrictEqual(
+      [201, 202, 203, 204, 205, 190].map(id => byId[id].event_status),
+      ['ON_SALE', 'POSTPONED', 'LIVE', 'SOLD_OUT', 'CANCELLED', 'PAST']
+    );
+    assert.strictEqual(byId[203].event_date, '2099-04-17', 'dates are in the venue\'s timezone');
+    assert.strictEqual(byId[203].event_timezone, 'America/Vancouver');
+    assert.strictEqual(byId[201].event_capacity, 9);
+  });
+
+  test('events missing past the grace period are REMOVED and come back when Tixr lists them again', async () => {
+    const missingSince = new Date(Date.now() - 25 * 3600000).toISOString();
+    repository.backend.seed({
+      events: [
+        { event_id: 150, event_name: 'Cancelled Show', event_date: '2099-05-01', event_status: 'LIVE', event_removed_at: missingSince },
+        { event_id: 151, event_name: 'Kept Show', event_date: '2099-05-02', event_status: 'LIVE', event_restored_at: missingSince }
+      ],
+      events_sales: [{ event_id: 150, sales_total_ga: 12 }]
+    });
+
+    const changes = await checkForEventChanges();
+    assert.strictEqual(changes.removed, 1);
+    assert.strictEqual(changes.missing, 0);
+
+    const removed = await repository.getEvent(150);
+    assert.strictEqual(removed.event_status, 'REMOVED');
+    assert.strictEqual(removed.event_removed_at, missingSince);
+    assert.strictEqual((await repository.getEvent(151)).event_status, 'LIVE', 'restored events are kept');
+    assert.strictEqual((await repository.getSales(150)).sales_total_ga, 12, 'sales are kept');
+    assert.ok(!(await repository.listEvents()).some(event => event.event_id === 150));
+
+    const fixtures = { orders: mock.orders, events: mock.events };
+    mock.load({
+      orders: fixtures.orders,
+      events: [
+        ...fixtures.events,
+        { id: 150, name: 'Cancelled Show', start_date: '2099-05-02T00:00:00Z', lineups: [] },
+        { id: 151, name: 'Kept Show', start_date: '2099-05-03T00:00:00Z', lineups: [] }
+      ]
+    });
+    try {
+      await checkForEventChanges();
+      const back = await repository.getEvent(150);
+      assert.strictEqual(back.event_status, 'ON_SALE', 'its sales put it back on sale');
+      assert.strictEqual(back.event_removed_at, null);
+      assert.strictEqual((await repository.getEvent(151)).event_restored_at, null, 'a restored event listed again is tracked again');
+
+      mock.load(fixtures);
+      const changes = await checkForEventChanges();
+      assert.strictEqual(changes.missing, 2);
+      assert.ok((await repository.getEvent(151)).event_removed_at, 'it goes missing like any other event');
+    } finally {
+      mock.loadFixtures();
+    }
+  });
+
+  test('orders roll up into sales, which sell an event out', async () => {
+    await syncAllEvents();
+    await syncEventOrders(201);
+    await syncEventOrders(202);
+    await syncEventSales();
+
+    assert.strictEqual((await repository.listOrders(201)).length, 8);
+    assert.deepStrictEqual(
+      (({ event_id, ...totals }) => totals)(await repository.getSales(201)),
+      {
+        sales_total_ga: 4,
+        sales_total_vip: 1,
+        sales_total_coatcheck: 1,
+        sales_total_tables: 1,
+        sales_total_comp_ga: 3,
+        sales_total_comp_vip: 0,
+        sales_total_free_ga: 1,
+        sales_total_free_vip: 0,
+        sales_gross: 795,
+        sales_net: 715.5
+      }
+    );
+
+    assert.strictEqual((await repository.getEvent(201)).event_status, 'ON_SALE');
+    assert.deepStrictEqual(await updateStatuses(), { updated: 1, eventIds: [201] });
+    assert.strictEqual((await repository.getEvent(201)).event_status, 'SOLD_OUT', 'its 9 admissions fill its capacity');
+
+    mock.requests = [];
+    await syncEventOrders(201);
+    assert.ok(mock.requests[0].params.start_date, 'the next sync only asks for new orders');
+    assert.strictEqual((await repository.listOrders(201)).length, 8);
+  });
+
+  test('saving changed events keeps the orders sync cursor', async () => {
+    await syncAllEvents();
+    await syncEventOrders(201);
+    const cursor = (await repository.getEvent(201)).event_order_updated;
+    await syncEventSales();
+
+    const changes = await checkForEventChanges();
+    await syncAllEvents();
+
+    const event = await repository.getEvent(201);
+    assert.ok(changes.eventIds.includes(201));
+    assert.strictEqual(event.event_status, 'SOLD_OUT');
+    assert.strictEqual(event.event_order_updated, cursor);
+    assert.ok(event.event_sales_updated);
+  });
+
+  test('a refund of an order bought before the last sync arrives with the full resync', async () => {
+    await syncAllEvents();
+    await syncLiveOrders();
+    await repository.updateEvents([201], { event_order_updated: '2099-01-10T00:00:00.000Z' });
+
+    const refunded = mock.orders[201].map(order => (order.id === 9001 ? { ...order, status: 'REFUNDED' } : order));
+    mock.load({ events: mock.events, orders: { ...mock.orders, 201: refunded } });
+    try {
+      await syncLiveOrders();
+      await syncEventSales();
+      assert.strictEqual((await repository.getSales(201)).sales_total_ga, 4, 'the incremental sync only asks for newer purchases');
+
+      await syncLiveOrders({ full: true });
+      await syncEventSales();
+      const sales = await repository.getSales(201);
+      assert.strictEqual(sales.sales_total_ga, 2);
+      assert.strictEqual(sales.sales_total_coatcheck, 0);
+      assert.strictEqual((await repository.listOrders(201)).length, 8);
+    } finally {
+      mock.loadFixtures();
+    }
+  });
+});
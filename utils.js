@@ -1,6 +1,8 @@
 // utils.js - Enhanced with anti-collapse message techniques
 
-const axios = require('axios');
+const whatsapp = require('./scripts/whatsappClient');
+const outboundQueue = require('./scripts/outboundQueue');
+const { getConfig } = require('./config/environment');
 
 /**
  * Prevents WhatsApp message collapsing using various techniques
@@ -39,8 +41,6 @@ function preventMessageCollapse(text, method = 'invisible') {
  * @param {boolean} preventCollapse - Whether to apply anti-collapse techniques
  */
 async function sendMessage(to, text, typingDuration = null, preventCollapse = true) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
     let messageText = text;
     
@@ -63,28 +63,18 @@ async function sendMessage(to, text, typingDuration = null, preventCollapse = tr
       typingDuration = calculatedTime;
     }
 
-    // Simulate typing delay
-    if (typingDuration > 0) {
+    // Simulate typing delay (TYPING_DELAYS=false turns it off, e.g. in tests)
+    if (typingDuration > 0 && getConfig().outbound.typingDelays) {
       await new Promise(resolve => setTimeout(resolve, typingDuration));
     }
     
     // Send the actual message
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        to: to,
-        text: { body: messageText },
-      },
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await outboundQueue.send(to, { type: 'text', text: { body: messageText } }, { type: 'text', preview: text });
     
     console.log(`✅ Message sent to ${to} (after ${typingDuration}ms delay) [Anti-collapse: ${preventCollapse}]`);
     
   } catch (error) {
-    console.error('❌ Error sending message:', error.response ? error.response.data : error.message);
+    console.error('❌ Error sending message:', error.message);
     throw error;
   }
 }
@@ -115,14 +105,9 @@ async function sendLongMessage(to, text, typingDuration = 300) {
     chunks.push(currentChunk.trim());
   }
   
-  // Send chunks with delays
+  // Only the first chunk waits for typing - the outbound queue paces the rest
   for (let i = 0; i < chunks.length; i++) {
-    await sendMessage(to, chunks[i], typingDuration, false); // Don't apply anti-collapse to chunks
-    
-    // Add delay between chunks (except for last one)
-    if (i < chunks.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 800));
-    }
+    await sendMessage(to, chunks[i], i === 0 ? typingDuration : 0, false); // Don't apply anti-collapse to chunks
   }
 }
 
@@ -176,128 +161,16 @@ function getEditDistance(a, b) {
   return matrix[b.length][a.length];
 }
 
-/**
- * Finds the closest matching command for a typo
- * @param {string} input - User's input
- * @param {object} user - User data (for role-based commands)
- * @returns {object} { suggestion: string, confidence: number, message: string }
- */
-function findClosestCommand(input, user = null) {
-  const baseCommands = ['help', 'register', 'unregister', 'status', 'sales', 'timezone', 'promoter', 'role'];
-  const adminCommands = user?.bot_userrole === 'ADMIN' ? ['list users', 'password'] : [];
-  const allCommands = [...baseCommands, ...adminCommands];
-  
-  const inputLower = input.toLowerCase().trim();
-  let bestMatch = null;
-  let bestDistance = Infinity;
-  
-  for (const command of allCommands) {
-    const distance = getEditDistance(inputLower, command);
-    const maxLength = Math.max(inputLower.length, command.length);
-    const similarity = 1 - (distance / maxLength);
-    
-    // Only suggest if similarity is reasonable (60%+ match)
-    if (similarity >= 0.6 && distance < bestDistance) {
-      bestDistance = distance;
-      bestMatch = {
-        command: command,
-        similarity: similarity,
-        distance: distance
-      };
-    }
-  }
-  
-  if (bestMatch) {
-    // Different suggestion messages based on confidence
-    if (bestMatch.similarity >= 0.8) {
-      // High confidence - likely typo
-      return {
-        suggestion: bestMatch.command,
-        confidence: 'high',
-        message: `❓ *Did you mean "${bestMatch.command}"?*
-
-Type *${bestMatch.command}* to continue, or *help* to see all commands.`
-      };
-    } else if (bestMatch.similarity >= 0.6) {
-      // Medium confidence - possible match
-      return {
-        suggestion: bestMatch.command,
-        confidence: 'medium',
-        message: `❓ *Command not recognized*
-
-Did you mean *${bestMatch.command}*? 
-
-Type *help* to see all available commands.`
-      };
-    }
-  }
-  
-  // No good match found
-  return {
-    suggestion: null,
-    confidence: 'none',
-    message: null
-  };
-}
-
-/**
- * Enhanced command parser with typo detection
- * @param {string} text - The user's message text
- * @param {object} user - User data for role-based commands
- * @returns {object} { command: string|null, suggestion: object|null }
- */
-function parseCommandWithSuggestions(text, user = null) {
-  if (!text) return { command: null, suggestion: null };
-  
-  const normalizedText = text.toLowerCase().trim();
-  // Updated with role command
-  const validCommands = ['help', 'register', 'unregister', 'status', 'sales', 'timezone', 'promoter', 'role', 'password', 'list', 'cancel', 'yes', 'no', 'all', '1', '2', '3'];
-  
-  // Check for multi-word commands first
-  if (normalizedText.startsWith('list ')) {
-    const secondWord = normalizedText.split(' ')[1];
-    if (secondWord === 'users') {
-      return { command: 'list', suggestion: null };
-    }
-  }
-  
-  const firstWord = normalizedText.split(' ')[0];
-  
-  // Exact match
-  if (validCommands.includes(firstWord)) {
-    return { command: firstWord, suggestion: null };
-  }
-  
-  // No exact match - look for suggestions
-  const suggestion = findClosestCommand(firstWord, user);
-  return { command: null, suggestion: suggestion };
-}
-
 /**
  * Marks a message as read and shows typing indicator
  * @param {string} messageId - The message ID to mark as read
  */
 async function markAsReadWithTyping(messageId) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        status: 'read',
-        message_id: messageId,
-        typing_indicator: {
-          type: 'text'
-        }
-      },
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await whatsapp.markAsRead(messageId, true);
     console.log(`✅ Message ${messageId} marked as read with typing indicator`);
   } catch (error) {
-    console.log(`⚠️ Mark as read with typing failed (non-critical): ${error.response?.data?.error?.message || error.message}`);
+    console.log(`⚠️ Mark as read with typing failed (non-critical): ${error.message}`);
   }
 }
 
@@ -306,26 +179,11 @@ async function markAsReadWithTyping(messageId) {
  * @param {string} messageId - The message ID that triggered the response
  */
 async function sendTypingIndicator(messageId) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        status: 'read',
-        message_id: messageId,
-        typing_indicator: {
-          type: 'text'
-        }
-      },
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await whatsapp.markAsRead(messageId, true);
     console.log(`💬 Typing indicator sent for message ${messageId}`);
   } catch (error) {
-    console.log(`⚠️ Typing indicator failed (non-critical): ${error.response?.data?.error?.message || error.message}`);
+    console.log(`⚠️ Typing indicator failed (non-critical): ${error.message}`);
   }
 }
 
@@ -335,23 +193,11 @@ async function sendTypingIndicator(messageId) {
  * @param {string} text - The message body to send
  */
 async function sendMessageInstant(to, text) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        to: to,
-        text: { body: text },
-      },
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await outboundQueue.send(to, { type: 'text', text: { body: text } }, { type: 'text', preview: text });
     console.log(`⚡ Instant message sent to ${to}`);
   } catch (error) {
-    console.error('❌ Error sending instant message:', error.response ? error.response.data : error.message);
+    console.error('❌ Error sending instant message:', error.message);
     throw error;
   }
 }
@@ -375,8 +221,6 @@ async function sendMessageWithTyping(to, text, customTypingMs) {
  * @param {string} footerText - Optional footer text
  */
 async function sendMessageWithButtons(to, bodyText, buttons, headerText = null, footerText = null) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
     // Format buttons for WhatsApp API (max 3 buttons)
     const formattedButtons = buttons.slice(0, 3).map((btn, index) => ({
@@ -388,8 +232,6 @@ async function sendMessageWithButtons(to, bodyText, buttons, headerText = null,
     }));
 
     const messageBody = {
-      messaging_product: 'whatsapp',
-      to: to,
       type: 'interactive',
       interactive: {
         type: 'button',
@@ -417,22 +259,17 @@ async function sendMessageWithButtons(to, bodyText, buttons, headerText = null,
       };
     }
 
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      messageBody,
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await outboundQueue.send(to, messageBody, { type: 'interactive', preview: bodyText });
     
     console.log(`🔘 Interactive buttons sent to ${to}`);
     
   } catch (error) {
-    console.error('❌ Error sending interactive buttons:', error.response ? error.response.data : error.message);
+    console.error('❌ Error sending interactive buttons:', error.message);
     
     // Fallback: Send as regular text message
     console.log('📝 Falling back to text message...');
-    const fallbackText = `${bodyText}\n\n` + buttons.map((btn, i) => `${i + 1}. ${btn.title}`).join('\n');
+    // Show each option with the text that selects it when typed
+    const fallbackText = `${bodyText}\n\n` + buttons.map((btn, i) => `*${btn.id || i + 1}* - ${btn.title}`).join('\n');
     await sendMessageInstant(to, fallbackText);
   }
 }
@@ -445,12 +282,20 @@ async function sendMessageWithButtons(to, bodyText, buttons, headerText = null,
  * @param {Array} sections - Array of section objects with rows
  */
 async function sendMessageWithList(to, bodyText, buttonText, sections) {
-  const { WHATSAPP_TOKEN, PHONE_NUMBER_ID } = process.env;
-  
   try {
+    // Format rows for WhatsApp API (max 10 rows across all sections)
+    let remainingRows = 10;
+    const formattedSections = sections.map(section => {
+      const rows = section.rows.slice(0, remainingRows).map(row => ({
+        id: row.id,
+        title: row.title.substring(0, 24), // Max 24 characters
+        ...(row.description && { description: row.description.substring(0, 72) }) // Max 72 characters
+      }));
+      remainingRows -= rows.length;
+      return { ...(section.title && { title: section.title.substring(0, 24) }), rows };
+    }).filter(section => section.rows.length > 0);
+
     const messageBody = {
-      messaging_product: 'whatsapp',
-      to: to,
       type: 'interactive',
       interactive: {
         type: 'list',
@@ -458,32 +303,26 @@ async function sendMessageWithList(to, bodyText, buttonText, sections) {
           text: bodyText
         },
         action: {
-          button: buttonText,
-          sections: sections
+          button: buttonText.substring(0, 20), // Max 20 characters
+          sections: formattedSections
         }
       }
     };
 
-    await axios.post(
-      `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      messageBody,
-      {
-        headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
-      }
-    );
+    await outboundQueue.send(to, messageBody, { type: 'interactive', preview: bodyText });
     
     console.log(`📋 Interactive list sent to ${to}`);
     
   } catch (error) {
-    console.error('❌ Error sending interactive list:', error.response ? error.response.data : error.message);
+    console.error('❌ Error sending interactive list:', error.message);
     
     // Fallback: Send as regular text message
     console.log('📝 Falling back to text message...');
     let fallbackText = `${bodyText}\n\n`;
     sections.forEach(section => {
       if (section.title) fallbackText += `*${section.title}*\n`;
-      section.rows.forEach((row, i) => {
-        fallbackText += `${i + 1}. ${row.title}\n`;
+      section.rows.forEach(row => {
+        fallbackText += `*${row.id}* - ${row.title}\n`;
       });
       fallbackText += '\n';
     });
@@ -504,16 +343,6 @@ function validateEnvironmentVariables(requiredVars) {
   console.log('✅ All required environment variables are present');
 }
 
-/**
- * Legacy function for backwards compatibility
- * @param {string} text - The user's message text
- * @returns {string|null} The normalized command or null if not a command
- */
-function parseCommand(text) {
-  const result = parseCommandWithSuggestions(text);
-  return result.command;
-}
-
 /**
  * Logs incoming messages for debugging
  * @param {string} from - Phone number of sender
@@ -594,9 +423,7 @@ module.exports = {
   logIncomingMessageWithTyping,   // Enhanced logging with typing
   preventMessageCollapse,         // Anti-collapse utility function
   validateEnvironmentVariables,
-  parseCommand,                   // Legacy function
-  parseCommandWithSuggestions,    // Enhanced parser with suggestions
-  findClosestCommand,             // Command suggestion finder
+  getEditDistance,                // Typo distance for command suggestions
   logIncomingMessage,
   sanitizeInput,
   formatPhoneNumber